@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import cookie from 'cookie';
+import { getAuth } from 'firebase-admin/auth';
+import { config } from './config.js';
+import { db } from './auth.js';
+import logger from './logger.js';
+
+// read: GET the Motor API (catalog, articles, ...)   write: anything else through the proxy
+// auth: trigger logins (/auth/start, /auth/cookies)  docs: /docs   admin: manage keys (implies all)
+// metrics: scrape /metrics
+export const SCOPES = ['read', 'write', 'auth', 'docs', 'admin', 'metrics'];
+
+const KEY_PREFIX = 'mk_';
+const DOCS_COOKIE = 'docs_api_key';
+
+function accessError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Consumer authentication in front of the proxy.
+ *
+ * A consumer is identified by an API key (X-API-Key header or "Authorization: Bearer mk_...")
+ * or a Firebase Auth ID token ("Authorization: Bearer <JWT>"). Keys are stored hashed in
+ * Firestore with their scopes and optional origin restriction; ID tokens get their scopes
+ * from the `scopes` custom claim, or config.access.idTokenScopes.
+ *
+ * The request's consumer is attached as req.consumer = { type, id, name, scopes }.
+ */
+class AccessControl {
+    constructor(options) {
+        this.options = options;
+        // key hash -> { record, expiresAt }; a revoked key stays usable for at most cacheTtlMs
+        this.cache = new Map();
+    }
+
+    get enabled() {
+        return this.options.enabled;
+    }
+
+    _collection() {
+        return db.collection(this.options.keyCollection);
+    }
+
+    /**
+     * Whether browsers from `origin` may read proxy responses (CORS_ORIGINS allowlist)
+     */
+    isOriginAllowed(origin) {
+        const allowed = config.corsOrigins;
+        return allowed === true || (Array.isArray(allowed) && allowed.includes(origin));
+    }
+
+    _extractCredential(req) {
+        if (req.headers['x-api-key']) {
+            return req.headers['x-api-key'];
+        }
+        const authorization = req.headers['authorization'] || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.slice('Bearer '.length).trim();
+        }
+        // Browsers can't add headers to the /docs page and its assets: the key is passed
+        // once as ?apiKey= and kept in a cookie scoped to /docs
+        const requestUrl = req.originalUrl || req.url;
+        if (requestUrl.startsWith('/docs')) {
+            if (req.query.apiKey) {
+                return req.query.apiKey;
+            }
+            return cookie.parse(req.headers.cookie || '')[DOCS_COOKIE] || null;
+        }
+        // Nor to EventSource and WebSocket connections; the WebSocket upgrade is a plain http request
+        if (requestUrl.split('?')[0] === '/auth/events') {
+            return new URL(requestUrl, 'http://localhost').searchParams.get('apiKey');
+        }
+        return null;
+    }
+
+    async _lookupKey(key) {
+        if (this.options.adminKey && key.length === this.options.adminKey.length
+            && crypto.timingSafeEqual(Buffer.from(key), Buffer.from(this.options.adminKey))) {
+            return { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'], origins: null };
+        }
+
+        const hash = hashKey(key);
+        const cached = this.cache.get(hash);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.record;
+        }
+
+        const doc = await this._collection().doc(hash).get();
+        const data = doc.exists ? doc.data() : null;
+        const record = data && !data.revokedAt
+            ? { id: data.id, name: data.name, scopes: data.scopes || [], origins: data.origins || null }
+            : null;
+        this.cache.set(hash, { record, expiresAt: Date.now() + this.options.cacheTtlMs });
+        return record;
+    }
+
+    /**
+     * Identify the consumer of a request; throws an error carrying statusCode 401 when
+     * no valid credential is presented
+     */
+    async authenticate(req) {
+        const credential = this._extractCredential(req);
+        if (!credential) {
+            throw accessError(401, 'An API key (X-API-Key header) or Firebase ID token (Authorization: Bearer) is required');
+        }
+
+        if (credential.startsWith(KEY_PREFIX) || credential === this.options.adminKey) {
+            const record = await this._lookupKey(credential);
+            if (!record) {
+                throw accessError(401, 'Invalid or revoked API key');
+            }
+            const origin = req.headers['origin'];
+            if (origin && record.origins && !record.origins.includes(origin)) {
+                throw accessError(403, `API key "${record.name}" may not be used from ${origin}`);
+            }
+            return { type: 'apiKey', id: record.id, name: record.name, scopes: record.scopes, credential };
+        }
+
+        if (!this.options.idTokens) {
+            throw accessError(401, 'Invalid API key');
+        }
+        try {
+            const token = await getAuth().verifyIdToken(credential);
+            const scopes = Array.isArray(token.scopes) ? token.scopes : this.options.idTokenScopes;
+            return { type: 'idToken', id: token.uid, name: token.email || token.uid, scopes };
+        } catch (error) {
+            throw accessError(401, `Invalid Firebase ID token: ${error.message}`);
+        }
+    }
+
+    hasScope(consumer, scope) {
+        return consumer.scopes.includes('admin') || consumer.scopes.includes(scope);
+    }
+
+    /**
+     * Express middleware: authenticate the consumer and require `scope`
+     * (a scope name, or a function of the request returning one)
+     */
+    requireScope(scope) {
+        return async (req, res, next) => {
+            // Preflight requests carry no credentials
+            if (!this.enabled || req.method === 'OPTIONS') {
+                return next();
+            }
+
+            try {
+                const consumer = req.consumer || await this.authenticate(req);
+                const required = typeof scope === 'function' ? scope(req) : scope;
+                if (!this.hasScope(consumer, required)) {
+                    throw accessError(403, `Consumer "${consumer.name}" lacks the "${required}" scope`);
+                }
+                req.consumer = consumer;
+
+                if (consumer.type === 'apiKey' && req.query.apiKey && req.originalUrl.startsWith('/docs')) {
+                    res.cookie(DOCS_COOKIE, consumer.credential, { path: '/docs', httpOnly: true, sameSite: 'strict', secure: req.secure });
+                }
+                next();
+            } catch (error) {
+                if (!error.statusCode) {
+                    logger.error('Consumer authentication failed:', error);
+                }
+                const statusCode = error.statusCode || 500;
+                res.status(statusCode).json({
+                    error: statusCode === 401 ? 'Unauthorized' : statusCode === 403 ? 'Forbidden' : 'Internal Server Error',
+                    message: error.message
+                });
+            }
+        };
+    }
+
+    /**
+     * Validate the scopes/origins of a key request; returns an error message or null
+     */
+    validateKeyRequest({ name, scopes, origins }) {
+        if (!name || typeof name !== 'string') {
+            return 'name is required';
+        }
+        if (!Array.isArray(scopes) || !scopes.length) {
+            return `scopes must be a non-empty array of: ${SCOPES.join(', ')}`;
+        }
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (unknown.length) {
+            return `unknown scopes: ${unknown.join(', ')} (use: ${SCOPES.join(', ')})`;
+        }
+        if (origins !== undefined && origins !== null && (!Array.isArray(origins) || origins.some(o => typeof o !== 'string'))) {
+            return 'origins must be an array of origin strings';
+        }
+        return null;
+    }
+
+    /**
+     * Create a key; the plaintext is returned once and only its hash is stored
+     */
+    async issueKey({ name, scopes, origins = null }, issuedBy) {
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id: crypto.randomUUID(),
+            name,
+            scopes,
+            origins,
+            prefix: key.slice(0, KEY_PREFIX.length + 6),
+            createdAt: new Date().toISOString(),
+            createdBy: issuedBy || null,
+            revokedAt: null
+        };
+        await this._collection().doc(hashKey(key)).set(record);
+        logger.info(`✓ Issued API key "${name}" (${record.id}) with scopes ${scopes.join(', ')}`);
+        return { ...record, key };
+    }
+
+    async listKeys() {
+        const snapshot = await this._collection().get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    /**
+     * Revoke a key by id; resolves false when no such key exists
+     */
+    async revokeKey(id) {
+        const snapshot = await this._collection().where('id', '==', id).limit(1).get();
+        if (snapshot.empty) {
+            return false;
+        }
+        await snapshot.docs[0].ref.update({ revokedAt: new Date().toISOString() });
+        // Drop cached lookups so the revocation applies on this instance right away
+        this.cache.delete(snapshot.docs[0].id);
+        logger.info(`✓ Revoked API key ${id}`);
+        return true;
+    }
+}
+
+export const accessControl = new AccessControl(config.access);
@@ -0,0 +1,665 @@
+import express from 'express';
+import cors from 'cors';
+import { createProxyMiddleware, responseInterceptor } from 'http-proxy-middleware';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { sessionPool } from './sessionPool.js';
+import { ManualCookieStrategy } from './strategies/index.js';
+import { cacheMiddleware, storeCacheableResponse } from './cache.js';
+import {
+    bufferRequestBody,
+    writeBufferedBody,
+    rememberUpstreamPath,
+    retryAfterReauthentication,
+    applyReplayedResponse
+} from './reauth.js';
+import { routeTable } from './routeTable.js';
+import { createCatalogRouter } from './catalog.js';
+import { createVinRouter, rejectMalformedVin } from './vin.js';
+import { transformArticleResponse, rejectUnknownArticleFormat, articleRequest } from './articleTransform.js';
+import { createExportRouter } from './exports.js';
+import { searchIndex, createSearchRouter } from './search.js';
+import { createMaintenanceRouter } from './maintenance.js';
+import { createQuoteRouter } from './quotes.js';
+import { createUserDataRouter, createProfileRouter } from './userData.js';
+import { createChangeRouter } from './changeTracking.js';
+import { authEventStream, AUTH_EVENTS_PATH } from './authEvents.js';
+import { accessControl } from './access.js';
+import { rateLimiter, upstreamLimiter } from './rateLimit.js';
+import { registry, metricsMiddleware, metrics, routeTemplate } from './metrics.js';
+import { motorRequest } from './upstream.js';
+import { harArchive } from './har.js';
+import logger, { requestLogger } from './logger.js';
+import swaggerUi from 'swagger-ui-express';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const swaggerDocument = JSON.parse(fs.readFileSync(path.join(__dirname, 'swagger.json'), 'utf8'));
+
+// Authentication initialization, shared by every app instance of the process.
+// Lazy mode runs it on the first proxied request (no cold start spinup for serverless
+// functions); eager mode starts it as soon as the app is created.
+let authInitialized = false;
+let authInitPromise = null;
+
+export async function initializeAuth() {
+    if (authInitialized) return;
+
+    // If initialization is already in progress, wait for it
+    if (authInitPromise) {
+        await authInitPromise;
+        return;
+    }
+
+    authInitPromise = (async () => {
+        try {
+            logger.info(`Authentication initialization (${sessionPool.managers.length} account(s))...`);
+            await sessionPool.initialize();
+            logger.info('✓ Authentication initialized successfully');
+            authInitialized = true;
+        } catch (error) {
+            logger.error('Failed to initialize authentication:', error);
+            logger.error('Error details:', error.message, error.stack);
+            // Mark as attempted so we don't retry on every request;
+            // the pool re-authenticates accounts on demand from here on
+            authInitialized = true;
+            throw error; // Re-throw so the caller (middleware or startup) can handle it
+        }
+    })();
+
+    await authInitPromise;
+}
+
+/**
+ * Attach a pool account with a valid session to the request and return its Cookie header
+ */
+async function acquireSession(req) {
+    let lastError = null;
+    const tried = new Set();
+
+    for (let attempt = 0; attempt < sessionPool.managers.length; attempt++) {
+        const manager = sessionPool.acquire();
+        if (!manager || tried.has(manager)) {
+            break;
+        }
+        tried.add(manager);
+
+        try {
+            if (!manager.isSessionValid()) {
+                logger.info(`[${manager.id}] Session invalid, attempting to restore/authenticate...`);
+                const loaded = await manager.loadSession();
+                if (!loaded || !manager.isSessionValid()) {
+                    logger.info(`[${manager.id}] No valid session, authenticating now...`);
+                    // Reset progress before starting authentication
+                    manager.resetProgress();
+                    await manager.authenticate();
+                    logger.info(`[${manager.id}] ✓ Authentication successful`);
+                }
+            }
+
+            const cookieHeader = await manager.getCookieHeader();
+            if (!cookieHeader || cookieHeader.length === 0) {
+                throw new Error('Failed to get cookie header - authentication may have failed');
+            }
+            req.authManager = manager;
+            return cookieHeader;
+        } catch (error) {
+            lastError = error;
+            sessionPool.reportError(manager, error.message);
+        }
+    }
+
+    throw lastError || new Error('No account available in the session pool');
+}
+
+// Async Authentication Middleware
+const authMiddleware = async (req, res, next) => {
+    // Skip auth for preflight requests
+    if (req.method === 'OPTIONS') {
+        return next();
+    }
+
+    try {
+        // Ensure authentication is initialized
+        if (!authInitialized) {
+            logger.info('Waiting for authentication initialization...');
+            await initializeAuth();
+        }
+
+        // Pick an account from the pool and make sure its session is usable.
+        // An account that cannot authenticate is taken out of rotation and the next one is tried.
+        const cookieHeader = await acquireSession(req);
+
+        req.headers['cookie'] = cookieHeader; // Attach to request headers
+        req.headers['user-agent'] = config.userAgent; // Match the browser session UA
+        req.headers['referer'] = 'https://sites.motor.com/m1/'; // Spoof referer
+        req.headers['x-requested-with'] = 'XMLHttpRequest'; // Mark as AJAX
+        next();
+    } catch (error) {
+        logger.error('Authentication check failed:', error);
+        logger.error('Error details:', error.message, error.stack);
+        res.status(500).json({
+            error: 'Authentication failed',
+            message: error.message,
+            type: 'https://tools.ietf.org/html/rfc9110#section-15.5.2',
+            title: 'Internal Server Error',
+            status: 500
+        });
+    }
+};
+
+/**
+ * Rewrite legacy /v1 paths to the Motor /api they map to
+ */
+function rewriteLegacyPath(path) {
+    // Explicit rewrites for Chek-Chart legacy paths to /api
+    if (path.includes('/Information/Chek-Chart/Years') && path.includes('/Makes') && path.includes('/Models')) {
+        return path.replace('/v1/Information/Chek-Chart/Years', '/api/year').replace('/Makes', '/make').replace('/Models', '/models');
+    }
+    if (path.includes('/Information/Chek-Chart/Years') && path.includes('/Makes')) {
+        return path.replace('/v1/Information/Chek-Chart/Years', '/api/year').replace('/Makes', '/makes');
+    }
+    if (path.includes('/Information/Chek-Chart/Years')) {
+        return path.replace('/v1/Information/Chek-Chart/Years', '/api/years');
+    }
+    // Passthrough for /v1/api... -> /api...
+    if (path.startsWith('/v1/api')) {
+        return path.replace('/v1/api', '/api');
+    }
+    return path;
+}
+
+/**
+ * Headers the Motor connector expects, with the cookies set by authMiddleware
+ */
+function setUpstreamHeaders(proxyReq, req, route) {
+    const cookieHeader = req.headers['cookie'];
+    if (cookieHeader) {
+        proxyReq.setHeader('Cookie', cookieHeader);
+        // Names only: cookie values are the library session
+        logger.debug(`Cookies set for ${route}: ${cookieHeader.split(';').map(pair => pair.split('=')[0].trim()).join(', ')}`);
+    } else {
+        logger.warn(`No cookie header available for ${route}!`);
+    }
+
+    proxyReq.setHeader('Origin', 'https://sites.motor.com');
+    proxyReq.setHeader('Referer', 'https://sites.motor.com/m1/');
+    proxyReq.setHeader('User-Agent', config.userAgent);
+    proxyReq.setHeader('X-Requested-With', 'XMLHttpRequest');
+
+    // Consumer credentials are ours, never Motor's
+    proxyReq.removeHeader('X-API-Key');
+    proxyReq.removeHeader('Authorization');
+
+    // Correlate our logs with the upstream call
+    if (req.requestId) {
+        proxyReq.setHeader('X-Request-Id', req.requestId);
+    }
+    req.upstreamStartedAt = Date.now();
+}
+
+/**
+ * Structured fields describing the upstream call of a proxied request
+ */
+function upstreamFields(req, statusCode) {
+    return {
+        upstream: {
+            method: req.method,
+            path: req.upstreamPath,
+            status: statusCode,
+            latencyMs: req.upstreamStartedAt ? Date.now() - req.upstreamStartedAt : null,
+            account: req.authManager ? req.authManager.id : null
+        }
+    };
+}
+
+/**
+ * Upstream latency of a proxied request, by route template (replays are measured by motorRequest)
+ */
+function observeUpstream(req, statusCode) {
+    if (req.upstreamStartedAt) {
+        metrics.upstreamLatency.observe({
+            route: routeTemplate(req.upstreamPath || req.originalUrl),
+            status: statusCode
+        }, (Date.now() - req.upstreamStartedAt) / 1000);
+    }
+}
+
+/**
+ * Hide the upstream: our own CORS headers, no Motor cookies or server banners
+ */
+function sanitizeResponseHeaders(req, res) {
+    // STRICTLY override CORS to hide upstream source; only allowlisted origins are reflected
+    const requestOrigin = req.headers['origin'];
+    if (!requestOrigin) {
+        res.setHeader('access-control-allow-origin', '*');
+    } else if (accessControl.isOriginAllowed(requestOrigin)) {
+        res.setHeader('access-control-allow-origin', requestOrigin);
+        res.setHeader('access-control-allow-credentials', 'true');
+    } else {
+        res.removeHeader('access-control-allow-origin');
+        res.removeHeader('access-control-allow-credentials');
+    }
+
+    // STRIP upstream headers that might reveal the source or leak data
+    res.removeHeader('set-cookie'); // Frontend doesn't need Motor cookies
+    res.removeHeader('server');     // Hide upstream server info
+    res.removeHeader('x-powered-by');
+}
+
+/**
+ * Readiness probe: call Motor's keep-alive endpoint with an account that already has a
+ * valid session. Never logs in, so a failing upstream cannot trigger a login storm.
+ */
+async function probeUpstream() {
+    const manager = sessionPool.acquire({ requireValidSession: true });
+    if (!manager) {
+        return { ok: false, error: 'No account has a valid session' };
+    }
+
+    const startedAt = Date.now();
+    try {
+        const response = await motorRequest(config.sessionRefresh.keepAlivePath, { authManager: manager });
+        return {
+            ok: response.statusCode < 400,
+            status: response.statusCode,
+            latencyMs: Date.now() - startedAt,
+            account: manager.id
+        };
+    } catch (error) {
+        return { ok: false, error: error.message, latencyMs: Date.now() - startedAt, account: manager.id };
+    }
+}
+
+function proxyErrorHandler(route) {
+    return (err, req, res) => {
+        logger.error(`Proxy error for ${route} route:`, err);
+        if (req.authManager) {
+            sessionPool.reportError(req.authManager, err.message);
+        }
+        if (!res.headersSent) {
+            res.status(500).send('Proxy Error');
+        }
+    };
+}
+
+/**
+ * Build the proxy app. Mounted by the standalone server (index.js) and the
+ * Firebase function (function.js) so both serve the same routes.
+ *
+ * Options:
+ *   eagerAuth   start authentication when the app is created instead of on the first request
+ *   corsOrigin  cors() origin setting (defaults to CORS_ORIGINS, or any origin)
+ */
+export function createApp(options = {}) {
+    const { eagerAuth = false, corsOrigin = config.corsOrigins } = options;
+
+    if (eagerAuth) {
+        // Callers that need the outcome await initializeAuth() themselves
+        initializeAuth().catch(() => {});
+    }
+
+    const app = express();
+    app.set('trust proxy', config.trustProxy);
+
+    // Correlation IDs and one structured log line per request
+    app.use(requestLogger);
+    // Request counts and durations by route template for /metrics
+    app.use(metricsMiddleware);
+
+    // Enable CORS
+    app.use(cors({
+        origin: corsOrigin,
+        credentials: true
+    }));
+
+    // Health check endpoint
+    app.use('/docs', accessControl.requireScope('docs'), swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+    // ?deep=true is a readiness check: one real upstream call with an existing session
+    app.get('/health', async (req, res) => {
+        const health = {
+            status: 'ok',
+            sessionValid: sessionPool.isSessionValid(),
+            lastAuth: sessionPool.lastAuthTime,
+            accounts: sessionPool.getStatus().map(({ progress, ...account }) => account)
+        };
+        if (req.query.deep !== 'true') {
+            return res.json(health);
+        }
+
+        health.upstream = await probeUpstream();
+        health.ready = health.upstream.ok;
+        if (!health.ready) {
+            health.status = 'unavailable';
+        }
+        res.status(health.ready ? 200 : 503).json(health);
+    });
+
+    // Prometheus scrape endpoint (per instance)
+    app.get('/metrics', accessControl.requireScope('metrics'), (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(registry.render());
+    });
+
+    // Authentication status endpoint for progress polling
+    // ?account=<id> selects an account of the pool (defaults to the first one)
+    app.get('/auth/status', (req, res) => {
+        const manager = req.query.account ? sessionPool.get(req.query.account) : sessionPool.primary;
+        if (!manager) {
+            return res.status(404).json({ error: 'Not Found', message: `Unknown account "${req.query.account}"` });
+        }
+
+        const progress = manager.getProgress();
+        res.json({
+            ...progress,
+            account: manager.id,
+            sessionValid: sessionPool.isSessionValid(),
+            lastAuth: sessionPool.lastAuthTime,
+            accounts: sessionPool.getStatus()
+        });
+    });
+
+    // Push variant of /auth/status: Server-Sent Events for every progress transition
+    // ?account=<id> follows one account (defaults to every account). The read scope: /api consumers
+    // sent here by the synthetic 401 (x-auth-events-url) must be able to subscribe
+    app.get(AUTH_EVENTS_PATH, accessControl.requireScope('read'), authEventStream);
+
+    // Trigger authentication endpoint (optional - for manual triggering)
+    // ?account=<id> re-authenticates one account, otherwise every account is started
+    app.post('/auth/start', accessControl.requireScope('auth'), async (req, res) => {
+        try {
+            const managers = req.query.account ? [sessionPool.get(req.query.account)] : sessionPool.managers;
+            if (!managers[0]) {
+                return res.status(404).json({ error: 'Not Found', message: `Unknown account "${req.query.account}"` });
+            }
+
+            managers.forEach(manager => {
+                // Reset progress and start authentication in background (don't wait)
+                manager.resetProgress();
+                manager.authenticate().catch(err => {
+                    logger.error(`[${manager.id}] Background authentication failed:`, err);
+                });
+            });
+
+            res.json({
+                status: 'started',
+                message: 'Authentication started. Poll /auth/status for progress.',
+                accounts: managers.map(manager => manager.id)
+            });
+        } catch (error) {
+            res.status(500).json({
+                status: 'error',
+                error: error.message
+            });
+        }
+    });
+
+    // Paste cookies from a browser session (accounts using the manual strategy only)
+    // Body: { cookies, account? } - account defaults to the first manual account
+    app.post('/auth/cookies', accessControl.requireScope('auth'), express.json(), async (req, res) => {
+        const body = req.body || {};
+        const manager = body.account
+            ? sessionPool.get(body.account)
+            : sessionPool.managers.find(m => m.strategy instanceof ManualCookieStrategy);
+        if (!manager || !(manager.strategy instanceof ManualCookieStrategy)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Pasting cookies requires an account with strategy "manual" (AUTH_STRATEGY=manual)'
+            });
+        }
+
+        const cookies = body.cookies;
+        if (!cookies || typeof cookies !== 'string') {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Body must be { "cookies": "name=value; other=value" }'
+            });
+        }
+
+        try {
+            manager.strategy.setCookies(cookies);
+            manager.resetProgress();
+            await manager.authenticate();
+            sessionPool.reportSuccess(manager);
+            res.json({
+                status: 'success',
+                account: manager.id,
+                sessionValid: manager.isSessionValid(),
+                lastAuth: manager.lastAuthTime
+            });
+        } catch (error) {
+            res.status(422).json({
+                status: 'error',
+                error: error.message
+            });
+        }
+    });
+
+    // API key management (admin scope)
+    app.get('/admin/keys', accessControl.requireScope('admin'), async (req, res) => {
+        try {
+            res.json({ keys: await accessControl.listKeys() });
+        } catch (error) {
+            logger.error('Could not list API keys:', error);
+            res.status(500).json({ error: 'Internal Server Error', message: error.message });
+        }
+    });
+
+    // Body: { name, scopes, origins? } - the key itself is only returned in this response
+    app.post('/admin/keys', accessControl.requireScope('admin'), express.json(), async (req, res) => {
+        const body = req.body || {};
+        const problem = accessControl.validateKeyRequest(body);
+        if (problem) {
+            return res.status(400).json({ error: 'Bad Request', message: problem });
+        }
+
+        try {
+            const issued = await accessControl.issueKey(body, req.consumer && req.consumer.name);
+            res.status(201).json(issued);
+        } catch (error) {
+            logger.error('Could not issue API key:', error);
+            res.status(500).json({ error: 'Internal Server Error', message: error.message });
+        }
+    });
+
+    app.delete('/admin/keys/:id', accessControl.requireScope('admin'), async (req, res) => {
+        try {
+            const revoked = await accessControl.revokeKey(req.params.id);
+            if (!revoked) {
+                return res.status(404).json({ error: 'Not Found', message: `Unknown API key "${req.params.id}"` });
+            }
+            res.json({ status: 'revoked', id: req.params.id });
+        } catch (error) {
+            logger.error('Could not revoke API key:', error);
+            res.status(500).json({ error: 'Internal Server Error', message: error.message });
+        }
+    });
+
+    // Every proxied or catalog request needs a consumer: reads need the "read" scope, anything else "write"
+    app.use(['/api', '/v1', '/catalog'], accessControl.requireScope(req => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write')));
+    app.use(['/api', '/v1', '/catalog'], rateLimiter.middleware());
+
+    // Normalized vehicle catalog over Motor's year/make/model, vehicle and VIN endpoints
+    app.use('/catalog', createCatalogRouter());
+
+    // VIN validation, offline decoding and vehicle resolution; the batch POST only reads
+    app.use('/vin', accessControl.requireScope('read'), rateLimiter.middleware(), createVinRouter());
+
+    // Offline content bundles: background jobs with status polling, resume and ZIP download
+    app.use('/exports', accessControl.requireScope(req => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write')), rateLimiter.middleware(), createExportRouter());
+
+    // Full-text search over the articles fetched through the proxy, plus backfill jobs
+    app.use('/search', accessControl.requireScope(req => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write')), rateLimiter.middleware(), createSearchRouter());
+
+    // Maintenance plans built from the vehicle's maintenanceSchedules (JSON, ICS, CSV)
+    app.use('/maintenance', accessControl.requireScope('read'), rateLimiter.middleware(), createMaintenanceRouter());
+
+    // Priced repair quotes from Motor labor times and parts, stored with their versions
+    app.use('/quotes', accessControl.requireScope(req => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write')), rateLimiter.middleware(), createQuoteRouter());
+
+    // Per-user bookmarks, folders and settings
+    app.use('/me', accessControl.requireScope(req => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write')), rateLimiter.middleware(), createUserDataRouter());
+
+    // Content change history of followed vehicles, watch lists and webhook subscriptions
+    app.use('/changes', accessControl.requireScope(req => (req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write')), rateLimiter.middleware(), createChangeRouter());
+
+    // Motor's bookmark and user settings routes are answered per user instead of from the shared account,
+    // under the legacy /v1/api passthrough as well
+    app.use(['/api', '/v1/api'], createProfileRouter());
+
+    // Malformed VINs never reach Motor through the raw passthrough either
+    app.get('/api/vin/:vin/vehicle', rejectMalformedVin);
+
+    // Unknown article formats are rejected before they cost an upstream request
+    app.get(['/api/source/:contentSource/vehicle/:vehicleId/article/:articleId', '/api/source/:contentSource/xml/:articleId'], rejectUnknownArticleFormat);
+
+    // Declarative routes for endpoints Motor doesn't serve directly (mock fixtures, proxies, composites)
+    // See src/routes.yaml
+    app.use(routeTable.middleware());
+
+    // Legacy /v1 route - proxies to Motor.com /m1 endpoint with path rewriting
+    app.use('/v1', upstreamLimiter.middleware(), bufferRequestBody, authMiddleware, createProxyMiddleware({
+        target: config.motorApiBase, // https://sites.motor.com/m1
+        // HAR_MODE=replay|record: served by the HAR archive instead of Motor
+        router: harArchive.enabled ? () => harArchive.proxyTarget() : undefined,
+        proxyTimeout: config.rateLimit.concurrency.requestTimeoutMs,
+        changeOrigin: true,
+        selfHandleResponse: true, // Needed to hold and replay the request after re-authentication
+        onProxyReq: (proxyReq, req, res) => {
+            try {
+                setUpstreamHeaders(proxyReq, req, '/v1');
+                rememberUpstreamPath(proxyReq, req);
+                writeBufferedBody(proxyReq, req);
+
+                logger.info(`→ ${req.method} ${req.path} → ${config.motorApiBase}${req.path.replace('/v1', '')}`);
+            } catch (error) {
+                logger.error('Error setting proxy request headers for /v1:', error);
+            }
+        },
+        pathRewrite: rewriteLegacyPath,
+        onProxyRes: responseInterceptor(async (responseBuffer, proxyRes, req, res) => {
+            observeUpstream(req, proxyRes.statusCode);
+            sanitizeResponseHeaders(req, res);
+
+            // Cache static data for 24 hours (in the client only: the route needs a credential)
+            if (req.path.includes('/years') || req.path.includes('/makes')) {
+                res.setHeader('cache-control', 'private, max-age=86400');
+            }
+
+            if (proxyRes.statusCode === 401 || proxyRes.statusCode === 403) {
+                logger.warn(`Received ${proxyRes.statusCode} from upstream. Session expired. Invalidating session and starting authentication...`);
+
+                // Hold the request while re-authenticating and replay it with fresh cookies
+                const replayed = await retryAfterReauthentication(req, proxyRes.statusCode);
+                if (replayed) {
+                    applyReplayedResponse(replayed, res);
+                    logger.info(`← ${replayed.statusCode} ${req.path} (replayed after re-authentication)`, upstreamFields(req, replayed.statusCode));
+                    return replayed.body;
+                }
+
+                // Add header to tell client to poll auth status
+                res.setHeader('x-auth-status', 'authenticating');
+                res.setHeader('x-auth-status-url', '/auth/status');
+                res.setHeader('x-auth-events-url', AUTH_EVENTS_PATH);
+                res.setHeader('x-retry-after', '2'); // Suggest polling every 2 seconds
+            } else if (proxyRes.statusCode < 400) {
+                sessionPool.reportSuccess(req.authManager);
+            }
+
+            logger.info(`← ${proxyRes.statusCode} ${req.path}`, upstreamFields(req, proxyRes.statusCode));
+            return responseBuffer;
+        }),
+        onError: proxyErrorHandler('/v1')
+    }));
+
+    // Direct /api route for Motor.com API
+    // All /api/* requests are authenticated and proxied to sites.motor.com/m1/api/*
+    // Cacheable GETs are answered by cacheMiddleware before authentication or an upstream slot is needed
+    app.use('/api', cacheMiddleware, upstreamLimiter.middleware(), bufferRequestBody, authMiddleware, createProxyMiddleware({
+        target: config.motorApiBase, // https://sites.motor.com/m1
+        // HAR_MODE=replay|record: served by the HAR archive instead of Motor
+        router: harArchive.enabled ? () => harArchive.proxyTarget() : undefined,
+        proxyTimeout: config.rateLimit.concurrency.requestTimeoutMs,
+        changeOrigin: true,
+        selfHandleResponse: true, // Allow us to intercept and modify responses
+        // /api -> /api on connector; only ?format= of article paths is ours and stays here
+        pathRewrite: path => articleRequest(path).upstreamPath,
+        onProxyReq: (proxyReq, req, res) => {
+            try {
+                setUpstreamHeaders(proxyReq, req, '/api');
+
+                // Validators are answered by our own cache layer, Motor's ETags mean nothing to the client
+                proxyReq.removeHeader('If-None-Match');
+                proxyReq.removeHeader('If-Modified-Since');
+
+                rememberUpstreamPath(proxyReq, req);
+                writeBufferedBody(proxyReq, req);
+
+                logger.info(`→ ${req.method} ${req.path} → ${config.motorApiBase}${req.path}`);
+            } catch (error) {
+                logger.error('Error setting proxy request headers for /api:', error);
+            }
+        },
+        onProxyRes: responseInterceptor(async (responseBuffer, proxyRes, req, res) => {
+            observeUpstream(req, proxyRes.statusCode);
+            sanitizeResponseHeaders(req, res);
+
+            // Handle 401/403: hold and replay the request after re-authentication,
+            // or send a custom response that triggers client polling
+            if (proxyRes.statusCode === 401 || proxyRes.statusCode === 403) {
+                logger.warn(`Received ${proxyRes.statusCode} from Motor.com. Session expired. Invalidating session and starting authentication...`);
+
+                const replayed = await retryAfterReauthentication(req, proxyRes.statusCode);
+                if (replayed) {
+                    applyReplayedResponse(replayed, res);
+                    logger.info(`← ${replayed.statusCode} ${req.path} (replayed after re-authentication)`, upstreamFields(req, replayed.statusCode));
+                    if (replayed.statusCode === 200) {
+                        searchIndex.indexResponse(req.originalUrl.split('?')[0], replayed.body, replayed.headers['content-type']);
+                    }
+                    const transformed = transformArticleResponse(replayed.body, replayed, req, res);
+                    return storeCacheableResponse(transformed.body, transformed.upstream, req, res);
+                }
+
+                // Send custom response telling client to poll auth status
+                const responseBody = JSON.stringify({
+                    error: 'Authentication required',
+                    message: 'Session expired. Authentication in progress.',
+                    status: 401,
+                    authStatus: 'authenticating',
+                    authStatusUrl: '/auth/status',
+                    // Subscribe instead of polling
+                    authEventsUrl: AUTH_EVENTS_PATH,
+                    retryAfter: 2,
+                    pollInterval: 500 // milliseconds
+                });
+
+                res.statusCode = 401;
+                res.setHeader('Content-Type', 'application/json');
+                res.setHeader('x-auth-status', 'authenticating');
+                res.setHeader('x-auth-status-url', '/auth/status');
+                res.setHeader('x-auth-events-url', AUTH_EVENTS_PATH);
+                res.setHeader('x-retry-after', '2');
+
+                logger.info(`← 401 ${req.path} (custom response - auth in progress)`, upstreamFields(req, proxyRes.statusCode));
+                return responseBody;
+            }
+
+            if (proxyRes.statusCode < 400) {
+                sessionPool.reportSuccess(req.authManager);
+            }
+
+            logger.info(`← ${proxyRes.statusCode} ${req.path}`, upstreamFields(req, proxyRes.statusCode));
+            // Fetched articles feed the search index; they are sanitized (and converted for ?format=) before they are cached
+            if (proxyRes.statusCode === 200) {
+                searchIndex.indexResponse(req.originalUrl.split('?')[0], responseBuffer, proxyRes.headers['content-type']);
+            }
+            const transformed = transformArticleResponse(responseBuffer, proxyRes, req, res);
+            return storeCacheableResponse(transformed.body, transformed.upstream, req, res);
+        }),
+        onError: proxyErrorHandler('/api')
+    }));
+
+    return app;
+}
@@ -0,0 +1,122 @@
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// OBD-II style trouble codes: P0300, B1234, U0100, ...
+const DTC_CODE = /\b[PBCU][0-3][0-9A-F]{3}\b/i;
+
+// Keys Motor nests the article list under inside the envelope body
+const LIST_KEYS = ['articleDetails', 'articles', 'items'];
+
+// Buckets in priority order; an article lands in the first one whose rule matches.
+// Motor names its buckets per content source, so each rule checks the bucket names
+// ("Diagnostic Trouble Codes", "Service Bulletins", ...), then the article subtype, then the title.
+const BUCKETS = [
+    { name: 'dtcs', bucket: /trouble code|\bdtcs?\b/i, title: DTC_CODE },
+    { name: 'tsbs', bucket: /bulletin|\btsbs?\b|recall/i, title: /\b(tsb|technical service bulletin)\b/i },
+    { name: 'wiring', key: 'wiringDiagrams', bucket: /wiring/i, title: /wiring/i },
+    { name: 'diagrams', bucket: /diagram|illustration|exploded/i, title: /diagram/i },
+    { name: 'specs', bucket: /\bspec|capacit|torque|fluid/i, title: /specification|torque|capacit/i },
+    { name: 'components', key: 'componentLocations', bucket: /component|locat|connector/i, title: /component location|connector view/i },
+    { name: 'procedures', bucket: /procedure|repair|removal|install|inspect|service/i, title: /remov|install|replac|adjust|inspect/i }
+];
+
+export const BUCKET_NAMES = BUCKETS.map(bucket => bucket.name);
+
+function envelopeKey(name) {
+    const rule = BUCKETS.find(bucket => bucket.name === name);
+    return rule.key || rule.name;
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Articles of an articles/v2 envelope body
+ */
+export function articleList(body) {
+    if (Array.isArray(body)) {
+        return body;
+    }
+    const key = body && LIST_KEYS.find(name => Array.isArray(body[name]));
+    return key ? body[key] : [];
+}
+
+function text(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Bucket name ('dtcs', 'tsbs', ...) for a Motor article, or null when none fits
+ */
+export function classifyArticle(article) {
+    const bucketName = text(article.bucketName || article.bucket);
+    const parentBucket = text(article.parentBucket);
+    const subtype = text(article.articleSubtype || article.subtype);
+    const title = text(article.title || article.name);
+
+    const byName = BUCKETS.find(rule => rule.bucket.test(bucketName) || rule.bucket.test(subtype));
+    if (byName) {
+        return byName.name;
+    }
+    const byParent = BUCKETS.find(rule => rule.bucket.test(parentBucket));
+    if (byParent) {
+        return byParent.name;
+    }
+    const byTitle = BUCKETS.find(rule => rule.title.test(title));
+    return byTitle ? byTitle.name : null;
+}
+
+function toItem(article, bucket, params) {
+    const id = text(article.id || article.articleId);
+    const title = text(article.title || article.name);
+    const code = bucket === 'dtcs' ? (title.match(DTC_CODE) || [null])[0] : null;
+    return {
+        id,
+        title,
+        subtitle: article.subtitle || null,
+        bucket,
+        bucketName: article.bucketName || article.bucket || null,
+        articleSubtype: article.articleSubtype || null,
+        code: code && code.toUpperCase(),
+        href: `/api/source/${encodeURIComponent(params.contentSource)}/vehicle/${encodeURIComponent(params.vehicleId)}/article/${encodeURIComponent(id)}`
+    };
+}
+
+function pageOptions(query) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw httpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw httpError(400, 'offset must be a non-negative integer');
+    }
+    return { limit, offset };
+}
+
+/**
+ * Composite handler `articleBucket`: the vehicle's articles (call `articles`) that fall
+ * into the route's `bucket`, paged with ?limit=&offset=. Returns { total, <key>: [...], limit, offset },
+ * the shape the frontend already reads from the old fixtures (the key is the bucket name unless
+ * the fixture used another one, e.g. `wiringDiagrams`).
+ */
+export function articleBucketHandler(results, { req, params, route }) {
+    if (!BUCKET_NAMES.includes(route.bucket)) {
+        throw new Error(`Route ${route.name} needs a bucket (one of: ${BUCKET_NAMES.join(', ')})`);
+    }
+    const { limit, offset } = pageOptions(req.query);
+
+    const items = articleList(results.articles)
+        .filter(article => article && classifyArticle(article) === route.bucket)
+        .map(article => toItem(article, route.bucket, params));
+
+    return {
+        total: items.length,
+        [envelopeKey(route.bucket)]: items.slice(offset, offset + limit),
+        limit,
+        offset
+    };
+}
@@ -0,0 +1,489 @@
+import * as cheerio from 'cheerio';
+import { config } from './config.js';
+import logger from './logger.js';
+
+export const ARTICLE_FORMATS = ['html', 'markdown', 'text', 'json-sections'];
+
+// Endpoints whose article markup goes through the transform stage
+const ARTICLE_PATHS = [
+    /^\/api\/source\/[^/]+\/vehicle\/[^/]+\/article\/[^/]+$/,
+    /^\/api\/source\/[^/]+\/xml\/[^/]+$/
+];
+
+// Motor links to its own API as https://sites.motor.com/m1/api/..., /m1/api/..., /api/... or api/...
+const MOTOR_API_LINK = /^(?:https?:\/\/sites\.motor\.com)?(?:\/?m1)?\/?(api\/.+)$/i;
+
+// Matched on local names, so namespaced forms (xlink:href, html:script in XML articles) are caught too
+const URL_ATTRIBUTES = ['src', 'href', 'data-src', 'poster', 'action', 'formaction'];
+// Stylesheets can load URLs (url(), @import) and run expression(); SVG animation elements can set
+// href or on* attributes after sanitizing; a meta refresh (checked separately) navigates away
+const UNSAFE_ELEMENTS = new Set([
+    'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'link', 'style',
+    'animate', 'set', 'animatemotion', 'animatetransform', 'handler', 'listener'
+]);
+const UNSAFE_URL = /^(?:javascript|vbscript|data:text\/html)/i;
+
+// Fields of Motor's article JSON that carry the markup
+const MARKUP_FIELDS = ['html', 'content', 'xml', 'body'];
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'html', 'li', 'main', 'ol', 'p', 'pre',
+    'section', 'table', 'ul', 'step', 'note', 'warning', 'caution', 'spec', 'para'
+]);
+const ADMONITIONS = ['warning', 'caution', 'note', 'important', 'tip'];
+
+/**
+ * Whether a request path (including its mount point) is an article endpoint
+ */
+export function isArticlePath(requestPath) {
+    return ARTICLE_PATHS.some(pattern => pattern.test(requestPath));
+}
+
+/**
+ * Path to request from Motor for an /api path: ?format= is read by this proxy only, so it is
+ * dropped from article paths. Returns { upstreamPath, format, article }.
+ */
+export function articleRequest(apiPath) {
+    const url = new URL(apiPath, 'http://localhost');
+    if (!isArticlePath(url.pathname)) {
+        return { upstreamPath: apiPath, format: undefined, article: false };
+    }
+    const format = url.searchParams.get('format') || undefined;
+    url.searchParams.delete('format');
+    return { upstreamPath: url.pathname + url.search, format, article: true };
+}
+
+/**
+ * Answer 400 for an unsupported ?format= before the request reaches Motor
+ */
+export function rejectUnknownArticleFormat(req, res, next) {
+    const { format } = req.query;
+    if (format !== undefined && !ARTICLE_FORMATS.includes(format)) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: `format must be one of: ${ARTICLE_FORMATS.join(', ')}`
+        });
+    }
+    next();
+}
+
+/**
+ * '/api/...' path of a link to Motor's API, or null for any other link. Links already rewritten
+ * to ARTICLE_ASSET_BASE_URL (articles from the response cache) count as well.
+ */
+export function motorApiPath(url) {
+    const link = String(url).trim();
+    const { assetBaseUrl } = config.articles;
+    if (assetBaseUrl && link.startsWith(`${assetBaseUrl}/api/`)) {
+        return link.slice(assetBaseUrl.length);
+    }
+    const match = link.match(MOTOR_API_LINK);
+    return match ? `/${match[1]}` : null;
+}
+
+/**
+ * Link to a Motor graphic/asset/article rewritten to go through this proxy; other links are kept
+ */
+export function rewriteLink(url) {
+    const apiPath = motorApiPath(url);
+    return apiPath ? config.articles.assetBaseUrl + apiPath : url;
+}
+
+function localName(name) {
+    return name.split(':').pop().toLowerCase();
+}
+
+function isUnsafeElement(element) {
+    const name = localName(element.name);
+    if (name === 'meta') {
+        return Object.keys(element.attribs).some(attribute => localName(attribute) === 'http-equiv' && /^\s*refresh\s*$/i.test(element.attribs[attribute]));
+    }
+    return UNSAFE_ELEMENTS.has(name);
+}
+
+/**
+ * Drop scripts, embedded frames/objects, stylesheets, SVG animation, inline event handlers and script URLs,
+ * and pass the remaining links (srcset candidates included) through `rewrite`
+ */
+function sanitize($, rewrite = rewriteLink) {
+    $('*').filter((_, element) => isUnsafeElement(element)).remove();
+    $('*').each((_, element) => {
+        Object.keys(element.attribs || {}).forEach(name => {
+            const value = element.attribs[name];
+            const lowerName = localName(name);
+            if (lowerName.startsWith('on')) {
+                $(element).removeAttr(name);
+            } else if (URL_ATTRIBUTES.includes(lowerName)) {
+                // Browsers ignore whitespace and control characters inside the scheme
+                if (UNSAFE_URL.test(value.replace(/[\s\u0000-\u001f]/g, ''))) {
+                    $(element).removeAttr(name);
+                } else {
+                    $(element).attr(name, rewrite(value));
+                }
+            } else if (lowerName === 'srcset') {
+                // "url 2x, url 640w": every candidate URL is checked and rewritten
+                const candidates = value.split(',').map(candidate => candidate.trim()).filter(Boolean);
+                if (candidates.some(candidate => UNSAFE_URL.test(candidate.replace(/[\s\u0000-\u001f]/g, '')))) {
+                    $(element).removeAttr(name);
+                } else {
+                    $(element).attr(name, candidates.map((candidate) => {
+                        const [url, ...descriptor] = candidate.split(/\s+/);
+                        return [rewrite(url), ...descriptor].join(' ');
+                    }).join(', '));
+                }
+            } else if (lowerName === 'style' && /expression\s*\(|javascript:|url\s*\(|@import/i.test(value)) {
+                $(element).removeAttr(name);
+            }
+        });
+    });
+}
+
+function collapseWhitespace(value) {
+    return value.replace(/\s+/g, ' ');
+}
+
+function tidy(value) {
+    return value.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Rendered pieces joined; whitespace carried over from the markup is dropped at line starts
+ */
+function joinPieces(pieces) {
+    return pieces.reduce((out, piece) => out + (!out || out.endsWith('\n') ? piece.replace(/^[ \t]+/, '') : piece), '');
+}
+
+/**
+ * h1-h6, or the <title> of a Motor XML article: the heading level, else null
+ */
+function headingLevel(node) {
+    if (node.name === 'title') {
+        return 1;
+    }
+    const match = node.name.match(/^h([1-6])$/);
+    return match ? Number(match[1]) : null;
+}
+
+function classNames(node) {
+    return String((node.attribs && node.attribs.class) || '').toLowerCase();
+}
+
+/**
+ * 'warning', 'caution', ... for Motor's admonition elements (<warning>) and classes (class="warning")
+ */
+function admonitionOf(node) {
+    const classes = classNames(node);
+    return ADMONITIONS.find(kind => node.name === kind || classes.split(/\s+/).includes(kind)) || null;
+}
+
+function isStep(node) {
+    return node.name === 'step' || /\bstep\b/.test(classNames(node));
+}
+
+function isSpec(node) {
+    return node.name === 'spec' || /\bspec(ification)?s?\b/.test(classNames(node));
+}
+
+function hasBlockChildren(node) {
+    return (node.children || []).some(child => child.type === 'tag' && (BLOCK_TAGS.has(child.name) || hasBlockChildren(child)));
+}
+
+/**
+ * Markdown or plain-text rendering of a parsed article
+ */
+function createRenderer($, markdown) {
+    const renderChildren = (node) => joinPieces((node.children || []).map(render));
+    const block = (content) => (content.trim() ? `\n\n${content.trim()}\n\n` : '');
+    const inline = (marker, content) => (markdown && content.trim() ? `${marker}${content.trim()}${marker}` : content);
+
+    function list(node) {
+        const items = $(node).children('li').toArray();
+        return items.map((item, index) => {
+            const bullet = node.name === 'ol' ? `${index + 1}. ` : '- ';
+            const content = tidy(renderChildren(item)).replace(/\n\n/g, '\n');
+            return bullet + content.replace(/\n/g, '\n' + ' '.repeat(bullet.length));
+        }).join('\n');
+    }
+
+    function table(node) {
+        const rows = tableRows($, node);
+        if (!rows.length) {
+            return '';
+        }
+        if (!markdown) {
+            return rows.map(cells => cells.join(' | ')).join('\n');
+        }
+        const width = Math.max(...rows.map(cells => cells.length));
+        const line = cells => `| ${Array.from({ length: width }, (_, i) => (cells[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+        return [line(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(line)].join('\n');
+    }
+
+    function render(node) {
+        if (node.type === 'text') {
+            return collapseWhitespace(node.data);
+        }
+        if (node.type === 'cdata') {
+            return renderChildren(node);
+        }
+        if (node.type !== 'tag') {
+            return '';
+        }
+
+        const admonition = admonitionOf(node);
+        if (admonition) {
+            const label = admonition.charAt(0).toUpperCase() + admonition.slice(1);
+            const content = tidy(renderChildren(node));
+            return block(markdown
+                ? `> **${label}:** ${content.replace(/\n/g, '\n> ')}`
+                : `${label.toUpperCase()}: ${content}`);
+        }
+
+        const level = headingLevel(node);
+        if (level) {
+            return block((markdown ? '#'.repeat(level) + ' ' : '') + tidy(renderChildren(node)));
+        }
+
+        switch (node.name) {
+        case 'br':
+            return '\n';
+        case 'hr':
+            return markdown ? block('---') : '\n\n';
+        case 'strong':
+        case 'b':
+            return inline('**', renderChildren(node));
+        case 'em':
+        case 'i':
+            return inline('_', renderChildren(node));
+        case 'code':
+            return inline('`', renderChildren(node));
+        case 'pre':
+            return block(markdown ? '```\n' + $(node).text().trim() + '\n```' : $(node).text());
+        case 'a': {
+            const content = renderChildren(node);
+            const href = node.attribs.href;
+            return markdown && href && content.trim() ? `[${content.trim()}](${href})` : content;
+        }
+        case 'img': {
+            const alt = node.attribs.alt || '';
+            if (markdown) {
+                return node.attribs.src ? `![${alt}](${node.attribs.src})` : '';
+            }
+            return alt ? `[${alt}]` : '';
+        }
+        case 'ul':
+        case 'ol':
+            return block(list(node));
+        case 'table':
+            return block(table(node));
+        case 'blockquote':
+            return block(markdown ? '> ' + tidy(renderChildren(node)).replace(/\n/g, '\n> ') : renderChildren(node));
+        case 'style':
+        case 'head':
+        case 'script':
+            return '';
+        default:
+            return BLOCK_TAGS.has(node.name) ? block(renderChildren(node)) : renderChildren(node);
+        }
+    }
+
+    return (node) => tidy(renderChildren(node));
+}
+
+function tableRows($, node) {
+    return $(node).find('tr').toArray()
+        .map(row => $(row).children('th, td').toArray().map(cell => collapseWhitespace($(cell).text()).trim()))
+        .filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Structured outline of the article: sections (one per heading) holding its
+ * steps, notes, warnings, cautions, specs, lists, tables, images and paragraphs
+ */
+function outline($, root) {
+    const plain = createRenderer($, false);
+    const text = (node) => (node.type === 'tag' ? plain(node) : collapseWhitespace(node.data || $(node).text()))
+        .replace(/\s*\n+\s*/g, ' ')
+        .trim();
+    const sections = [{ title: null, level: 0, items: [] }];
+    const add = (item) => sections[sections.length - 1].items.push(item);
+    let stepNumber = 0;
+
+    function visit(node) {
+        if (node.type === 'text' || node.type === 'cdata') {
+            const content = text(node);
+            if (content) {
+                add({ type: 'paragraph', text: content });
+            }
+            return;
+        }
+        if (node.type !== 'tag' || node.name === 'style' || node.name === 'head') {
+            return;
+        }
+
+        const level = headingLevel(node);
+        const admonition = admonitionOf(node);
+        if (level) {
+            sections.push({ title: text(node), level, items: [] });
+            stepNumber = 0;
+        } else if (admonition) {
+            add({ type: admonition, text: text(node) });
+        } else if (isStep(node)) {
+            add({ type: 'step', number: ++stepNumber, text: text(node) });
+        } else if (node.name === 'ol') {
+            $(node).children('li').each((_, item) => add({ type: 'step', number: ++stepNumber, text: text(item) }));
+        } else if (node.name === 'ul') {
+            add({ type: 'list', items: $(node).children('li').toArray().map(text) });
+        } else if (node.name === 'table') {
+            const rows = tableRows($, node);
+            const hasHeader = $(node).find('tr').first().children('td').length === 0;
+            // Two-column tables are Motor's "item | value" specification tables
+            if (rows.length && rows.every(cells => cells.length === 2)) {
+                add({ type: 'spec', specs: rows.slice(hasHeader ? 1 : 0).map(([name, value]) => ({ name, value })) });
+            } else if (rows.length) {
+                add({ type: 'table', header: rows[0], rows: rows.slice(1) });
+            }
+        } else if (isSpec(node) && !hasBlockChildren(node)) {
+            add({ type: 'spec', text: text(node) });
+        } else if (node.name === 'img') {
+            add({ type: 'image', src: node.attribs.src || null, alt: node.attribs.alt || null });
+        } else if (hasBlockChildren(node)) {
+            (node.children || []).forEach(visit);
+        } else if (BLOCK_TAGS.has(node.name)) {
+            const content = text(node);
+            if (content) {
+                add({ type: 'paragraph', text: content });
+            }
+            $(node).find('img').each((_, image) => visit(image));
+        } else {
+            // Inline element outside a block (e.g. a bare <b> in <body>)
+            const content = text(node);
+            if (content) {
+                add({ type: 'paragraph', text: content });
+            }
+        }
+    }
+
+    (root.children || []).forEach(visit);
+    return sections.filter(section => section.title || section.items.length);
+}
+
+function loadMarkup(markup, xml) {
+    const isDocument = /^\s*(<\?xml[^>]*>\s*)?<(!doctype|html)\b/i.test(markup);
+    return cheerio.load(markup, { xml }, isDocument);
+}
+
+/**
+ * Sanitized article markup, its links passed through `rewrite` (default: through this proxy)
+ */
+export function sanitizeMarkup(markup, { xml = /^\s*<\?xml/.test(markup), rewrite = rewriteLink } = {}) {
+    const $ = loadMarkup(markup, xml);
+    sanitize($, rewrite);
+    return xml ? $.xml() : $.html();
+}
+
+/**
+ * Plain text of article markup (scripts and styles dropped), as ?format=text renders it
+ */
+export function markupText(markup) {
+    const $ = loadMarkup(markup, /^\s*<\?xml/.test(markup));
+    sanitize($);
+    return createRenderer($, false)($.root()[0]);
+}
+
+/**
+ * Markup held by Motor's article JSON: { header, body: { html | content | ... } } or the body itself
+ */
+function findMarkup(payload) {
+    const holders = [payload && payload.body, payload].filter(holder => holder && typeof holder === 'object');
+    for (const holder of holders) {
+        const key = MARKUP_FIELDS.find(name => typeof holder[name] === 'string' && /<[a-z!?]/i.test(holder[name]));
+        if (key) {
+            return { holder, key };
+        }
+    }
+    return null;
+}
+
+/**
+ * { markup, title } of a parsed Motor article response, or null when it carries no markup
+ */
+export function articleMarkup(payload) {
+    const located = findMarkup(payload);
+    return located ? { markup: located.holder[located.key], title: located.holder.title || null } : null;
+}
+
+/**
+ * Sanitize a Motor article (JSON envelope, HTML or XML) and optionally convert it to
+ * ?format=html|markdown|text|json-sections. Without a format the response keeps its shape.
+ * Returns { body, contentType }.
+ */
+export function transformArticle(buffer, contentType = '', format) {
+    const source = buffer.toString('utf8');
+    const isJson = /json/i.test(contentType);
+
+    let payload = null;
+    let markup = source;
+    let located = null;
+    if (isJson) {
+        payload = JSON.parse(source);
+        located = findMarkup(payload);
+        if (!located) {
+            // Nothing to transform (e.g. an error envelope)
+            return { body: buffer, contentType };
+        }
+        markup = located.holder[located.key];
+    }
+
+    const xml = /xml/i.test(contentType) || /^\s*<\?xml/.test(markup);
+    const $ = loadMarkup(markup, xml);
+    sanitize($);
+    const serialized = xml ? $.xml() : $.html();
+
+    if (!format) {
+        if (!isJson) {
+            return { body: serialized, contentType };
+        }
+        located.holder[located.key] = serialized;
+        return { body: JSON.stringify(payload), contentType };
+    }
+    if (format === 'html') {
+        return { body: serialized, contentType: xml ? 'application/xml; charset=utf-8' : 'text/html; charset=utf-8' };
+    }
+
+    const root = $.root()[0];
+    if (format === 'json-sections') {
+        const title = (located && located.holder.title) || $('h1').first().text().trim() || $('title').first().text().trim() || null;
+        return { body: JSON.stringify({ title, sections: outline($, root) }), contentType: 'application/json; charset=utf-8' };
+    }
+    const markdown = format === 'markdown';
+    return {
+        body: createRenderer($, markdown)(root) + '\n',
+        contentType: markdown ? 'text/markdown; charset=utf-8' : 'text/plain; charset=utf-8'
+    };
+}
+
+/**
+ * Transform stage of the /api responseInterceptor. Applies to successful article responses;
+ * returns the body to send and the upstream response as the cache should store it.
+ */
+export function transformArticleResponse(buffer, upstream, req, res) {
+    // The proxy has set req.url back to the original URL, so req.baseUrl + req.path would repeat the mount point
+    if (upstream.statusCode !== 200 || !isArticlePath(req.originalUrl.split('?')[0])) {
+        return { body: buffer, upstream };
+    }
+
+    try {
+        const { body, contentType } = transformArticle(buffer, upstream.headers['content-type'], req.query.format);
+        if (contentType) {
+            res.setHeader('content-type', contentType);
+        }
+        return {
+            body: Buffer.from(body),
+            upstream: { statusCode: upstream.statusCode, headers: { ...upstream.headers, 'content-type': contentType } }
+        };
+    } catch (error) {
+        logger.warn(`Could not transform article ${req.originalUrl}, passing it through: ${error.message}`);
+        return { body: buffer, upstream };
+    }
+}
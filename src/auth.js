@@ -1,8 +1,11 @@
+import { EventEmitter } from 'events';
 import { initializeApp, getApps } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
-import https from 'https';
-import { URL } from 'url';
 import { config } from './config.js';
+import { createStrategy, motorApiCookieUrl } from './strategies/index.js';
+import { CookieJar } from './cookieJar.js';
+import { AuthLock } from './authLock.js';
+import { metrics } from './metrics.js';
 import logger from './logger.js';
 
 // Initialize Firebase Admin if not already initialized
@@ -10,92 +13,30 @@ if (!getApps().length) {
     initializeApp();
 }
 
-const db = getFirestore();
+export const db = getFirestore();
 const SESSION_DOC_ID = 'motor_proxy_v3'; // Bump version to invalidate old sessions
 
-// Simple cookie jar to track cookies across redirects
-class CookieJar {
-    constructor() {
-        this.cookies = new Map();
-    }
-
-    setCookie(setCookieHeader, domain) {
-        if (!setCookieHeader) return;
-        
-        // Parse Set-Cookie header: "name=value; path=/; domain=.example.com"
-        const parts = setCookieHeader.split(';');
-        const [nameValue] = parts;
-        const [name, value] = nameValue.trim().split('=');
-        if (name && value) {
-            this.cookies.set(name, { value, domain });
-        }
-    }
-
-    getCookieHeader(hostname) {
-        const relevant = Array.from(this.cookies.entries())
-            .filter(([_, cookie]) => {
-                // Match domain (including subdomains)
-                return hostname.includes(cookie.domain.replace(/^\./, '')) || 
-                       cookie.domain.includes(hostname);
-            })
-            .map(([name, cookie]) => `${name}=${cookie.value}`);
-        return relevant.join('; ');
-    }
-
-    getAllCookies() {
-        return Array.from(this.cookies.entries()).map(([name, cookie]) => ({
-            name,
-            value: cookie.value,
-            domain: cookie.domain
-        }));
-    }
-}
-
-// Helper to make HTTP request and handle redirects with cookie tracking
-function httpsRequest(url, options = {}) {
-    return new Promise((resolve, reject) => {
-        const urlObj = new URL(url);
-        const requestOptions = {
-            hostname: urlObj.hostname,
-            path: urlObj.pathname + urlObj.search,
-            method: options.method || 'GET',
-            headers: {
-                'User-Agent': config.userAgent,
-                ...options.headers
-            }
-        };
-
-        const req = https.request(requestOptions, (res) => {
-            const cookies = [];
-            const setCookieHeaders = res.headers['set-cookie'] || [];
-            
-            setCookieHeaders.forEach(header => {
-                cookies.push(header);
-            });
-
-            let data = '';
-            res.on('data', chunk => { data += chunk; });
-            res.on('end', () => {
-                resolve({
-                    statusCode: res.statusCode,
-                    headers: res.headers,
-                    cookies,
-                    data,
-                    url: url
-                });
-            });
-        });
-
-        req.on('error', reject);
-        req.end();
-    });
-}
-
-class AuthManager {
-    constructor() {
-        this.cookies = [];
+// Only one instance at a time logs in to a given account (see authLock.js)
+const authLock = new AuthLock(db, config.authLock);
+
+/**
+ * Session for one account of the pool (see sessionPool.js).
+ * Emits 'progress' on every authProgress transition and 'complete' when a flow
+ * ends (status 'success' or 'error'); listeners get getProgress() plus the account id.
+ */
+export class AuthManager extends EventEmitter {
+    constructor(account) {
+        super();
+        // Every /auth/events subscriber adds listeners
+        this.setMaxListeners(0);
+        this.id = account.id;
+        this.strategy = createStrategy(account.strategy, account);
+        // The default account keeps the original document so existing sessions survive
+        this.sessionDocId = account.id === 'default' ? SESSION_DOC_ID : `${SESSION_DOC_ID}_${account.id}`;
+        this.cookieJar = new CookieJar();
         this.lastAuthTime = null;
         this.authPromise = null;
+        this.stepStartedAt = null;
         // Progress tracking for UI polling
         this.authProgress = {
             status: 'idle', // 'idle' | 'authenticating' | 'success' | 'error'
@@ -116,9 +57,18 @@ class AuthManager {
     }
 
     /**
-     * Update progress state
+     * Update progress state and notify listeners.
+     * 'success' and 'error' end the flow (`error` is the failure reason).
      */
-    _updateProgress(status, step, message, progress = null) {
+    _updateProgress(status, step, message, progress = null, error = null) {
+        // Each step lasts until the next one starts (complete/failed end the flow)
+        if (step !== this.authProgress.step) {
+            if (this.authProgress.step && this.stepStartedAt) {
+                metrics.authStepDuration.observe({ account: this.id, step: this.authProgress.step }, (Date.now() - this.stepStartedAt) / 1000);
+            }
+            this.stepStartedAt = status === 'authenticating' ? Date.now() : null;
+        }
+
         this.authProgress = {
             ...this.authProgress,
             status,
@@ -127,18 +77,48 @@ class AuthManager {
             progress: progress !== null ? progress : this.authProgress.progress,
             startedAt: this.authProgress.startedAt || Date.now()
         };
+
+        const finished = status === 'success' || status === 'error';
+        if (finished) {
+            this.authProgress.error = error;
+            this.authProgress.completedAt = Date.now();
+        }
+
+        const event = { account: this.id, ...this.getProgress() };
+        this.emit('progress', event);
+        if (finished) {
+            this.emit('complete', event);
+        }
+    }
+
+    /**
+     * When the session stops being usable: the earliest expiry among the cookies sent
+     * to Motor, or lastAuthTime + maxSessionAge when they are all session cookies
+     */
+    getSessionExpiry() {
+        if (!this.lastAuthTime) {
+            return null;
+        }
+        const cookieExpiry = this.cookieJar.earliestExpiry(motorApiCookieUrl());
+        return cookieExpiry !== null ? cookieExpiry : this.lastAuthTime + config.maxSessionAge;
     }
 
     /**
-     * Check if session is valid
+     * Check if session is valid (Motor cookies present and not expired)
      */
     isSessionValid() {
-        if (!this.cookies.length || !this.lastAuthTime) {
+        if (!this.lastAuthTime || this.cookieJar.getCookies(motorApiCookieUrl()).length === 0) {
             return false;
         }
+        return Date.now() < this.getSessionExpiry();
+    }
 
-        const age = Date.now() - this.lastAuthTime;
-        return age < config.maxSessionAge;
+    /**
+     * Drop the in-memory session (the Firestore copy is left alone)
+     */
+    clearSession() {
+        this.lastAuthTime = 0;
+        this.cookieJar = new CookieJar();
     }
 
     /**
@@ -146,22 +126,20 @@ class AuthManager {
      */
     async loadSession() {
         try {
-            const doc = await db.collection('sessions').doc(SESSION_DOC_ID).get();
+            const doc = await this._sessionRef().get();
 
             if (!doc.exists) {
-                logger.info('No saved session found in Firestore, will authenticate');
+                logger.info(`[${this.id}] No saved session found in Firestore, will authenticate`);
                 return false;
             }
 
-            const session = doc.data();
-            this.cookies = session.cookies;
-            this.lastAuthTime = session.timestamp;
+            this._adoptSession(doc.data());
 
             if (this.isSessionValid()) {
-                logger.info('✓ Loaded valid session from Firestore');
+                logger.info(`[${this.id}] ✓ Loaded valid session from Firestore`);
                 return true;
             } else {
-                logger.info('Session expired, re-authenticating...');
+                logger.info(`[${this.id}] Session expired, re-authenticating...`);
                 return false;
             }
         } catch (error) {
@@ -170,21 +148,43 @@ class AuthManager {
         }
     }
 
+    _sessionRef() {
+        return db.collection('sessions').doc(this.sessionDocId);
+    }
+
+    /**
+     * Take over cookies from a stored session document
+     */
+    _adoptSession(session) {
+        this.cookieJar = CookieJar.fromJSON(session.cookies);
+        this.lastAuthTime = session.timestamp;
+    }
+
     /**
-     * Save session cookies to Firestore
+     * Save session cookies to Firestore.
+     * With an auth lease, the write and the lease release happen in one transaction.
      */
-    async saveSession() {
+    async saveSession(lease = null) {
         const session = {
-            cookies: this.cookies,
+            cookies: this.cookieJar.toJSON(),
             timestamp: this.lastAuthTime,
+            expiresAt: this.getSessionExpiry(),
             updatedAt: new Date().toISOString()
         };
 
         try {
-            await db.collection('sessions').doc(SESSION_DOC_ID).set(session);
+            if (!lease) {
+                await this._sessionRef().set(session);
+            } else if (!(await lease.commit(writer => writer.set(this._sessionRef(), session)))) {
+                logger.warn(`[${this.id}] Auth lease was taken over during login, keeping the newer stored session`);
+                return;
+            }
             logger.info('✓ Session saved to Firestore');
         } catch (e) {
             logger.error('Could not save session to Firestore', e);
+            if (lease) {
+                await lease.release().catch(() => {});
+            }
         }
     }
 
@@ -193,7 +193,7 @@ class AuthManager {
      */
     async deleteSession() {
         try {
-            await db.collection('sessions').doc(SESSION_DOC_ID).delete();
+            await this._sessionRef().delete();
             logger.info('✓ Session deleted from Firestore');
         } catch (e) {
             logger.error('Could not delete session from Firestore', e);
@@ -204,19 +204,52 @@ class AuthManager {
      * Invalidate session (clears in-memory and deletes from Firestore)
      */
     async invalidateSession() {
-        this.lastAuthTime = 0;
-        this.cookies = [];
+        this.clearSession();
         await this.deleteSession();
         logger.info('✓ Session invalidated and deleted');
     }
 
     /**
-     * Simplified authentication flow using direct GET request
+     * Take the account's auth lease, or wait for the instance holding it and adopt its session.
+     * Resolves with the lease, or null when another instance's session was adopted.
+     */
+    async _acquireLease() {
+        for (;;) {
+            let lease;
+            try {
+                lease = await authLock.acquire(this.sessionDocId);
+            } catch (error) {
+                logger.warn(`[${this.id}] Auth lock unavailable, logging in without it: ${error.message}`);
+                return authLock.unlocked(this.sessionDocId);
+            }
+
+            if (lease.acquired) {
+                return lease;
+            }
+
+            logger.info(`[${this.id}] Another instance (${lease.holder}) is logging in, waiting for its session...`);
+            this._updateProgress('authenticating', 'waiting_for_lock', 'Waiting for another instance to finish logging in...', 10);
+            const outcome = await authLock.waitForOutcome(this.sessionDocId, this._sessionRef(), lease.acquiredAt, lease.expiresAt);
+
+            if (outcome.session) {
+                this._adoptSession(outcome.session);
+                if (this.isSessionValid()) {
+                    return null;
+                }
+            } else if (outcome.failed) {
+                throw new Error(`Authentication failed on another instance: ${outcome.failed}`);
+            }
+            // The holder crashed or gave up without a session: race for the lease again
+        }
+    }
+
+    /**
+     * Log in with the configured strategy and persist the resulting session
      */
     async authenticate() {
         // If authentication is already in progress, return the existing promise
         if (this.authPromise) {
-            logger.info('Authentication already in progress, waiting for result...');
+            logger.info(`[${this.id}] Authentication already in progress, waiting for result...`);
             try {
                 await this.authPromise;
                 return;
@@ -230,107 +263,52 @@ class AuthManager {
 
         // Create a new auth promise
         this.authPromise = (async () => {
-            logger.info('Starting simplified authentication flow...');
+            const strategy = this.strategy.constructor.id;
+            const startedAt = Date.now();
+            const finish = (outcome) => {
+                metrics.authOutcomes.inc({ account: this.id, strategy, outcome });
+                metrics.authDuration.observe({ account: this.id, outcome }, (Date.now() - startedAt) / 1000);
+            };
+            logger.info(`[${this.id}] Starting ${strategy} authentication flow...`);
+            metrics.authAttempts.inc({ account: this.id, strategy });
             this._updateProgress('authenticating', 'init', 'Starting authentication...', 0);
 
             try {
-                const ebscoLoginUrl = 'https://search.ebscohost.com/login.aspx?authtype=uid&user=pl7321r&password=PL%3F7321R&profile=autorepso&groupid=remote';
-                const cookieJar = new CookieJar();
-                let currentUrl = ebscoLoginUrl;
-                let redirectCount = 0;
-                const maxRedirects = 10;
-
-                logger.info(`Step 1: Making GET request to EBSCO login URL...`);
-                this._updateProgress('authenticating', 'ebsco_login', 'Connecting to EBSCO...', 10);
-                
-                // Follow redirects manually to capture cookies
-                while (redirectCount < maxRedirects) {
-                    const urlObj = new URL(currentUrl);
-                    const cookieHeader = cookieJar.getCookieHeader(urlObj.hostname);
-                    
-                    const response = await httpsRequest(currentUrl, {
-                        headers: cookieHeader ? { 'Cookie': cookieHeader } : {}
-                    });
-
-                    // Store cookies from this response
-                    response.cookies.forEach(cookie => {
-                        cookieJar.setCookie(cookie, urlObj.hostname);
-                    });
-
-                    logger.info(`Response status: ${response.statusCode}, URL: ${currentUrl}`);
-                    logger.info(`Cookies received: ${response.cookies.length}`);
-
-                    // Update progress based on redirect count
-                    const progressPercent = Math.min(10 + (redirectCount * 15), 70);
-                    this._updateProgress('authenticating', 'redirecting', `Following redirect ${redirectCount + 1}...`, progressPercent);
-
-                    // Handle redirect
-                    if (response.statusCode >= 300 && response.statusCode < 400) {
-                        const location = response.headers.location;
-                        if (location) {
-                            currentUrl = new URL(location, currentUrl).href;
-                            redirectCount++;
-                            logger.info(`Redirect ${redirectCount} to: ${currentUrl}`);
-                            continue;
-                        }
-                    }
-
-                    // Check if we've reached motor.com
-                    if (currentUrl.includes('motor.com')) {
-                        logger.info(`✓ Reached motor.com at: ${currentUrl}`);
-                        this._updateProgress('authenticating', 'motor_connect', 'Connecting to Motor.com...', 75);
-                        
-                        // Make a final request to motor.com/m1 to ensure we have the right cookies
-                        const motorUrl = 'https://sites.motor.com/m1';
-                        const cookieHeaderForMotor = cookieJar.getCookieHeader('sites.motor.com');
-                        
-                        logger.info('Step 2: Making final request to motor.com/m1...');
-                        this._updateProgress('authenticating', 'motor_auth', 'Authenticating with Motor.com...', 85);
-                        const finalResponse = await httpsRequest(motorUrl, {
-                            headers: cookieHeaderForMotor ? { 'Cookie': cookieHeaderForMotor } : {}
-                        });
-
-                        // Store any additional cookies from motor.com
-                        finalResponse.cookies.forEach(cookie => {
-                            cookieJar.setCookie(cookie, 'sites.motor.com');
-                        });
-
-                        logger.info(`Final response status: ${finalResponse.statusCode}`);
-                        break;
-                    }
-
-                    // If we get here and no redirect, we're done
-                    break;
+                const lease = await this._acquireLease();
+                if (!lease) {
+                    logger.info(`[${this.id}] ✓ Adopted session from another instance, valid until ${new Date(this.getSessionExpiry()).toISOString()}`);
+                    this._updateProgress('success', 'complete', 'Adopted session from another instance', 100);
+                    finish('adopted');
+                    return;
                 }
 
-                // Extract all motor.com cookies
-                this.cookies = cookieJar.getAllCookies().filter(cookie => 
-                    cookie.domain.includes('motor.com')
-                );
-
-                // If we didn't get motor.com cookies, use all cookies we collected
-                if (this.cookies.length === 0) {
-                    const allCookies = cookieJar.getAllCookies();
-                    logger.warn(`No motor.com cookies found, using all cookies: ${allCookies.length}`);
-                    this.cookies = allCookies;
+                try {
+                    // The strategy reports its own steps through the same progress contract
+                    this.cookieJar = await this.strategy.authenticate((step, message, progress) => {
+                        this._updateProgress('authenticating', step, message, progress);
+                    });
+                } catch (error) {
+                    await lease.release(error).catch(err => logger.warn(`[${this.id}] Could not release auth lease: ${err.message}`));
+                    throw error;
                 }
 
                 this.lastAuthTime = Date.now();
 
-                logger.info(`✓ Authentication successful! Got ${this.cookies.length} cookies`);
-                logger.info(`Cookies: ${this.cookies.map(c => c.name).join(', ')}`);
+                const cookies = this.cookieJar.getAllCookies();
+                logger.info(`[${this.id}] ✓ Authentication successful! Got ${cookies.length} cookies, session valid until ${new Date(this.getSessionExpiry()).toISOString()}`);
+                // Names only: the values are the session
+                logger.info(`[${this.id}] Cookie names: ${cookies.map(c => c.name).join(', ')}`);
 
                 this._updateProgress('authenticating', 'saving', 'Saving session...', 95);
-                await this.saveSession();
+                await this.saveSession(lease);
 
                 this._updateProgress('success', 'complete', 'Authentication successful!', 100);
-                this.authProgress.completedAt = Date.now();
+                finish('success');
 
             } catch (error) {
-                logger.error('Authentication failed:', error);
-                this._updateProgress('error', 'failed', `Authentication failed: ${error.message}`, 0);
-                this.authProgress.error = error.message;
-                this.authProgress.completedAt = Date.now();
+                logger.error(`[${this.id}] Authentication failed:`, error);
+                this._updateProgress('error', 'failed', `Authentication failed: ${error.message}`, 0, error.message);
+                finish('failure');
                 throw error;
             }
         })();
@@ -343,19 +321,24 @@ class AuthManager {
     }
 
     /**
-     * Get session cookies (authenticate if needed)
+     * Get the cookies sent to the Motor API (authenticate if needed)
      */
     async getCookies() {
         if (!this.isSessionValid()) {
-            await this.authenticate();
+            // A newer session may have been stored by the background refresher or another instance
+            const loaded = !this.authPromise && await this.loadSession();
+            if (!loaded) {
+                await this.authenticate();
+            }
         }
-        return this.cookies;
+        return this.cookieJar.getCookies(motorApiCookieUrl());
     }
 
     /**
      * Reset progress state (call before starting new authentication)
      */
     resetProgress() {
+        this.stepStartedAt = null;
         this.authProgress = {
             status: 'idle',
             step: null,
@@ -375,6 +358,3 @@ class AuthManager {
         return cookies.map(c => `${c.name}=${c.value}`).join('; ');
     }
 }
-
-// Singleton instance
-export const authManager = new AuthManager();
@@ -0,0 +1,147 @@
+import { URL } from 'url';
+import { WebSocketServer } from 'ws';
+import { config } from './config.js';
+import { sessionPool } from './sessionPool.js';
+import { accessControl } from './access.js';
+import logger from './logger.js';
+
+export const AUTH_EVENTS_PATH = '/auth/events';
+
+/**
+ * Accounts a subscriber follows: one (?account=<id>) or the whole pool; null for an unknown id
+ */
+function selectManagers(accountId) {
+    if (!accountId) {
+        return sessionPool.managers;
+    }
+    const manager = sessionPool.get(accountId);
+    return manager ? [manager] : null;
+}
+
+/**
+ * Current state, sent first so subscribers do not need a separate /auth/status call
+ */
+function snapshot(managers) {
+    return {
+        sessionValid: sessionPool.isSessionValid(),
+        lastAuth: sessionPool.lastAuthTime,
+        accounts: managers.map(manager => ({ account: manager.id, ...manager.getProgress() }))
+    };
+}
+
+/**
+ * Forward the managers' 'progress' and 'complete' events to send(event, data).
+ * Returns the function that removes the listeners again.
+ */
+function subscribe(managers, send) {
+    const removers = managers.map(manager => {
+        const onProgress = data => send('progress', data);
+        const onComplete = data => send('complete', data);
+        manager.on('progress', onProgress);
+        manager.on('complete', onComplete);
+        return () => {
+            manager.off('progress', onProgress);
+            manager.off('complete', onComplete);
+        };
+    });
+    return () => removers.forEach(remove => remove());
+}
+
+/**
+ * GET /auth/events: Server-Sent Events stream of authentication progress.
+ * Events: status (snapshot on connect), progress (every transition), complete (success or error).
+ */
+export function authEventStream(req, res) {
+    const managers = selectManagers(req.query.account);
+    if (!managers) {
+        return res.status(404).json({ error: 'Not Found', message: `Unknown account "${req.query.account}"` });
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Keep reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // EventSource reconnects after this delay when the platform closes the connection
+    res.write('retry: 2000\n\n');
+    send('status', snapshot(managers));
+    const unsubscribe = subscribe(managers, send);
+
+    // Comments keep idle connections from being dropped by intermediaries
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), config.authEvents.heartbeatMs);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+function rejectUpgrade(socket, status) {
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * WebSocket variant of /auth/events on an http.Server (standalone server only).
+ * Messages are JSON: { event, data } with the same events as the SSE stream.
+ */
+export function attachAuthEventSocket(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== AUTH_EVENTS_PATH) {
+            return rejectUpgrade(socket, '404 Not Found');
+        }
+        // Browsers do not apply CORS to WebSockets, so check the origin here
+        if (req.headers.origin && !accessControl.isOriginAllowed(req.headers.origin)) {
+            return rejectUpgrade(socket, '403 Forbidden');
+        }
+        // Same scope as the SSE route
+        if (accessControl.enabled) {
+            try {
+                const consumer = await accessControl.authenticate(req);
+                if (!accessControl.hasScope(consumer, 'read')) {
+                    return rejectUpgrade(socket, '403 Forbidden');
+                }
+            } catch (error) {
+                if (!error.statusCode) {
+                    logger.error('Auth events WebSocket authentication failed:', error);
+                }
+                return rejectUpgrade(socket, error.statusCode === 403 ? '403 Forbidden' : error.statusCode === 401 ? '401 Unauthorized' : '500 Internal Server Error');
+            }
+        }
+        const managers = selectManagers(url.searchParams.get('account'));
+        if (!managers) {
+            return rejectUpgrade(socket, '404 Not Found');
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            const send = (event, data) => {
+                if (ws.readyState === ws.OPEN) {
+                    ws.send(JSON.stringify({ event, data }));
+                }
+            };
+
+            send('status', snapshot(managers));
+            const unsubscribe = subscribe(managers, send);
+            const heartbeat = setInterval(() => ws.ping(), config.authEvents.heartbeatMs);
+
+            ws.on('close', () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+            });
+            ws.on('error', (error) => logger.warn(`Auth events WebSocket error: ${error.message}`));
+        });
+    });
+
+    return wss;
+}
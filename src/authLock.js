@@ -0,0 +1,225 @@
+import os from 'os';
+import crypto from 'crypto';
+import logger from './logger.js';
+
+/**
+ * Firestore lease lock that keeps Cloud Function instances from logging in to the same
+ * account at the same time (parallel EBSCO logins invalidate each other's cookies).
+ *
+ * One lease document per session document: { holder, acquiredAt, expiresAt, renewedAt }.
+ * The holder renews the lease while its login runs; if it crashes the lease simply
+ * expires after `leaseMs` and the next instance takes over. Instances that lose the
+ * race wait for the holder's session to appear (snapshot listener) and adopt it.
+ */
+export class AuthLock {
+    constructor(db, options) {
+        this.db = db;
+        this.options = options;
+        // Unique per process, so two instances on the same host never share a lease
+        this.holderId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    }
+
+    _ref(key) {
+        return this.db.collection(this.options.collection).doc(key);
+    }
+
+    /**
+     * Try to take the lease for `key`.
+     * Resolves with a Lease when this instance may log in, or with
+     * { acquired: false, holder, acquiredAt, expiresAt } describing the current holder.
+     */
+    async acquire(key) {
+        if (!this.options.enabled) {
+            return this.unlocked(key);
+        }
+
+        const ref = this._ref(key);
+        return this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const now = Date.now();
+            const data = doc.exists ? doc.data() : null;
+            // A released lease is free; an expired one belongs to a holder that crashed
+            const current = data && !data.releasedAt && data.holder !== this.holderId ? data : null;
+
+            if (current && current.expiresAt > now) {
+                return {
+                    acquired: false,
+                    holder: current.holder,
+                    acquiredAt: current.acquiredAt,
+                    expiresAt: current.expiresAt
+                };
+            }
+
+            if (current) {
+                logger.warn(`Auth lease ${key} held by ${current.holder} expired ${Math.round((now - current.expiresAt) / 1000)}s ago, taking over`);
+            }
+
+            transaction.set(ref, {
+                holder: this.holderId,
+                acquiredAt: now,
+                expiresAt: now + this.options.leaseMs,
+                renewedAt: now
+            });
+            return new Lease(this, key, now, true);
+        });
+    }
+
+    /**
+     * A lease that is not backed by Firestore (lock disabled or unavailable)
+     */
+    unlocked(key) {
+        return new Lease(this, key, Date.now(), false);
+    }
+
+    /**
+     * Wait until the current holder of `key` finishes.
+     * Resolves with:
+     *   { session }  - a session stored at or after `since` (the holder's result)
+     *   { failed }   - the holder released the lease with an error
+     *   { expired }  - the lease expired or was released without a new session
+     * or rejects after `waitTimeoutMs`.
+     */
+    waitForOutcome(key, sessionRef, since, expiresAt) {
+        return new Promise((resolve, reject) => {
+            const unsubscribers = [];
+            let timer = null;
+            let deadline = null;
+            let settled = false;
+
+            const finish = (outcome, error) => {
+                if (settled) return;
+                settled = true;
+                unsubscribers.forEach(unsubscribe => unsubscribe());
+                clearTimeout(timer);
+                clearTimeout(deadline);
+                error ? reject(error) : resolve(outcome);
+            };
+
+            // The lease may be renewed while we wait, so re-arm the expiry timer on every change
+            const armExpiry = (leaseExpiresAt) => {
+                clearTimeout(timer);
+                timer = setTimeout(() => finish({ expired: true }), Math.max(0, leaseExpiresAt - Date.now()) + 1000);
+            };
+
+            deadline = setTimeout(
+                () => finish(null, new Error(`Timed out waiting for another instance to authenticate (${key})`)),
+                this.options.waitTimeoutMs
+            );
+            armExpiry(expiresAt);
+
+            unsubscribers.push(sessionRef.onSnapshot((doc) => {
+                const session = doc.exists ? doc.data() : null;
+                if (session && session.timestamp >= since) {
+                    finish({ session });
+                }
+            }, error => finish(null, error)));
+
+            unsubscribers.push(this._ref(key).onSnapshot((doc) => {
+                const lease = doc.exists ? doc.data() : null;
+                if (!lease || lease.releasedAt) {
+                    // Released: the session listener fires first on success, but the two
+                    // listeners are not ordered, so read the session once more before giving up
+                    sessionRef.get()
+                        .then((sessionDoc) => {
+                            const session = sessionDoc.exists ? sessionDoc.data() : null;
+                            if (session && session.timestamp >= since) {
+                                finish({ session });
+                            } else if (lease && lease.error) {
+                                finish({ failed: lease.error });
+                            } else {
+                                finish({ expired: true });
+                            }
+                        })
+                        .catch(error => finish(null, error));
+                } else {
+                    armExpiry(lease.expiresAt);
+                }
+            }, error => finish(null, error)));
+        });
+    }
+}
+
+/**
+ * A held lease; renews itself until committed or released
+ */
+class Lease {
+    constructor(lock, key, acquiredAt, enforced) {
+        this.lock = lock;
+        this.key = key;
+        this.acquiredAt = acquiredAt;
+        this.acquired = true;
+        this.enforced = enforced;
+        this.heartbeat = null;
+
+        if (enforced) {
+            this.heartbeat = setInterval(() => {
+                this.renew().catch(err => logger.warn(`Could not renew auth lease ${key}: ${err.message}`));
+            }, lock.options.renewIntervalMs);
+            this.heartbeat.unref();
+        }
+    }
+
+    /**
+     * Run `fn(transaction, held)` in a transaction; `held` is false when another
+     * instance took the lease over in the meantime
+     */
+    async _withLease(fn) {
+        const ref = this.lock._ref(this.key);
+        return this.lock.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const held = doc.exists && doc.data().holder === this.lock.holderId && !doc.data().releasedAt;
+            return fn(transaction, ref, held);
+        });
+    }
+
+    async renew() {
+        await this._withLease((transaction, ref, held) => {
+            if (!held) return;
+            const now = Date.now();
+            transaction.update(ref, { expiresAt: now + this.lock.options.leaseMs, renewedAt: now });
+        });
+    }
+
+    /**
+     * Store the login result and release the lease in one transaction, so a holder
+     * whose lease was taken over never overwrites the newer session.
+     * Resolves false when the lease was lost and nothing was written.
+     */
+    async commit(write) {
+        this._stopHeartbeat();
+        if (!this.enforced) {
+            const batch = this.lock.db.batch();
+            write(batch);
+            await batch.commit();
+            return true;
+        }
+        return this._withLease((transaction, ref, held) => {
+            if (!held) {
+                return false;
+            }
+            write(transaction);
+            transaction.delete(ref);
+            return true;
+        });
+    }
+
+    /**
+     * Give the lease up after a failed login; waiting instances see the error
+     */
+    async release(error = null) {
+        this._stopHeartbeat();
+        if (!this.enforced) return;
+        await this._withLease((transaction, ref, held) => {
+            if (!held) return;
+            transaction.update(ref, {
+                releasedAt: Date.now(),
+                error: error ? error.message : null
+            });
+        });
+    }
+
+    _stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
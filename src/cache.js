@@ -0,0 +1,358 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+import { db } from './auth.js';
+import { motorRequest } from './upstream.js';
+import { upstreamLimiter } from './rateLimit.js';
+import { articleRequest, transformArticle } from './articleTransform.js';
+import { metrics } from './metrics.js';
+import logger from './logger.js';
+
+// Response headers worth replaying from a cached entry
+const CACHED_HEADERS = ['content-type', 'content-disposition', 'last-modified'];
+
+// Minimal LRU: a Map keeps insertion order, so re-inserting on read moves an entry to the back
+class LruCache {
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+class ResponseCache {
+    constructor(options) {
+        this.options = options;
+        this.memory = new LruCache(options.memoryEntries);
+        this.rules = options.rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern) }));
+        this.revalidating = new Map();
+    }
+
+    /**
+     * Find the TTL rule for a request path (null when the path is not cacheable)
+     */
+    ruleFor(requestPath) {
+        const rule = this.rules.find(r => r.regex.test(requestPath));
+        if (!rule || !rule.ttl) {
+            return null;
+        }
+        return rule;
+    }
+
+    /**
+     * Firestore document ids cannot contain '/', so entries are keyed by a hash of the URL
+     */
+    _docRef(key) {
+        const id = crypto.createHash('sha256').update(key).digest('hex');
+        return db.collection(this.options.collection).doc(id);
+    }
+
+    /**
+     * Look an entry up in memory first, then in Firestore (promoting it to memory)
+     */
+    async get(key) {
+        const cached = this.memory.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        const doc = await this._docRef(key).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const data = doc.data();
+        const entry = {
+            key: data.key,
+            statusCode: data.statusCode,
+            headers: data.headers || {},
+            body: Buffer.from(data.body),
+            etag: data.etag,
+            storedAt: data.storedAt,
+            ttl: data.ttl,
+            staleWhileRevalidate: data.staleWhileRevalidate
+        };
+        this.memory.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Store an entry in both tiers. The Firestore write is best effort.
+     */
+    async set(key, entry) {
+        this.memory.set(key, entry);
+
+        if (entry.body.length > this.options.maxFirestoreBytes) {
+            logger.debug(`Cache entry too large for Firestore (${entry.body.length} bytes): ${key}`);
+            return;
+        }
+
+        try {
+            await this._docRef(key).set({
+                ...entry,
+                // Usable as a Firestore TTL policy field to purge dead entries
+                expiresAt: new Date(entry.storedAt + (entry.ttl + entry.staleWhileRevalidate) * 1000)
+            });
+        } catch (e) {
+            logger.error(`Could not write cache entry to Firestore for ${key}`, e);
+        }
+    }
+
+    /**
+     * Build an entry from an upstream response
+     */
+    createEntry(key, rule, statusCode, headers, body) {
+        const storedHeaders = {};
+        CACHED_HEADERS.forEach(name => {
+            if (headers[name]) {
+                storedHeaders[name] = headers[name];
+            }
+        });
+
+        return {
+            key,
+            statusCode,
+            headers: storedHeaders,
+            body,
+            etag: computeEtag(body),
+            storedAt: Date.now(),
+            ttl: rule.ttl,
+            staleWhileRevalidate: rule.staleWhileRevalidate || 0
+        };
+    }
+
+    /**
+     * GET an /api path from Motor and return it as the /api proxy stores it: articles are requested
+     * without ?format= and go through the same sanitize/convert stage as proxied responses
+     */
+    async _upstream(apiPath) {
+        const { upstreamPath, format, article } = articleRequest(apiPath);
+        const response = await upstreamLimiter.run(() => motorRequest(upstreamPath));
+        if (!article || response.statusCode !== 200) {
+            return response;
+        }
+        try {
+            const { body, contentType } = transformArticle(response.body, response.headers['content-type'], format);
+            return { ...response, headers: { ...response.headers, 'content-type': contentType }, body: Buffer.from(body) };
+        } catch (error) {
+            logger.warn(`Could not transform article ${apiPath}, storing it as Motor sent it: ${error.message}`);
+            return response;
+        }
+    }
+
+    /**
+     * Refresh a stale entry in the background. Concurrent calls for the same key share one upstream request.
+     */
+    revalidate(key, apiPath, rule) {
+        if (this.revalidating.has(key)) {
+            return this.revalidating.get(key);
+        }
+
+        const promise = (async () => {
+            try {
+                const response = await this._upstream(apiPath);
+                if (response.statusCode !== 200) {
+                    logger.warn(`Revalidation of ${apiPath} returned ${response.statusCode}, keeping stale entry`);
+                    return;
+                }
+                await this.set(key, this.createEntry(key, rule, response.statusCode, response.headers, response.body));
+                logger.info(`✓ Revalidated cache entry ${apiPath}`);
+            } catch (error) {
+                logger.error(`Revalidation of ${apiPath} failed:`, error);
+            } finally {
+                this.revalidating.delete(key);
+            }
+        })();
+
+        this.revalidating.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * GET a Motor API path through the cache, for code that calls Motor itself (catalog, ...).
+     * Shares entries with the /api proxy, which keys them by the same path.
+     * Resolves with { statusCode, headers, body }.
+     */
+    async fetch(apiPath) {
+        const key = `GET ${apiPath}`;
+        const rule = this.options.enabled ? this.ruleFor(apiPath.split('?')[0]) : null;
+
+        if (rule) {
+            let entry = null;
+            try {
+                entry = await this.get(key);
+            } catch (error) {
+                logger.error(`Cache lookup failed for ${key}:`, error);
+            }
+            if (entry) {
+                const age = (Date.now() - entry.storedAt) / 1000;
+                if (age < entry.ttl + entry.staleWhileRevalidate) {
+                    metrics.cache.inc({ result: age < entry.ttl ? 'HIT' : 'STALE' });
+                    if (age >= entry.ttl) {
+                        this.revalidate(key, apiPath, rule);
+                    }
+                    return entry;
+                }
+            }
+            metrics.cache.inc({ result: entry ? 'EXPIRED' : 'MISS' });
+        }
+
+        const response = await this._upstream(apiPath);
+        if (rule && response.statusCode === 200) {
+            await this.set(key, this.createEntry(key, rule, response.statusCode, response.headers, response.body));
+        }
+        return response;
+    }
+}
+
+function computeEtag(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+function etagMatches(req, etag) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (!ifNoneMatch) {
+        return false;
+    }
+    return ifNoneMatch.split(',').some(tag => {
+        const candidate = tag.trim().replace(/^W\//, '');
+        return candidate === '*' || candidate === etag;
+    });
+}
+
+function cacheKey(req) {
+    return `${req.method} ${req.originalUrl}`;
+}
+
+function requestPath(req) {
+    return req.baseUrl + req.path;
+}
+
+/**
+ * Apply ETag / Cache-Control headers for a cacheable response. `private`: the responses need a
+ * consumer credential, so shared caches and CDNs in front of the proxy must not store them.
+ * Returns true when the client's If-None-Match matches and a 304 should be sent.
+ */
+function applyValidators(req, res, etag, maxAge) {
+    res.setHeader('etag', etag);
+    res.setHeader('cache-control', `private, max-age=${Math.max(0, Math.floor(maxAge))}`);
+    return etagMatches(req, etag);
+}
+
+export const responseCache = new ResponseCache(config.cache);
+
+/**
+ * motorJson() through the response cache: GET a Motor API path and parse the envelope.
+ * Throws on non-2xx responses; the error carries the upstream statusCode.
+ */
+export async function cachedMotorJson(apiPath) {
+    const response = await responseCache.fetch(apiPath);
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        const error = new Error(`Motor API ${apiPath} returned ${response.statusCode}`);
+        error.statusCode = response.statusCode;
+        throw error;
+    }
+    return JSON.parse(response.body.toString('utf8'));
+}
+
+/**
+ * Serve /api GET requests from the cache. Fresh entries are returned directly,
+ * stale entries inside the stale-while-revalidate window are returned and refreshed
+ * in the background; everything else falls through to the proxy.
+ * Mounted before authMiddleware so cache hits never touch the Motor session.
+ */
+export async function cacheMiddleware(req, res, next) {
+    if (!config.cache.enabled || req.method !== 'GET') {
+        return next();
+    }
+
+    const rule = responseCache.ruleFor(requestPath(req));
+    if (!rule) {
+        return next();
+    }
+
+    const key = cacheKey(req);
+    req.cacheRule = rule;
+
+    let entry = null;
+    try {
+        entry = await responseCache.get(key);
+    } catch (error) {
+        logger.error(`Cache lookup failed for ${key}:`, error);
+    }
+
+    if (!entry) {
+        res.setHeader('x-cache', 'MISS');
+        metrics.cache.inc({ result: 'MISS' });
+        return next();
+    }
+
+    const age = (Date.now() - entry.storedAt) / 1000;
+    let status;
+    if (age < entry.ttl) {
+        status = 'HIT';
+    } else if (age < entry.ttl + entry.staleWhileRevalidate) {
+        status = 'STALE';
+        responseCache.revalidate(key, req.originalUrl, rule);
+    } else {
+        res.setHeader('x-cache', 'EXPIRED');
+        metrics.cache.inc({ result: 'EXPIRED' });
+        return next();
+    }
+
+    res.setHeader('x-cache', status);
+    metrics.cache.inc({ result: status });
+    res.setHeader('age', Math.floor(age));
+    Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+
+    if (applyValidators(req, res, entry.etag, entry.ttl - age)) {
+        logger.info(`← 304 ${req.originalUrl} (cache ${status})`);
+        return res.status(304).end();
+    }
+
+    logger.info(`← ${entry.statusCode} ${req.originalUrl} (cache ${status})`);
+    res.status(entry.statusCode).send(entry.body);
+}
+
+/**
+ * Called from the /api responseInterceptor with the upstream response.
+ * Stores cacheable 200 responses and applies ETag / If-None-Match handling.
+ * Returns the buffer to send (empty for a 304).
+ */
+export function storeCacheableResponse(responseBuffer, proxyRes, req, res) {
+    const rule = req.cacheRule;
+    if (!rule || proxyRes.statusCode !== 200) {
+        return responseBuffer;
+    }
+
+    const key = cacheKey(req);
+    const entry = responseCache.createEntry(key, rule, proxyRes.statusCode, proxyRes.headers, responseBuffer);
+    responseCache.set(key, entry).catch(err => {
+        logger.error(`Could not store cache entry for ${key}:`, err);
+    });
+
+    if (applyValidators(req, res, entry.etag, rule.ttl)) {
+        res.statusCode = 304;
+        return Buffer.alloc(0);
+    }
+    return responseBuffer;
+}
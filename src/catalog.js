@@ -0,0 +1,329 @@
+import http from 'http';
+import express from 'express';
+import { cachedMotorJson } from './cache.js';
+import { motorRequest } from './upstream.js';
+import { upstreamLimiter } from './rateLimit.js';
+import logger from './logger.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Motor field names for each normalized field; the first one present wins.
+// New upstream spellings only need an entry here.
+const FIELDS = {
+    year: ['year', 'Year', 'modelYear'],
+    make: ['make', 'makeName', 'MakeName'],
+    makeId: ['makeId', 'MakeID', 'id'],
+    model: ['model', 'modelName', 'ModelName', 'name'],
+    engine: ['engine', 'engineName', 'EngineName', 'engineDescription'],
+    vehicleId: ['vehicleId', 'VehicleID', 'id'],
+    motorVehicleId: ['motorVehicleId', 'MotorVehicleID', 'baseVehicleId'],
+    contentSource: ['contentSource', 'ContentSource', 'source']
+};
+
+// Keys Motor nests lists under inside the envelope body
+const LIST_KEYS = ['items', 'models', 'vehicles', 'makes', 'years'];
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function pick(record, field) {
+    if (record === null || typeof record !== 'object') {
+        return null;
+    }
+    const key = FIELDS[field].find(name => record[name] !== undefined && record[name] !== null && record[name] !== '');
+    return key ? record[key] : null;
+}
+
+function unwrapBody(payload) {
+    return payload && typeof payload === 'object' && 'body' in payload ? payload.body : payload;
+}
+
+function unwrapList(payload) {
+    const body = unwrapBody(payload);
+    if (Array.isArray(body)) {
+        return body;
+    }
+    const key = body && LIST_KEYS.find(name => Array.isArray(body[name]));
+    return key ? body[key] : [];
+}
+
+/**
+ * Lowercase, accents and punctuation removed: "Mercedes-Benz" -> "mercedesbenz"
+ */
+export function normalizeName(value) {
+    return String(value).normalize('NFKD').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How well `query` matches `candidate`, from 1 (same name) down to 0 (no match).
+ * Exact, prefix and substring matches rank first; small typos still match.
+ */
+export function matchScore(query, candidate) {
+    const q = normalizeName(query);
+    const c = normalizeName(candidate);
+    if (!q || c === q) {
+        return 1;
+    }
+    if (c.startsWith(q)) {
+        return 0.9;
+    }
+    if (c.includes(q)) {
+        return 0.75;
+    }
+    if (q.length < 3) {
+        return 0;
+    }
+    // A typo in the whole name or in what was typed so far ("hnda", "chevorlet")
+    const distance = Math.min(levenshtein(q, c), levenshtein(q, c.slice(0, q.length)));
+    return distance <= Math.max(1, Math.floor(q.length / 4)) ? 0.5 / distance : 0;
+}
+
+/**
+ * Items matching `query` on the field read by `getName`, best matches first
+ */
+function fuzzyFilter(items, query, getName) {
+    if (!query) {
+        return items;
+    }
+    return items
+        .map(item => ({ item, score: matchScore(query, getName(item) || '') }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ item }) => item);
+}
+
+function paginate(items, query) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw httpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw httpError(400, 'offset must be a non-negative integer');
+    }
+    return { items: items.slice(offset, offset + limit), total: items.length, limit, offset };
+}
+
+function parseYear(value) {
+    if (!/^\d{4}$/.test(String(value || ''))) {
+        throw httpError(400, 'year must be a four-digit year');
+    }
+    return Number(value);
+}
+
+/**
+ * Catalog vehicle from a Motor model record. Models listing several engines
+ * become one vehicle per engine, each with its own vehicle ID.
+ */
+function toVehicles(record, context) {
+    const base = {
+        year: Number(pick(record, 'year') || context.year) || null,
+        make: pick(record, 'make') || context.make || null,
+        model: pick(record, 'model'),
+        contentSource: pick(record, 'contentSource') || context.contentSource || null
+    };
+    const engines = Array.isArray(record.engines) && record.engines.length ? record.engines : [null];
+
+    return engines.map(engine => {
+        const vehicleId = pick(engine, 'vehicleId') || pick(record, 'vehicleId');
+        const vehicle = {
+            year: base.year,
+            make: base.make,
+            model: base.model,
+            engine: engine ? (typeof engine === 'string' ? engine : pick(engine, 'engine') || engine.name || null) : pick(record, 'engine'),
+            contentSource: base.contentSource,
+            vehicleId: vehicleId !== null ? String(vehicleId) : null,
+            motorVehicleId: pick(engine, 'motorVehicleId') || pick(record, 'motorVehicleId')
+        };
+        // MOTOR's own content is keyed by the MOTOR vehicle ID
+        if (!vehicle.motorVehicleId && vehicle.contentSource === 'MOTOR') {
+            vehicle.motorVehicleId = vehicle.vehicleId;
+        }
+        vehicle.motorVehicleId = vehicle.motorVehicleId !== null ? String(vehicle.motorVehicleId) : null;
+        return vehicle;
+    });
+}
+
+/**
+ * Stable catalog schema over Motor's year/make/model, vehicle and VIN endpoints.
+ * All Motor field names are confined to this mapping layer.
+ */
+class Catalog {
+    async _motorJson(apiPath) {
+        try {
+            return await cachedMotorJson(apiPath);
+        } catch (error) {
+            if (error.statusCode === 404) {
+                throw httpError(404, `Not found upstream: ${apiPath}`);
+            }
+            throw httpError(502, error.message);
+        }
+    }
+
+    async years() {
+        const years = unwrapList(await this._motorJson('/api/years'))
+            .map(item => Number(typeof item === 'object' ? pick(item, 'year') : item))
+            .filter(Number.isInteger);
+        return Array.from(new Set(years)).sort((a, b) => b - a).map(year => ({ year }));
+    }
+
+    async makes(year) {
+        return unwrapList(await this._motorJson(`/api/year/${year}/makes`))
+            .map(item => (typeof item === 'object'
+                ? { year, make: pick(item, 'make') || item.name, makeId: pick(item, 'makeId') }
+                : { year, make: String(item), makeId: null }))
+            .filter(make => make.make)
+            .sort((a, b) => a.make.localeCompare(b.make));
+    }
+
+    /**
+     * The Motor make closest to a user-typed name ("mercedes benz" -> "Mercedes-Benz")
+     */
+    async resolveMake(year, name) {
+        const makes = await this.makes(year);
+        const [best] = fuzzyFilter(makes, name, make => make.make);
+        if (!best) {
+            throw httpError(404, `No make matching "${name}" for ${year}`);
+        }
+        return best;
+    }
+
+    async vehicles(year, makeName) {
+        const make = await this.resolveMake(year, makeName);
+        const payload = await this._motorJson(`/api/year/${year}/make/${encodeURIComponent(make.make)}/models`);
+        const body = unwrapBody(payload);
+        const context = { year, make: make.make, contentSource: body && !Array.isArray(body) ? pick(body, 'contentSource') : null };
+        return unwrapList(payload).flatMap(record => toVehicles(record, context));
+    }
+
+    async vehicleByVin(vin) {
+        const body = unwrapBody(await this._motorJson(`/api/vin/${encodeURIComponent(vin)}/vehicle`));
+        const record = Array.isArray(body) ? body[0] : body;
+        if (!record) {
+            throw httpError(404, `No vehicle found for VIN ${vin}`);
+        }
+        const [vehicle] = toVehicles(record, {});
+        return { vin: record.vin || vin, ...vehicle };
+    }
+
+    /**
+     * Display name of a vehicle ("2020 Chevrolet Silverado 1500 5.3L V8")
+     */
+    async vehicleName(contentSource, vehicleId) {
+        const body = unwrapBody(await this._motorJson(`/api/source/${encodeURIComponent(contentSource)}/${encodeURIComponent(vehicleId)}/name`));
+        if (body && typeof body === 'object') {
+            return body.name || body.vehicleName || body.value || null;
+        }
+        return body ? String(body) : null;
+    }
+
+    /**
+     * MOTOR vehicles matching a vehicle of another content source (OE vehicle IDs differ from MOTOR's)
+     */
+    async motorVehicles(contentSource, vehicleId) {
+        const payload = await this._motorJson(`/api/source/${encodeURIComponent(contentSource)}/${encodeURIComponent(vehicleId)}/motorvehicles`);
+        return unwrapList(payload).flatMap(record => toVehicles(record, { contentSource: 'MOTOR' }));
+    }
+
+    /**
+     * Model information for vehicle IDs of a content source (not cached: Motor answers a POST)
+     */
+    async vehiclesById(contentSource, vehicleIds) {
+        const apiPath = `/api/source/${encodeURIComponent(contentSource)}/vehicles`;
+        const response = await upstreamLimiter.run(() => motorRequest(apiPath, {
+            method: 'POST',
+            body: JSON.stringify({ vehicleIds }),
+            headers: { 'Content-Type': 'application/json' }
+        }));
+        if (response.statusCode !== 200) {
+            throw httpError(502, `Motor API ${apiPath} returned ${response.statusCode}`);
+        }
+        return unwrapList(JSON.parse(response.body.toString('utf8')))
+            .flatMap(record => toVehicles(record, { contentSource }));
+    }
+}
+
+export const catalog = new Catalog();
+
+/**
+ * Express router for /catalog
+ */
+export function createCatalogRouter() {
+    const router = express.Router();
+
+    // Async handlers report failures as JSON, with the status carried by the error
+    const handle = (fn) => async (req, res) => {
+        try {
+            res.json(await fn(req));
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Catalog ${req.originalUrl} failed:`, error);
+            }
+            res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message });
+        }
+    };
+
+    router.get('/years', handle(async (req) => paginate(await catalog.years(), req.query)));
+
+    router.get('/years/:year/makes', handle(async (req) => {
+        const year = parseYear(req.params.year);
+        const makes = fuzzyFilter(await catalog.makes(year), req.query.q, make => make.make);
+        return paginate(makes, req.query);
+    }));
+
+    // ?year=&make= are required; make, model and engine match fuzzily
+    router.get('/vehicles', handle(async (req) => {
+        const { make, model, engine, contentSource } = req.query;
+        const year = parseYear(req.query.year);
+        if (!make) {
+            throw httpError(400, 'make is required');
+        }
+
+        let vehicles = await catalog.vehicles(year, make);
+        vehicles = fuzzyFilter(vehicles, model, vehicle => vehicle.model);
+        vehicles = fuzzyFilter(vehicles, engine, vehicle => vehicle.engine);
+        if (contentSource) {
+            vehicles = vehicles.filter(vehicle => vehicle.contentSource === contentSource);
+        }
+        return paginate(vehicles, req.query);
+    }));
+
+    router.get('/vin/:vin', handle(async (req) => {
+        if (!/^[A-HJ-NPR-Z0-9]{17}$/i.test(req.params.vin)) {
+            throw httpError(400, 'vin must be 17 characters (letters except I, O, Q and digits)');
+        }
+        return { vehicle: await catalog.vehicleByVin(req.params.vin.toUpperCase()) };
+    }));
+
+    // ?vehicleIds=a,b
+    router.get('/sources/:contentSource/vehicles', handle(async (req) => {
+        const vehicleIds = String(req.query.vehicleIds || '').split(',').map(id => id.trim()).filter(Boolean);
+        if (!vehicleIds.length) {
+            throw httpError(400, 'vehicleIds is required (comma-separated)');
+        }
+        return paginate(await catalog.vehiclesById(req.params.contentSource, vehicleIds), req.query);
+    }));
+
+    return router;
+}
@@ -0,0 +1,891 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import dns from 'dns';
+import crypto from 'crypto';
+import express from 'express';
+import { config } from './config.js';
+import { db } from './auth.js';
+import { cachedMotorJson } from './cache.js';
+import { catalog } from './catalog.js';
+import { classifyArticle, BUCKET_NAMES } from './articleBuckets.js';
+import { userDataStore, ownerOf, ownerId } from './userData.js';
+import { accessControl } from './access.js';
+import logger from './logger.js';
+
+const QUARTERS_PATH = '/api/source/track-change/processingquarters';
+const DELTA_REPORT_PATH = '/api/source/track-change/deltareport';
+
+export const DELIVERY_MODES = ['each', 'digest'];
+
+// Changes listed per vehicle in webhook payloads (the full list is in the change history)
+const PAYLOAD_CHANGES = { each: 100, digest: 20 };
+const DELIVERY_LOG_ENTRIES = 10;
+
+// Motor field names for each normalized field; the first one present wins
+const FIELDS = {
+    quarter: ['quarter', 'processingQuarter', 'name', 'value', 'id'],
+    contentSource: ['contentSource', 'source', 'contentSourceCode'],
+    vehicleId: ['vehicleId', 'vehicleID', 'baseVehicleId'],
+    vehicleName: ['vehicleName', 'vehicleDescription', 'vehicle'],
+    changeType: ['changeType', 'deltaType', 'action', 'status', 'type'],
+    articleId: ['articleId', 'contentId', 'documentId'],
+    title: ['title', 'articleTitle', 'contentTitle', 'description', 'name'],
+    bucketName: ['bucketName', 'bucket', 'contentType', 'articleType', 'category'],
+    subtype: ['articleSubtype', 'subtype']
+};
+
+// Keys Motor nests report rows under, and the changes of a vehicle row under
+const LIST_KEYS = ['items', 'deltas', 'vehicles', 'changes', 'quarters'];
+const NESTED_KEYS = ['changes', 'articles', 'deltas', 'contents', 'items'];
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function pick(record, field) {
+    const key = FIELDS[field].find(name => (typeof record[name] === 'string' && record[name].trim()) || typeof record[name] === 'number');
+    return key ? String(record[key]).trim() : null;
+}
+
+function listOf(body, keys) {
+    if (Array.isArray(body)) {
+        return body;
+    }
+    const key = body && typeof body === 'object' && keys.find(name => Array.isArray(body[name]));
+    return key ? body[key] : [];
+}
+
+function unwrap(payload) {
+    return payload && payload.body !== undefined ? payload.body : payload;
+}
+
+function vehicleKey(contentSource, vehicleId) {
+    return `${contentSource}|${vehicleId}`;
+}
+
+function docId(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+function changeTypeOf(value) {
+    const type = String(value || '').toLowerCase();
+    if (/add|new|insert|creat/.test(type)) {
+        return 'added';
+    }
+    if (/delet|remov|retir/.test(type)) {
+        return 'removed';
+    }
+    return 'updated';
+}
+
+/**
+ * Rows of a delta report as one change per article. Rows that group a vehicle's changes
+ * ({ vehicleId, changes: [...] }) pass their vehicle fields down to each change.
+ */
+export function flattenDeltaReport(body) {
+    const changes = [];
+    listOf(body, LIST_KEYS).forEach((row) => {
+        if (!row || typeof row !== 'object') {
+            return;
+        }
+        const nested = NESTED_KEYS.map(key => row[key]).find(Array.isArray);
+        const entries = nested ? nested.map(entry => ({ ...entry, ...vehicleFields(row) })) : [row];
+        entries.forEach((entry) => {
+            const vehicleId = pick(entry, 'vehicleId');
+            if (!vehicleId) {
+                return;
+            }
+            const bucketName = pick(entry, 'bucketName');
+            const title = pick(entry, 'title');
+            changes.push({
+                contentSource: pick(entry, 'contentSource'),
+                vehicleId,
+                vehicleName: pick(entry, 'vehicleName'),
+                changeType: changeTypeOf(pick(entry, 'changeType')),
+                // A plain `id` is the article only inside a vehicle's change list
+                articleId: pick(entry, 'articleId') || (nested && entry.id !== undefined ? String(entry.id) : null),
+                title,
+                bucketName,
+                bucket: classifyArticle({ bucketName, articleSubtype: pick(entry, 'subtype'), title }) || 'other'
+            });
+        });
+    });
+    return changes;
+}
+
+function vehicleFields(row) {
+    return Object.fromEntries(['contentSource', 'vehicleId', 'vehicleName']
+        .flatMap(field => FIELDS[field])
+        .filter(name => row[name] !== undefined)
+        .map(name => [name, row[name]]));
+}
+
+function countByBucket(changes) {
+    const counts = {};
+    changes.forEach((change) => {
+        counts[change.bucket] = (counts[change.bucket] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Signature header value for a webhook body: sha256=HMAC-SHA256(secret, "<timestamp>.<body>") in hex.
+ * Receivers recompute it with their subscription secret and the X-Webhook-Timestamp header.
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Addresses a webhook must not reach: this host, the link-local metadata endpoints and private networks
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that fails when the host resolves to a private address, so the check
+ * holds for the connection itself (no window for the name to resolve differently)
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        }
+        return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Reject a webhook URL whose host is, or resolves to, a private address
+ */
+async function assertPublicHost(value) {
+    if (config.changeTracking.webhooks.allowPrivate) {
+        return value;
+    }
+    const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    } catch {
+        throw httpError(400, `url host ${hostname} does not resolve`);
+    }
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw httpError(400, 'url must not point to a loopback, link-local or private address');
+    }
+    return value;
+}
+
+/**
+ * POST a webhook body; resolves with the status code. Private addresses are refused at connect time
+ * unless allowed, and redirects are not followed.
+ */
+function postWebhook(value, headers, body, timeoutMs) {
+    const { allowPrivate } = config.changeTracking.webhooks;
+    return new Promise((resolve, reject) => {
+        const url = new URL(value);
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        // Literal addresses are connected to without a lookup
+        if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+            return reject(new Error(`${hostname} is a private address`));
+        }
+        const request = (url.protocol === 'http:' ? http : https).request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            // A new connection each time, so every send goes through the lookup
+            agent: false,
+            ...(allowPrivate ? {} : { lookup: publicLookup })
+        }, (response) => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        request.setTimeout(timeoutMs, () => request.destroy(new Error(`No answer within ${timeoutMs}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function parseWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value || ''));
+    } catch {
+        throw httpError(400, 'url must be an absolute URL');
+    }
+    const allowed = config.changeTracking.webhooks.allowHttp ? ['https:', 'http:'] : ['https:'];
+    if (!allowed.includes(url.protocol)) {
+        throw httpError(400, `url must use ${allowed.join(' or ').replace(/:/g, '')}`);
+    }
+    return url.toString();
+}
+
+function parseBuckets(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const names = [...BUCKET_NAMES, 'other'];
+    if (!Array.isArray(value) || !value.length || value.some(bucket => !names.includes(bucket))) {
+        throw httpError(400, `buckets must be a non-empty list of: ${names.join(', ')} (or null for all)`);
+    }
+    return Array.from(new Set(value));
+}
+
+/**
+ * Public view of a subscription: the secret is only shown when the subscription is created
+ */
+function withoutSecret(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+}
+
+/**
+ * Tracks content changes of the vehicles users follow.
+ *
+ * Each run looks for track-change quarters it has not processed yet. A new quarter's delta
+ * report is matched against the followed vehicles (watch lists and bookmarks), the matches
+ * are stored as change history and webhook deliveries are queued for the subscribers who
+ * follow those vehicles. The same run sends every delivery that is due; failed deliveries are
+ * retried with exponential backoff until they succeed or run out of attempts.
+ *
+ * Runs as a timer in the standalone server (start/stop) and as a scheduled Firebase
+ * function (runOnce). A lease in Firestore keeps instances from running at the same time.
+ */
+class ChangeTracker {
+    constructor(options) {
+        this.options = options;
+        this.timer = null;
+        this.running = null;
+        this.holder = crypto.randomUUID();
+    }
+
+    _collection(name) {
+        return db.collection(this.options[name]);
+    }
+
+    _state() {
+        return this._collection('stateCollection').doc('state');
+    }
+
+    async _claim() {
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(this._state());
+            const state = doc.exists ? doc.data() : {};
+            if (state.leaseHolder && state.leaseHolder !== this.holder && state.leaseUntil > Date.now()) {
+                return false;
+            }
+            transaction.set(this._state(), { leaseHolder: this.holder, leaseUntil: Date.now() + this.options.leaseMs }, { merge: true });
+            return true;
+        });
+    }
+
+    async _release() {
+        await this._state().set({ leaseHolder: null, leaseUntil: 0 }, { merge: true });
+    }
+
+    /**
+     * Followed vehicles by key, with the users watching or bookmarking each
+     */
+    async followedVehicles() {
+        const [watched, bookmarked] = await Promise.all([
+            this._collection('watchCollection').get().then(snapshot => snapshot.docs.map(doc => doc.data())),
+            userDataStore.bookmarkedVehicles()
+        ]);
+        const followed = new Map();
+        const entry = (vehicle) => {
+            const key = vehicleKey(vehicle.contentSource, vehicle.vehicleId);
+            if (!followed.has(key)) {
+                followed.set(key, { contentSource: vehicle.contentSource, vehicleId: vehicle.vehicleId, vehicleName: vehicle.vehicleName || null, watchedBy: new Set(), bookmarkedBy: new Set() });
+            }
+            return followed.get(key);
+        };
+        watched.forEach(vehicle => entry(vehicle).watchedBy.add(vehicle.ownerId));
+        bookmarked.forEach(vehicle => entry(vehicle).bookmarkedBy.add(vehicle.ownerId));
+        return followed;
+    }
+
+    async quarters() {
+        const body = unwrap(await cachedMotorJson(QUARTERS_PATH));
+        return listOf(body, LIST_KEYS)
+            .map(entry => (entry && typeof entry === 'object' ? pick(entry, 'quarter') : String(entry)))
+            .filter(Boolean)
+            .sort();
+    }
+
+    /**
+     * Changes of a quarter for the followed vehicles, stored as change history.
+     * Delta rows without a content source match the vehicle id in any source.
+     */
+    async processQuarter(quarter, followed) {
+        const body = unwrap(await cachedMotorJson(`${DELTA_REPORT_PATH}?quarter=${encodeURIComponent(quarter)}`));
+        const byVehicleId = new Map();
+        followed.forEach((vehicle, key) => {
+            byVehicleId.set(vehicle.vehicleId, [...(byVehicleId.get(vehicle.vehicleId) || []), key]);
+        });
+
+        const matched = new Map();
+        flattenDeltaReport(body).forEach((change) => {
+            const keys = change.contentSource
+                ? [vehicleKey(change.contentSource, change.vehicleId)].filter(key => followed.has(key))
+                : byVehicleId.get(change.vehicleId) || [];
+            keys.forEach((key) => {
+                if (!matched.has(key)) {
+                    matched.set(key, []);
+                }
+                const { contentSource, vehicleId, vehicleName, ...fields } = change;
+                matched.get(key).push(fields);
+                if (vehicleName && !followed.get(key).vehicleName) {
+                    followed.get(key).vehicleName = vehicleName;
+                }
+            });
+        });
+
+        const detectedAt = Date.now();
+        const records = Array.from(matched, ([key, changes]) => {
+            const vehicle = followed.get(key);
+            return {
+                id: docId(`${quarter}|${key}`),
+                quarter,
+                vehicleKey: key,
+                contentSource: vehicle.contentSource,
+                vehicleId: vehicle.vehicleId,
+                vehicleName: vehicle.vehicleName,
+                counts: countByBucket(changes),
+                total: changes.length,
+                truncated: changes.length > this.options.maxChangesPerVehicle,
+                changes: changes.slice(0, this.options.maxChangesPerVehicle),
+                detectedAt
+            };
+        });
+        // Firestore batches hold at most 500 writes
+        for (let start = 0; start < records.length; start += 400) {
+            const batch = db.batch();
+            records.slice(start, start + 400).forEach(record => batch.set(this._collection('historyCollection').doc(record.id), record));
+            await batch.commit();
+        }
+        return records;
+    }
+
+    /**
+     * Queue the webhook deliveries of a processed quarter: one per vehicle ("each") or one digest per subscriber.
+     * Delivery ids come from subscription, quarter and vehicle, so queuing a quarter again adds only what is missing.
+     */
+    async queueDeliveries(quarter, records, followed) {
+        const snapshot = await this._collection('subscriptionCollection').where('active', '==', true).get();
+        const deliveries = [];
+        snapshot.docs.map(doc => doc.data()).forEach((subscription) => {
+            const vehicles = records
+                .filter((record) => {
+                    const vehicle = followed.get(record.vehicleKey);
+                    return vehicle.watchedBy.has(subscription.ownerId) || (subscription.includeBookmarks && vehicle.bookmarkedBy.has(subscription.ownerId));
+                })
+                .map((record) => {
+                    const changes = subscription.buckets ? record.changes.filter(change => subscription.buckets.includes(change.bucket)) : record.changes;
+                    return { record, changes };
+                })
+                .filter(({ changes }) => changes.length);
+            if (!vehicles.length) {
+                return;
+            }
+
+            const limit = PAYLOAD_CHANGES[subscription.mode];
+            const vehiclePayload = ({ record, changes }) => ({
+                vehicle: { contentSource: record.contentSource, vehicleId: record.vehicleId, name: record.vehicleName },
+                counts: countByBucket(changes),
+                total: changes.length,
+                changes: changes.slice(0, limit),
+                truncated: changes.length > limit,
+                historyUrl: `/changes?quarter=${encodeURIComponent(quarter)}&vehicleId=${encodeURIComponent(record.vehicleId)}`
+            });
+            if (subscription.mode === 'digest') {
+                const all = vehicles.flatMap(({ changes }) => changes);
+                deliveries.push(this._delivery(subscription, 'changes.digest', {
+                    quarter,
+                    totals: { vehicles: vehicles.length, changes: all.length, byBucket: countByBucket(all) },
+                    vehicles: vehicles.map(vehiclePayload)
+                }));
+            } else {
+                vehicles.forEach(vehicle => deliveries.push(this._delivery(subscription, 'vehicle.changed', { quarter, ...vehiclePayload(vehicle) }, vehicle.record.vehicleKey)));
+            }
+        });
+
+        const queued = await this._collection('deliveryCollection').where('quarter', '==', quarter).get();
+        const existing = new Set(queued.docs.map(doc => doc.id));
+        const added = deliveries.filter(delivery => !existing.has(delivery.id));
+        for (let start = 0; start < added.length; start += 400) {
+            const batch = db.batch();
+            added.slice(start, start + 400).forEach(delivery => batch.set(this._collection('deliveryCollection').doc(delivery.id), delivery));
+            await batch.commit();
+        }
+        return added.length;
+    }
+
+    /**
+     * A pending delivery. Quarter deliveries get an id derived from subscription, quarter and
+     * `key` (the vehicle, or the digest); a ping gets a random one.
+     */
+    _delivery(subscription, event, data, key = 'digest') {
+        const id = data.quarter ? docId(`${subscription.id}|${data.quarter}|${key}`) : crypto.randomUUID();
+        const now = Date.now();
+        return {
+            id,
+            subscriptionId: subscription.id,
+            quarter: data.quarter || null,
+            ownerId: subscription.ownerId,
+            event,
+            url: subscription.url,
+            payload: { id, event, createdAt: new Date(now).toISOString(), ...data },
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            createdAt: now,
+            deliveredAt: null,
+            log: []
+        };
+    }
+
+    /**
+     * POST a delivery to its subscriber once and record the outcome
+     */
+    async attempt(delivery, subscription) {
+        const options = this.options.webhooks;
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        let statusCode = null;
+        let error = null;
+        try {
+            statusCode = await postWebhook(delivery.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'motorapi-auth-proxy-webhooks',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+            }, body, options.timeoutMs);
+            if (statusCode < 200 || statusCode >= 300) {
+                error = `Subscriber answered ${statusCode}`;
+            }
+        } catch (err) {
+            error = err.message;
+        }
+
+        delivery.attempts++;
+        delivery.log = [...delivery.log, { at: startedAt, statusCode, error, durationMs: Date.now() - startedAt }].slice(-DELIVERY_LOG_ENTRIES);
+        if (!error) {
+            Object.assign(delivery, { status: 'delivered', deliveredAt: Date.now(), nextAttemptAt: null });
+        } else if (statusCode === 410 || delivery.attempts >= options.maxAttempts) {
+            Object.assign(delivery, { status: 'failed', nextAttemptAt: null });
+        } else {
+            delivery.nextAttemptAt = Date.now() + Math.min(options.maxBackoffMs, options.backoffMs * 2 ** (delivery.attempts - 1));
+        }
+        await this._collection('deliveryCollection').doc(delivery.id).set(delivery);
+
+        const update = { lastDeliveryAt: Date.now(), lastStatus: delivery.status, lastError: error, updatedAt: Date.now() };
+        // 410 Gone: the subscriber asked not to be called again
+        if (statusCode === 410) {
+            update.active = false;
+            logger.warn(`Webhook subscription ${subscription.id} answered 410 Gone; deactivated`);
+        }
+        await this._collection('subscriptionCollection').doc(subscription.id).set(update, { merge: true });
+        return delivery;
+    }
+
+    /**
+     * Send every pending delivery that is due
+     */
+    async sendDue() {
+        const snapshot = await this._collection('deliveryCollection').where('status', '==', 'pending').get();
+        const due = snapshot.docs.map(doc => doc.data()).filter(delivery => delivery.nextAttemptAt <= Date.now());
+        const subscriptions = new Map();
+        const result = { delivered: 0, failed: 0, retrying: 0 };
+        for (const delivery of due) {
+            if (!subscriptions.has(delivery.subscriptionId)) {
+                const doc = await this._collection('subscriptionCollection').doc(delivery.subscriptionId).get();
+                subscriptions.set(delivery.subscriptionId, doc.exists ? doc.data() : null);
+            }
+            const subscription = subscriptions.get(delivery.subscriptionId);
+            if (!subscription || !subscription.active) {
+                Object.assign(delivery, { status: 'failed', nextAttemptAt: null, log: [...delivery.log, { at: Date.now(), statusCode: null, error: 'Subscription removed or inactive', durationMs: 0 }] });
+                await this._collection('deliveryCollection').doc(delivery.id).set(delivery);
+                result.failed++;
+                continue;
+            }
+            await this.attempt(delivery, subscription);
+            if (delivery.status === 'pending') {
+                result.retrying++;
+            } else {
+                result[delivery.status]++;
+            }
+            // Later deliveries of a subscription that answered 410 are not sent
+            if (delivery.log[delivery.log.length - 1].statusCode === 410) {
+                subscription.active = false;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Process the quarters not seen yet. On the very first run only the newest
+     * `initialQuarters` are processed; older ones would only replay old news.
+     */
+    async checkQuarters() {
+        const doc = await this._state().get();
+        const seen = (doc.exists && doc.data().quarters) || {};
+        const available = await this.quarters();
+        let pending = available.filter(quarter => !seen[quarter]);
+        const updates = {};
+        if (!Object.keys(seen).length && pending.length > this.options.initialQuarters) {
+            pending.slice(0, -this.options.initialQuarters).forEach((quarter) => {
+                updates[quarter] = { processedAt: Date.now(), skipped: true };
+            });
+            pending = pending.slice(-this.options.initialQuarters);
+        }
+        if (Object.keys(updates).length) {
+            await this._state().set({ quarters: updates }, { merge: true });
+        }
+
+        const processed = [];
+        if (pending.length) {
+            const followed = await this.followedVehicles();
+            for (const quarter of pending) {
+                const records = await this.processQuarter(quarter, followed);
+                const deliveries = await this.queueDeliveries(quarter, records, followed);
+                const summary = { processedAt: Date.now(), vehicles: records.length, changes: records.reduce((sum, record) => sum + record.total, 0), deliveries };
+                // Recorded per quarter; a quarter processed again after a crash here finds its deliveries queued
+                await this._state().set({ quarters: { [quarter]: summary } }, { merge: true });
+                logger.info(`✓ Track-change quarter ${quarter}: ${summary.changes} changes on ${summary.vehicles} followed vehicles, ${deliveries} webhook deliveries queued`);
+                processed.push({ quarter, ...summary });
+            }
+        }
+        await this._state().set({ lastCheckedAt: Date.now() }, { merge: true });
+        return processed;
+    }
+
+    /**
+     * One run: new quarters, then due deliveries. Resolves with what was done, or { skipped: true }
+     * while another instance holds the lease.
+     */
+    async runOnce() {
+        if (this.running) {
+            return this.running;
+        }
+        this.running = (async () => {
+            if (!(await this._claim())) {
+                logger.debug('Change tracking run skipped: another instance is running it');
+                return { skipped: true };
+            }
+            try {
+                const quarters = await this.checkQuarters();
+                const deliveries = await this.sendDue();
+                return { quarters, deliveries };
+            } finally {
+                await this._release().catch(error => logger.error('Could not release the change tracking lease:', error));
+            }
+        })().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    start() {
+        if (this.timer || !this.options.enabled) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.runOnce().catch(err => logger.error('Change tracking run failed:', err));
+        }, this.options.checkIntervalMs);
+        // Never keep the process alive just for the tracker
+        this.timer.unref();
+        logger.info(`Change tracking started (every ${Math.round(this.options.checkIntervalMs / 60000)}min)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async status() {
+        const doc = await this._state().get();
+        const state = doc.exists ? doc.data() : {};
+        return {
+            enabled: this.options.enabled,
+            running: Boolean(state.leaseHolder && state.leaseUntil > Date.now()),
+            lastCheckedAt: state.lastCheckedAt || null,
+            quarters: state.quarters || {}
+        };
+    }
+
+    async watchList(owner) {
+        const snapshot = await this._collection('watchCollection').where('ownerId', '==', ownerId(owner)).get();
+        return snapshot.docs.map(doc => doc.data()).sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    async watch(owner, { contentSource, vehicleId }) {
+        if (typeof contentSource !== 'string' || !contentSource || !['string', 'number'].includes(typeof vehicleId) || vehicleId === '') {
+            throw httpError(400, 'Body must be { "contentSource": "...", "vehicleId": "..." }');
+        }
+        const id = docId(`${owner}|${vehicleKey(contentSource, vehicleId)}`);
+        const doc = await this._collection('watchCollection').doc(id).get();
+        if (doc.exists) {
+            return { vehicle: doc.data(), created: false };
+        }
+        const vehicle = {
+            id,
+            ownerId: ownerId(owner),
+            contentSource,
+            vehicleId: String(vehicleId),
+            vehicleName: await catalog.vehicleName(contentSource, String(vehicleId)).catch(() => null),
+            addedAt: Date.now()
+        };
+        await this._collection('watchCollection').doc(id).set(vehicle);
+        return { vehicle, created: true };
+    }
+
+    async unwatch(owner, contentSource, vehicleId) {
+        const ref = this._collection('watchCollection').doc(docId(`${owner}|${vehicleKey(contentSource, vehicleId)}`));
+        const doc = await ref.get();
+        if (!doc.exists) {
+            return false;
+        }
+        await ref.delete();
+        return true;
+    }
+
+    /**
+     * Change history of the vehicles `owner` follows, newest quarter first
+     */
+    async history(owner, filters = {}) {
+        const id = ownerId(owner);
+        const [watched, bookmarked] = await Promise.all([this.watchList(owner), userDataStore.bookmarkedVehicles()]);
+        const keys = new Set([...watched, ...bookmarked.filter(vehicle => vehicle.ownerId === id)]
+            .map(vehicle => vehicleKey(vehicle.contentSource, vehicle.vehicleId)));
+        let query = this._collection('historyCollection');
+        if (filters.quarter) {
+            query = query.where('quarter', '==', String(filters.quarter));
+        }
+        const snapshot = await query.get();
+        return snapshot.docs
+            .map(doc => doc.data())
+            .filter(record => keys.has(record.vehicleKey))
+            .filter(record => !filters.vehicleId || record.vehicleId === String(filters.vehicleId))
+            .filter(record => !filters.contentSource || record.contentSource === String(filters.contentSource))
+            .map(record => (filters.bucket ? { ...record, changes: record.changes.filter(change => change.bucket === filters.bucket) } : record))
+            .filter(record => record.changes.length)
+            .sort((a, b) => b.quarter.localeCompare(a.quarter) || a.vehicleKey.localeCompare(b.vehicleKey));
+    }
+
+    async subscriptions(owner) {
+        const snapshot = await this._collection('subscriptionCollection').where('ownerId', '==', ownerId(owner)).get();
+        return snapshot.docs.map(doc => withoutSecret(doc.data())).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async _subscription(owner, id) {
+        const doc = await this._collection('subscriptionCollection').doc(id).get();
+        return doc.exists && doc.data().ownerId === ownerId(owner) ? doc.data() : null;
+    }
+
+    /**
+     * New subscription; the result includes the signing secret, which is not shown again
+     */
+    async subscribe(owner, body) {
+        const existing = await this.subscriptions(owner);
+        if (existing.length >= this.options.webhooks.maxSubscriptions) {
+            throw httpError(409, `Subscription limit reached (${this.options.webhooks.maxSubscriptions})`);
+        }
+        const mode = body.mode === undefined ? 'each' : body.mode;
+        if (!DELIVERY_MODES.includes(mode)) {
+            throw httpError(400, `mode must be one of: ${DELIVERY_MODES.join(', ')}`);
+        }
+        const now = Date.now();
+        const subscription = {
+            id: crypto.randomUUID(),
+            ownerId: ownerId(owner),
+            url: await assertPublicHost(parseWebhookUrl(body.url)),
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            mode,
+            buckets: parseBuckets(body.buckets),
+            includeBookmarks: body.includeBookmarks !== false,
+            active: true,
+            createdAt: now,
+            updatedAt: now,
+            lastDeliveryAt: null,
+            lastStatus: null,
+            lastError: null
+        };
+        await this._collection('subscriptionCollection').doc(subscription.id).set(subscription);
+        return subscription;
+    }
+
+    async updateSubscription(owner, id, changes) {
+        const subscription = await this._subscription(owner, id);
+        if (!subscription) {
+            return null;
+        }
+        if (changes.url !== undefined) {
+            subscription.url = await assertPublicHost(parseWebhookUrl(changes.url));
+        }
+        if (changes.mode !== undefined) {
+            if (!DELIVERY_MODES.includes(changes.mode)) {
+                throw httpError(400, `mode must be one of: ${DELIVERY_MODES.join(', ')}`);
+            }
+            subscription.mode = changes.mode;
+        }
+        if (changes.buckets !== undefined) {
+            subscription.buckets = parseBuckets(changes.buckets);
+        }
+        if (changes.includeBookmarks !== undefined) {
+            subscription.includeBookmarks = changes.includeBookmarks !== false;
+        }
+        if (changes.active !== undefined) {
+            subscription.active = changes.active !== false;
+        }
+        if (changes.rotateSecret) {
+            subscription.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+        }
+        subscription.updatedAt = Date.now();
+        await this._collection('subscriptionCollection').doc(id).set(subscription);
+        return changes.rotateSecret ? subscription : withoutSecret(subscription);
+    }
+
+    async unsubscribe(owner, id) {
+        if (!(await this._subscription(owner, id))) {
+            return false;
+        }
+        await this._collection('subscriptionCollection').doc(id).delete();
+        return true;
+    }
+
+    /**
+     * Send a `ping` delivery right away (not retried), to check the endpoint and its signature check
+     */
+    async ping(owner, id) {
+        const subscription = await this._subscription(owner, id);
+        if (!subscription) {
+            return null;
+        }
+        const delivery = this._delivery(subscription, 'ping', { message: 'Webhook test from the Motor API proxy' });
+        delivery.attempts = this.options.webhooks.maxAttempts - 1;
+        return this.attempt(delivery, subscription);
+    }
+
+    /**
+     * Delivery log of a subscription, newest first
+     */
+    async deliveries(owner, id, limit = 50) {
+        if (!(await this._subscription(owner, id))) {
+            return null;
+        }
+        const snapshot = await this._collection('deliveryCollection').where('subscriptionId', '==', id).get();
+        return snapshot.docs
+            .map(doc => doc.data())
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit);
+    }
+}
+
+export const changeTracker = new ChangeTracker(config.changeTracking);
+
+/**
+ * Express router for /changes: change history, watch list, webhook subscriptions and their delivery logs
+ */
+export function createChangeRouter() {
+    const router = express.Router();
+
+    const handle = (fn) => async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Change tracking ${req.originalUrl} failed:`, error);
+            }
+            res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message });
+        }
+    };
+
+    const notFound = (res, id) => res.status(404).json({ error: 'Not Found', message: `Unknown subscription "${id}"` });
+
+    // ?quarter=&contentSource=&vehicleId=&bucket=
+    router.get('/', handle(async (req, res) => {
+        const records = await changeTracker.history(ownerOf(req), req.query);
+        res.json({ total: records.length, vehicles: records });
+    }));
+
+    router.get('/status', handle(async (req, res) => {
+        res.json(await changeTracker.status());
+    }));
+
+    // Check for new quarters and send due deliveries now, instead of waiting for the schedule
+    router.post('/run', accessControl.requireScope('admin'), handle(async (req, res) => {
+        res.json(await changeTracker.runOnce());
+    }));
+
+    router.get('/watch', handle(async (req, res) => {
+        res.json({ vehicles: await changeTracker.watchList(ownerOf(req)) });
+    }));
+
+    // Body: { contentSource, vehicleId }
+    router.post('/watch', express.json(), handle(async (req, res) => {
+        const { vehicle, created } = await changeTracker.watch(ownerOf(req), req.body || {});
+        res.status(created ? 201 : 200).json(vehicle);
+    }));
+
+    router.delete('/watch/:contentSource/:vehicleId', handle(async (req, res) => {
+        const removed = await changeTracker.unwatch(ownerOf(req), req.params.contentSource, req.params.vehicleId);
+        return removed ? res.status(204).end() : res.status(404).json({ error: 'Not Found', message: 'Vehicle is not on the watch list' });
+    }));
+
+    router.get('/subscriptions', handle(async (req, res) => {
+        res.json({ subscriptions: await changeTracker.subscriptions(ownerOf(req)) });
+    }));
+
+    // Body: { url, mode?: 'each' | 'digest', buckets?: ['tsbs', 'procedures', ...], includeBookmarks? }
+    router.post('/subscriptions', express.json(), handle(async (req, res) => {
+        const subscription = await changeTracker.subscribe(ownerOf(req), req.body || {});
+        res.status(201).location(`/changes/subscriptions/${subscription.id}`).json(subscription);
+    }));
+
+    router.get('/subscriptions/:id', handle(async (req, res) => {
+        const subscription = await changeTracker._subscription(ownerOf(req), req.params.id);
+        return subscription ? res.json(withoutSecret(subscription)) : notFound(res, req.params.id);
+    }));
+
+    // Body: any of { url, mode, buckets, includeBookmarks, active, rotateSecret: true }
+    router.patch('/subscriptions/:id', express.json(), handle(async (req, res) => {
+        const subscription = await changeTracker.updateSubscription(ownerOf(req), req.params.id, req.body || {});
+        return subscription ? res.json(subscription) : notFound(res, req.params.id);
+    }));
+
+    router.delete('/subscriptions/:id', handle(async (req, res) => {
+        const removed = await changeTracker.unsubscribe(ownerOf(req), req.params.id);
+        return removed ? res.status(204).end() : notFound(res, req.params.id);
+    }));
+
+    router.post('/subscriptions/:id/test', handle(async (req, res) => {
+        const delivery = await changeTracker.ping(ownerOf(req), req.params.id);
+        return delivery ? res.json(delivery) : notFound(res, req.params.id);
+    }));
+
+    router.get('/subscriptions/:id/deliveries', handle(async (req, res) => {
+        const deliveries = await changeTracker.deliveries(ownerOf(req), req.params.id);
+        return deliveries ? res.json({ deliveries }) : notFound(res, req.params.id);
+    }));
+
+    return router;
+}
@@ -1,6 +1,18 @@
+import os from 'os';
+import path from 'path';
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * "name:value,name:value" -> [[name, number], ...] (entries without a number are dropped)
+ */
+function parsePairs(value) {
+    return value.split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([name, amount]) => name && amount !== undefined && Number.isFinite(parseFloat(amount)))
+        .map(([name, amount]) => [name, parseFloat(amount)]);
+}
+
 export const config = {
     // Authentication credentials
     // In Firebase Functions, these come from secrets (injected as env vars)
@@ -8,34 +20,348 @@ export const config = {
     libraryBarcode: process.env.LIBRARY_BARCODE || '',
     ebscoUser: process.env.EBSCO_USER || '',
     ebscoPassword: process.env.EBSCO_PASSWORD || '',
+    ebscoProfile: process.env.EBSCO_PROFILE || 'autorepso',
+    ebscoGroupId: process.env.EBSCO_GROUP_ID || 'remote',
+    manualCookies: process.env.MANUAL_COOKIES || '',
+
+    // How to log in: 'ebsco' (uid/password), 'powerlibrary' (library barcode portal)
+    // or 'manual' (cookies pasted from a browser session)
+    authStrategy: process.env.AUTH_STRATEGY || 'ebsco',
 
     // API configuration
     motorApiBase: process.env.MOTOR_API_BASE || 'https://sites.motor.com/m1',
     proxyPort: parseInt(process.env.PROXY_PORT || '3001', 10),
 
+    // Allowed browser origins (comma-separated CORS_ORIGINS); unset allows any origin
+    corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : true,
+
+    // Consumer access control for /api, /v1, /auth/start, /auth/cookies and /docs
+    access: {
+        enabled: process.env.ACCESS_CONTROL_ENABLED !== 'false',
+        // Bootstrap key with the admin scope, used to issue the first keys via /admin/keys
+        adminKey: process.env.ADMIN_API_KEY || '',
+        keyCollection: 'apiKeys',
+        cacheTtlMs: parseInt(process.env.API_KEY_CACHE_MS || '60000', 10),
+        // Accept Firebase Auth ID tokens; their scopes come from the `scopes` custom claim
+        idTokens: process.env.ACCESS_ID_TOKENS !== 'false',
+        idTokenScopes: (process.env.ID_TOKEN_SCOPES || 'read').split(',').map(scope => scope.trim()).filter(Boolean)
+    },
+
+    // Rate limits for /api and /v1: token buckets per consumer (or per IP without one),
+    // plus a global cap on concurrent requests to Motor with a bounded queue
+    rateLimit: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        // 'memory' (per instance) or 'firestore' (shared by all instances)
+        store: process.env.RATE_LIMIT_STORE || 'memory',
+        collection: 'rateLimits',
+        consumer: {
+            capacity: parseInt(process.env.RATE_LIMIT_BURST || '60', 10),
+            refillPerSecond: parseFloat(process.env.RATE_LIMIT_PER_SECOND || '5')
+        },
+        ip: {
+            capacity: parseInt(process.env.RATE_LIMIT_IP_BURST || '30', 10),
+            refillPerSecond: parseFloat(process.env.RATE_LIMIT_IP_PER_SECOND || '2')
+        },
+        concurrency: {
+            enabled: process.env.UPSTREAM_CONCURRENCY_ENABLED !== 'false',
+            maxConcurrent: parseInt(process.env.UPSTREAM_MAX_CONCURRENT || '8', 10),
+            maxQueue: parseInt(process.env.UPSTREAM_MAX_QUEUE || '50', 10),
+            queueTimeoutMs: parseInt(process.env.UPSTREAM_QUEUE_TIMEOUT_MS || '15000', 10),
+            // A Motor connection idle this long is dropped, so a hung request gives its slot back
+            requestTimeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS || '30000', 10),
+            retryAfterSeconds: 2
+        }
+    },
+
+    // Client IPs come from X-Forwarded-For (Cloud Functions run behind Google's front end)
+    trustProxy: process.env.TRUST_PROXY !== 'false',
+
+    // Authenticate when the app starts (true) or on the first proxied request (false).
+    // Unset keeps each entry point's default: eager for the standalone server, lazy on Firebase
+    eagerAuth: process.env.EAGER_AUTH ? process.env.EAGER_AUTH === 'true' : null,
+
     // Session management
+    // Session validity follows the Motor cookies' Expires/Max-Age; this is only the assumed
+    // lifetime when Motor hands out session cookies without an expiry
     maxSessionAge: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
 
+    // Account pool: an unhealthy account is re-authenticated and kept out of rotation,
+    // with exponential backoff between failed recovery attempts
+    accountPool: {
+        baseBackoffMs: parseInt(process.env.ACCOUNT_BACKOFF_MS || '30000', 10),
+        maxBackoffMs: parseInt(process.env.ACCOUNT_MAX_BACKOFF_MS || String(15 * 60 * 1000), 10)
+    },
+
+    // On upstream 401/403, hold the request while re-authenticating and replay it.
+    // Falls back to the /auth/status polling contract when re-auth fails or exceeds the budget.
+    authRetry: {
+        enabled: process.env.AUTH_RETRY_ENABLED !== 'false',
+        waitBudgetMs: parseInt(process.env.AUTH_RETRY_WAIT_MS || '20000', 10)
+    },
+
+    // Cross-instance auth lock: one Firestore lease per account so concurrent instances
+    // don't run parallel logins; the holder renews it, a crashed holder's lease expires
+    authLock: {
+        enabled: process.env.AUTH_LOCK_ENABLED !== 'false',
+        collection: 'authLeases',
+        leaseMs: parseInt(process.env.AUTH_LOCK_LEASE_MS || '90000', 10),
+        renewIntervalMs: parseInt(process.env.AUTH_LOCK_RENEW_MS || '30000', 10),
+        waitTimeoutMs: parseInt(process.env.AUTH_LOCK_WAIT_MS || String(4 * 60 * 1000), 10)
+    },
+
+    // Background session refresh: re-login ahead of expiry (lead time minus a random jitter)
+    // and probe each account with a cheap keep-alive request in between
+    sessionRefresh: {
+        enabled: process.env.SESSION_REFRESH_ENABLED !== 'false',
+        leadTimeMs: parseInt(process.env.SESSION_REFRESH_LEAD_MS || String(30 * 60 * 1000), 10),
+        jitterMs: parseInt(process.env.SESSION_REFRESH_JITTER_MS || String(5 * 60 * 1000), 10),
+        checkIntervalMs: parseInt(process.env.SESSION_REFRESH_INTERVAL_MS || String(10 * 60 * 1000), 10),
+        keepAlivePath: process.env.SESSION_KEEPALIVE_PATH || '/api/ui/usersettings',
+        // Cloud Scheduler expression for the Firebase deployment
+        schedule: process.env.SESSION_REFRESH_SCHEDULE || 'every 10 minutes'
+    },
+
+    // Push channel for authentication progress (/auth/events)
+    authEvents: {
+        heartbeatMs: parseInt(process.env.AUTH_EVENTS_HEARTBEAT_MS || '15000', 10),
+        // WebSocket variant on the standalone server (Cloud Functions only serve SSE)
+        webSocket: process.env.AUTH_EVENTS_WEBSOCKET !== 'false'
+    },
+
+    // VIN decoding (/vin): batch requests are capped and resolved a few at a time
+    vin: {
+        batchMax: parseInt(process.env.VIN_BATCH_MAX || '50', 10),
+        batchConcurrency: parseInt(process.env.VIN_BATCH_CONCURRENCY || '4', 10)
+    },
+
+    // Article transformation: embedded graphic/asset links are rewritten to this base
+    // ('' keeps them relative to the proxy host, e.g. /api/asset/<handleId>)
+    articles: {
+        assetBaseUrl: (process.env.ARTICLE_ASSET_BASE_URL || '').replace(/\/+$/, '')
+    },
+
+    // Maintenance planner (/maintenance/plan)
+    maintenance: {
+        // A service is "due" (rather than upcoming) this close to its mileage or date
+        dueSoonMiles: parseInt(process.env.MAINTENANCE_DUE_SOON_MILES || '500', 10),
+        dueSoonDays: parseInt(process.env.MAINTENANCE_DUE_SOON_DAYS || '30', 10),
+        // How far ahead the timeline goes, and the mileage rate assumed for vehicles in service under a month
+        horizonMonths: parseInt(process.env.MAINTENANCE_HORIZON_MONTHS || '12', 10),
+        defaultMilesPerMonth: 1000,
+        batchMax: parseInt(process.env.MAINTENANCE_BATCH_MAX || '25', 10)
+    },
+
+    // Offline content bundles (/exports): work files and ZIPs live on local disk, job state in Firestore
+    exports: {
+        directory: process.env.EXPORT_DIR || path.join(os.tmpdir(), 'motor-exports'),
+        collection: 'exportJobs',
+        // Jobs running at once (others wait) and parallel fetches per job, within the upstream cap
+        maxRunning: parseInt(process.env.EXPORT_MAX_RUNNING || '1', 10),
+        concurrency: parseInt(process.env.EXPORT_CONCURRENCY || '3', 10)
+    },
+
+    // Repair quotes (/quotes): shop pricing, stored quote versions and PDF rendering
+    quotes: {
+        collection: 'quotes',
+        // Hourly labor rates by name; quotes use the first one unless they name another
+        laborRates: Object.fromEntries(parsePairs(process.env.QUOTE_LABOR_RATES || 'standard:125')),
+        // Parts markup matrix "<unit cost from>:<markup %>": the highest tier at or below a part's cost applies
+        partsMarkup: parsePairs(process.env.QUOTE_PARTS_MARKUP || '0:100,10:75,50:50,200:35,500:25')
+            .map(([from, percent]) => ({ from: parseFloat(from), percent }))
+            .sort((a, b) => a.from - b.from),
+        // Sales tax on parts (0.0825 = 8.25%); labor is not taxed
+        taxRate: parseFloat(process.env.QUOTE_TAX_RATE || '0'),
+        currency: process.env.QUOTE_CURRENCY || 'USD',
+        shopName: process.env.QUOTE_SHOP_NAME || '',
+        maxOperations: 50,
+        // Parts looked up per operation when the quote does not list them
+        maxPartsPerOperation: 10,
+        // Chrome for PDF output; defaults to the @sparticuz/chromium build
+        chromePath: process.env.CHROME_EXECUTABLE_PATH || ''
+    },
+
+    // Per-user bookmarks, folders and UI settings (/me, and Motor's bookmark/usersettings routes),
+    // kept in Firestore per consumer instead of the shared Motor profile
+    userData: {
+        collection: 'userData',
+        maxBookmarks: parseInt(process.env.USER_MAX_BOOKMARKS || '2000', 10),
+        maxFolders: 200,
+        maxSettingsBytes: 64 * 1024
+    },
+
+    // Vehicle content change tracking: new track-change quarters are diffed against followed
+    // vehicles (watch lists and bookmarks) and announced to webhook subscribers
+    changeTracking: {
+        enabled: process.env.CHANGE_TRACKING_ENABLED !== 'false',
+        stateCollection: 'changeTracking',
+        historyCollection: 'vehicleChanges',
+        watchCollection: 'watchedVehicles',
+        subscriptionCollection: 'webhookSubscriptions',
+        deliveryCollection: 'webhookDeliveries',
+        // Standalone timer and Cloud Scheduler expression; each run checks for quarters and retries due deliveries
+        checkIntervalMs: parseInt(process.env.CHANGE_TRACKING_INTERVAL_MS || String(15 * 60 * 1000), 10),
+        schedule: process.env.CHANGE_TRACKING_SCHEDULE || 'every 15 minutes',
+        // Only one instance runs at a time (lease in the state document)
+        leaseMs: 10 * 60 * 1000,
+        // Quarters processed on the very first run; older ones are only recorded as seen
+        initialQuarters: 1,
+        maxChangesPerVehicle: 500,
+        webhooks: {
+            timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+            // Attempts per delivery, with exponential backoff from backoffMs up to maxBackoffMs
+            maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10),
+            backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS || '60000', 10),
+            maxBackoffMs: 6 * 60 * 60 * 1000,
+            // Plain http:// endpoints are only accepted when allowed (local development)
+            allowHttp: process.env.WEBHOOK_ALLOW_HTTP === 'true',
+            // Loopback, link-local and private network endpoints likewise
+            allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true',
+            maxSubscriptions: 20
+        }
+    },
+
+    // Full-text search over the articles the proxy has fetched (/search)
+    search: {
+        // 'file' (JSON file, per instance; standalone server only) or 'firestore' (shared by all instances).
+        // Cloud Functions (FUNCTION_TARGET set) default to firestore: their temp directory goes with the instance.
+        store: process.env.SEARCH_INDEX_STORE || (process.env.FUNCTION_TARGET ? 'firestore' : 'file'),
+        file: process.env.SEARCH_INDEX_FILE || path.join(os.tmpdir(), 'motor-search-index.json'),
+        collection: 'searchIndex',
+        // Article text kept per document for snippets (Firestore documents are limited to 1 MB)
+        maxTextLength: 100000,
+        backfillConcurrency: parseInt(process.env.SEARCH_BACKFILL_CONCURRENCY || '3', 10)
+    },
+
+    // Response cache for /api (in-memory LRU + Firestore)
+    cache: {
+        enabled: process.env.CACHE_ENABLED !== 'false',
+        memoryEntries: parseInt(process.env.CACHE_MEMORY_ENTRIES || '500', 10),
+        collection: 'responseCache',
+        maxFirestoreBytes: 900 * 1024, // Firestore documents are capped at 1 MiB
+        // First matching rule wins. ttl and staleWhileRevalidate are in seconds; ttl 0 disables caching.
+        // Patterns are matched against the full request path, e.g. /api/years
+        rules: [
+            { pattern: '^/api/years$', ttl: 7 * 86400, staleWhileRevalidate: 30 * 86400 },
+            { pattern: '^/api/year/[^/]+/makes$', ttl: 7 * 86400, staleWhileRevalidate: 30 * 86400 },
+            { pattern: '^/api/(motor/)?year/[^/]+/make/[^/]+/models$', ttl: 7 * 86400, staleWhileRevalidate: 30 * 86400 },
+            { pattern: '^/api/source/[^/]+/[^/]+/(name|motorvehicles)$', ttl: 7 * 86400, staleWhileRevalidate: 30 * 86400 },
+            // A VIN always decodes to the same vehicle
+            { pattern: '^/api/vin/[^/]+/vehicle$', ttl: 30 * 86400, staleWhileRevalidate: 30 * 86400 },
+            { pattern: '/bookmark', ttl: 0 },
+            { pattern: '^/api/ui/usersettings$', ttl: 0 },
+            { pattern: '^/api/source/[^/]+/vehicle/[^/]+/article/[^/]+(/title)?$', ttl: 86400, staleWhileRevalidate: 7 * 86400 },
+            { pattern: '^/api/source/[^/]+/xml/[^/]+$', ttl: 86400, staleWhileRevalidate: 7 * 86400 },
+            { pattern: '^/api/(source|manufacturer)/[^/]+/graphic/[^/]+$', ttl: 7 * 86400, staleWhileRevalidate: 30 * 86400 },
+            { pattern: '^/api/asset/[^/]+$', ttl: 7 * 86400, staleWhileRevalidate: 30 * 86400 },
+            { pattern: '^/api/source/[^/]+/vehicle/[^/]+/(articles/v2|maintenanceSchedules/.+|labor/[^/]+|parts)$', ttl: 3600, staleWhileRevalidate: 86400 }
+        ]
+    },
+
+    // Route registry for phantom endpoints (defaults to src/routes.yaml)
+    routesFile: process.env.ROUTES_FILE || '',
+
+    // HAR record/replay of upstream traffic (library login flow and Motor API) for offline development:
+    // 'replay' answers from HAR_FILES without network access, 'record' goes to the network and appends to HAR_RECORD_FILE
+    har: {
+        mode: process.env.HAR_MODE || 'off',
+        files: (process.env.HAR_FILES || 'power.har').split(',').map(file => file.trim()).filter(Boolean),
+        recordFile: process.env.HAR_RECORD_FILE || 'recordings/session.har',
+        // Query parameters whose values are left out of matching: per-login tokens and cache busters
+        ignoreParams: (process.env.HAR_IGNORE_PARAMS || 'code,state,nonce,xdate,sig,myses,_').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+        // Query and form parameters written as [redacted] (and matched that way on replay)
+        redactParams: ['user', 'uid', 'password', 'pwd', 'barcode', 'pin', 'apikey', 'sig', 'token'],
+        // Headers whose values never reach a recording
+        redactHeaders: ['cookie', 'set-cookie', 'authorization', 'proxy-authorization', 'x-api-key']
+    },
+
     // Browser settings
     headless: process.env.NODE_ENV !== 'development',
 
     // URLs from the authentication flow
     urls: {
-        libraryPortal: 'https://e-resources.powerlibrary.org/ext/econtent/BarcodeEntry/index.php?lid=PL7321R&dataid=2145&libname=E-Card+or+public+library',
+        libraryPortal: process.env.LIBRARY_PORTAL_URL || 'https://e-resources.powerlibrary.org/ext/econtent/BarcodeEntry/index.php?lid=PL7321R&dataid=2145&libname=E-Card+or+public+library',
         ebscoLogin: 'https://search.ebscohost.com/login.aspx',
         motorBase: 'https://sites.motor.com'
     },
     userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
 };
 
+/**
+ * Credential sets for the session pool. ACCOUNTS holds a JSON array of
+ * { id, strategy, libraryBarcode, libraryPortalUrl, ebscoUser, ebscoPassword, ... };
+ * missing fields fall back to the top-level settings. Without ACCOUNTS the pool
+ * has a single 'default' account built from the variables above.
+ */
+function loadAccounts() {
+    const defaults = {
+        strategy: config.authStrategy,
+        libraryBarcode: config.libraryBarcode,
+        libraryPortalUrl: config.urls.libraryPortal,
+        ebscoUser: config.ebscoUser,
+        ebscoPassword: config.ebscoPassword,
+        ebscoProfile: config.ebscoProfile,
+        ebscoGroupId: config.ebscoGroupId,
+        manualCookies: config.manualCookies
+    };
+
+    if (!process.env.ACCOUNTS) {
+        return [{ id: 'default', ...defaults }];
+    }
+
+    let accounts;
+    try {
+        accounts = JSON.parse(process.env.ACCOUNTS);
+    } catch (error) {
+        throw new Error(`ACCOUNTS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+        throw new Error('ACCOUNTS must be a non-empty JSON array');
+    }
+
+    return accounts.map((account, index) => ({
+        ...defaults,
+        ...account,
+        id: account.id || `account${index + 1}`
+    }));
+}
+
+config.accounts = loadAccounts();
+
+// Credentials each authentication strategy needs
+const REQUIRED_BY_STRATEGY = {
+    ebsco: ['ebscoUser', 'ebscoPassword'],
+    powerlibrary: ['libraryBarcode'],
+    manual: [] // cookies can also be pasted at runtime via POST /auth/cookies
+};
+
 // Validate required configuration
 export function validateConfig() {
-    const required = ['libraryBarcode', 'ebscoUser', 'ebscoPassword'];
-    const missing = required.filter(key => !config[key] || config[key].trim() === '');
+    const problems = [];
+    const ids = new Set();
+
+    config.accounts.forEach(account => {
+        if (ids.has(account.id)) {
+            problems.push(`duplicate account id "${account.id}"`);
+        }
+        ids.add(account.id);
+
+        const required = REQUIRED_BY_STRATEGY[account.strategy];
+        if (!required) {
+            problems.push(`account "${account.id}" uses unknown strategy "${account.strategy}" (use one of: ${Object.keys(REQUIRED_BY_STRATEGY).join(', ')})`);
+            return;
+        }
+        const missing = required.filter(key => !account[key] || account[key].trim() === '');
+        if (missing.length > 0 && config.har.mode === 'replay') {
+            // Recordings store credential parameters redacted and replay matches them on any value
+            missing.forEach(key => { account[key] = 'replay'; });
+        } else if (missing.length > 0) {
+            problems.push(`account "${account.id}" is missing ${missing.join(', ')}`);
+        }
+    });
 
-    if (missing.length > 0) {
-        const errorMsg = `Missing required configuration: ${missing.join(', ')}. ` +
-            `Please set these as environment variables: ${missing.map(k => k.toUpperCase()).join(', ')}`;
+    if (problems.length > 0) {
+        const errorMsg = `Invalid authentication configuration: ${problems.join('; ')}. ` +
+            'Set LIBRARY_BARCODE / EBSCO_USER / EBSCO_PASSWORD (or ACCOUNTS) for the selected AUTH_STRATEGY';
         console.error(errorMsg);
         // In Firebase Functions, we should use runtime config or secrets
         // For now, log the error but don't throw to allow function to start
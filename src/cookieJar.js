@@ -0,0 +1,245 @@
+import net from 'net';
+import { URL } from 'url';
+
+/**
+ * Cookie jar following the storage and retrieval rules of RFC 6265 (sections 5.2 - 5.4):
+ * attribute parsing (Domain, Path, Expires, Max-Age, Secure, HttpOnly, SameSite),
+ * host-only vs domain cookies, domain-suffix and path matching, and expiry.
+ * Public-suffix checks are not implemented; the jar only ever talks to a few known hosts.
+ *
+ * Cookies are plain objects so the jar serializes straight to Firestore:
+ * { name, value, domain, path, hostOnly, expires (ms epoch | null), secure, httpOnly, sameSite, creationTime }
+ */
+export class CookieJar {
+    constructor(cookies = []) {
+        this.cookies = new Map();
+        cookies.forEach(cookie => this.addCookie(cookie));
+    }
+
+    static _key(cookie) {
+        return `${cookie.domain};${cookie.path};${cookie.name}`;
+    }
+
+    /**
+     * Restore a jar from its toJSON() form. Also accepts the legacy session format
+     * ([{ name, value, domain }]), which had no path, flags or expiry.
+     */
+    static fromJSON(cookies = []) {
+        return new CookieJar(cookies.map(cookie => ({
+            path: '/',
+            hostOnly: false,
+            expires: null,
+            secure: false,
+            httpOnly: false,
+            sameSite: null,
+            creationTime: Date.now(),
+            ...cookie,
+            domain: String(cookie.domain || '').replace(/^\./, '').toLowerCase()
+        })));
+    }
+
+    toJSON() {
+        return this.getAllCookies();
+    }
+
+    get size() {
+        return this.getAllCookies().length;
+    }
+
+    /**
+     * Store an already parsed cookie (replaces one with the same name/domain/path)
+     */
+    addCookie(cookie) {
+        const key = CookieJar._key(cookie);
+        const existing = this.cookies.get(key);
+        if (cookie.expires !== null && cookie.expires <= Date.now()) {
+            // An already-expired cookie is how servers delete cookies
+            this.cookies.delete(key);
+            return;
+        }
+        this.cookies.set(key, {
+            ...cookie,
+            creationTime: existing ? existing.creationTime : (cookie.creationTime || Date.now())
+        });
+    }
+
+    /**
+     * Parse a Set-Cookie header received in response to `requestUrl` and store it
+     */
+    setCookie(setCookieHeader, requestUrl) {
+        if (!setCookieHeader) return;
+
+        const url = new URL(requestUrl);
+        const host = url.hostname.toLowerCase();
+        const [nameValue, ...attributes] = setCookieHeader.split(';');
+
+        // Split on the first '=' only: values (base64 tokens) may contain '='
+        const index = nameValue.indexOf('=');
+        if (index < 0) return;
+        const name = nameValue.slice(0, index).trim();
+        const value = nameValue.slice(index + 1).trim();
+        if (!name) return;
+
+        const cookie = {
+            name,
+            value,
+            domain: host,
+            path: defaultPath(url.pathname),
+            hostOnly: true,
+            expires: null,
+            secure: false,
+            httpOnly: false,
+            sameSite: null
+        };
+
+        let maxAge = null;
+        let expires = null;
+        for (const attribute of attributes) {
+            const eq = attribute.indexOf('=');
+            const attrName = (eq < 0 ? attribute : attribute.slice(0, eq)).trim().toLowerCase();
+            const attrValue = eq < 0 ? '' : attribute.slice(eq + 1).trim();
+
+            switch (attrName) {
+                case 'domain': {
+                    const domain = attrValue.replace(/^\./, '').toLowerCase();
+                    if (!domain) break;
+                    // A server may only set cookies for a domain its own host belongs to
+                    if (!domainMatches(host, domain)) return;
+                    cookie.domain = domain;
+                    cookie.hostOnly = false;
+                    break;
+                }
+                case 'path':
+                    cookie.path = attrValue.startsWith('/') ? attrValue : defaultPath(url.pathname);
+                    break;
+                case 'max-age':
+                    if (/^-?\d+$/.test(attrValue)) {
+                        maxAge = parseInt(attrValue, 10);
+                    }
+                    break;
+                case 'expires': {
+                    const parsed = Date.parse(attrValue);
+                    if (!Number.isNaN(parsed)) {
+                        expires = parsed;
+                    }
+                    break;
+                }
+                case 'secure':
+                    cookie.secure = true;
+                    break;
+                case 'httponly':
+                    cookie.httpOnly = true;
+                    break;
+                case 'samesite':
+                    cookie.sameSite = attrValue.toLowerCase() || null;
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        // Max-Age wins over Expires (RFC 6265 5.3 step 3)
+        if (maxAge !== null) {
+            cookie.expires = maxAge <= 0 ? 0 : Date.now() + maxAge * 1000;
+        } else if (expires !== null) {
+            cookie.expires = expires;
+        }
+
+        this.addCookie(cookie);
+    }
+
+    /**
+     * Drop every cookie whose expiry has passed
+     */
+    removeExpired(now = Date.now()) {
+        for (const [key, cookie] of this.cookies) {
+            if (cookie.expires !== null && cookie.expires <= now) {
+                this.cookies.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Unexpired cookies that would be sent to `requestUrl`,
+     * longest path first, then oldest first (RFC 6265 5.4 step 2)
+     */
+    getCookies(requestUrl) {
+        this.removeExpired();
+
+        const url = new URL(requestUrl);
+        const host = url.hostname.toLowerCase();
+        const secureChannel = url.protocol === 'https:';
+
+        return Array.from(this.cookies.values())
+            .filter(cookie => {
+                const domainOk = cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain);
+                return domainOk && pathMatches(url.pathname, cookie.path) && (!cookie.secure || secureChannel);
+            })
+            .sort((a, b) => (b.path.length - a.path.length) || (a.creationTime - b.creationTime));
+    }
+
+    getCookieHeader(requestUrl) {
+        return this.getCookies(requestUrl).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    getAllCookies() {
+        this.removeExpired();
+        return Array.from(this.cookies.values()).map(cookie => ({ ...cookie }));
+    }
+
+    /**
+     * A new jar holding only the cookies that match the predicate
+     */
+    filter(predicate) {
+        return new CookieJar(this.getAllCookies().filter(predicate));
+    }
+
+    /**
+     * Earliest expiry among cookies sent to `requestUrl` that carry one
+     * (null when they are all session cookies)
+     */
+    earliestExpiry(requestUrl) {
+        const expiries = this.getCookies(requestUrl)
+            .map(cookie => cookie.expires)
+            .filter(expires => expires !== null);
+        return expiries.length ? Math.min(...expiries) : null;
+    }
+
+    clear() {
+        this.cookies.clear();
+    }
+}
+
+/**
+ * RFC 6265 5.1.3: host equals the domain, or ends with "." + domain and is not an IP address
+ */
+export function domainMatches(host, domain) {
+    if (host === domain) {
+        return true;
+    }
+    return host.endsWith(`.${domain}`) && !net.isIP(host);
+}
+
+/**
+ * RFC 6265 5.1.4: request path equals the cookie path, or extends it at a "/" boundary
+ */
+export function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) {
+        return true;
+    }
+    if (requestPath.startsWith(cookiePath)) {
+        return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+    }
+    return false;
+}
+
+/**
+ * RFC 6265 5.1.4: directory of the request path, used when Set-Cookie has no Path
+ */
+function defaultPath(requestPath) {
+    if (!requestPath || !requestPath.startsWith('/')) {
+        return '/';
+    }
+    const lastSlash = requestPath.lastIndexOf('/');
+    return lastSlash <= 0 ? '/' : requestPath.slice(0, lastSlash);
+}
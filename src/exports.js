@@ -0,0 +1,590 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import archiver from 'archiver';
+import express from 'express';
+import { config } from './config.js';
+import { db } from './auth.js';
+import { responseCache } from './cache.js';
+import { catalog } from './catalog.js';
+import { articleList } from './articleBuckets.js';
+import { articleMarkup, sanitizeMarkup, motorApiPath, rewriteLink } from './articleTransform.js';
+import { mapWithConcurrency } from './rateLimit.js';
+import { ownerOf } from './userData.js';
+import logger from './logger.js';
+
+const MAINTENANCE_SCHEDULES = ['frequency', 'intervals', 'indicators'];
+
+// Where the progress bar stands when each step starts
+const STEP_PROGRESS = { listing: 0, maintenance: 5, articles: 10, assets: 60, writing: 90, packaging: 95 };
+
+const ASSET_LINK = /^\/api\/((source|manufacturer)\/[^/]+\/graphic|asset)\//;
+
+const ASSET_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/svg+xml': '.svg',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf'
+};
+
+// Jobs in these states are not running anywhere and can be resumed
+const RESUMABLE = ['error', 'interrupted'];
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * File name for an id or Motor API path: /api/source/MOTOR/graphic/123 -> source-MOTOR-graphic-123
+ */
+function fileNameFor(value) {
+    return String(value).replace(/^\/api\//, '').split('?')[0].replace(/[^A-Za-z0-9_-]+/g, '-');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+function isLabor(article) {
+    return /labor/i.test(`${article.bucketName || article.bucket || ''} ${article.parentBucket || ''}`);
+}
+
+async function exists(file) {
+    try {
+        await fs.promises.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * GET a Motor API path through the response cache (and the upstream concurrency cap).
+ * Resolves with the response, or null for a 404; other failures throw with the upstream status.
+ */
+async function fetchMotor(apiPath) {
+    const response = await responseCache.fetch(apiPath);
+    if (response.statusCode === 404) {
+        return null;
+    }
+    if (response.statusCode !== 200) {
+        throw httpError(response.statusCode, `Motor API ${apiPath} returned ${response.statusCode}`);
+    }
+    return response;
+}
+
+/**
+ * { markup, title } of a stored article response (Motor's JSON envelope or plain markup)
+ */
+function readArticle(buffer) {
+    const source = buffer.toString('utf8');
+    try {
+        return articleMarkup(JSON.parse(source));
+    } catch {
+        return { markup: source, title: null };
+    }
+}
+
+function articlePage(title, markup) {
+    // Full documents are kept as they are
+    if (/<html\b/i.test(markup)) {
+        return markup;
+    }
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+<p><a href="../index.html">Contents</a></p>
+${markup}
+</body>
+</html>
+`;
+}
+
+function indexPage(manifest) {
+    const links = manifest.articles
+        .filter(entry => entry.file)
+        .map(entry => `<li><a href="${escapeHtml(entry.file)}">${escapeHtml(entry.title)}</a>${entry.bucket ? ` <small>${escapeHtml(entry.bucket)}</small>` : ''}</li>`);
+    const schedules = manifest.maintenance.map(file => `<li><a href="${escapeHtml(file)}">${escapeHtml(path.basename(file, '.json'))}</a></li>`);
+    const title = manifest.vehicle.name || `${manifest.vehicle.contentSource} vehicle ${manifest.vehicle.vehicleId}`;
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<h2>Articles</h2>
+<ul>
+${links.join('\n')}
+</ul>
+<h2>Maintenance schedules</h2>
+<ul>
+${schedules.join('\n')}
+</ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * Offline content bundles: a vehicle's articles (with their graphics and assets), labor data
+ * and maintenance schedules, fetched in the background and packed into a ZIP.
+ *
+ * Job state is kept in Firestore so any instance can report it. Fetched content is written to
+ * the job's work directory as it arrives; a resumed job skips whatever is already on disk.
+ */
+class ExportManager {
+    constructor(options) {
+        this.options = options;
+        // Jobs started or resumed by this process
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+    }
+
+    _doc(id) {
+        return db.collection(this.options.collection).doc(id);
+    }
+
+    _workDir(id) {
+        return path.join(this.options.directory, id);
+    }
+
+    zipPath(id) {
+        return path.join(this._workDir(id), 'bundle.zip');
+    }
+
+    /**
+     * Persist the job state. Best effort: the job keeps running without Firestore.
+     */
+    async _save(job) {
+        try {
+            await this._doc(job.id).set(job);
+        } catch (error) {
+            logger.error(`Could not save export job ${job.id} to Firestore:`, error);
+        }
+    }
+
+    async _load(id) {
+        if (this.jobs.has(id)) {
+            return this.jobs.get(id);
+        }
+        const doc = await this._doc(id).get();
+        if (!doc.exists) {
+            return null;
+        }
+        const job = doc.data();
+        // Started by a process that is gone (restart, another instance)
+        if (job.status === 'queued' || job.status === 'running') {
+            job.status = 'interrupted';
+        }
+        return job;
+    }
+
+    /**
+     * Current state of a job, or null for an unknown id
+     */
+    async get(id) {
+        const job = await this._load(id);
+        return job ? { ...job, resumable: RESUMABLE.includes(job.status) } : null;
+    }
+
+    async create({ contentSource, vehicleId, motorVehicleId }, consumer, owner) {
+        const job = {
+            id: crypto.randomUUID(),
+            contentSource,
+            vehicleId,
+            motorVehicleId: motorVehicleId || null,
+            consumer: consumer ? consumer.name : null,
+            owner,
+            status: 'queued',
+            step: null,
+            message: 'Waiting for a free export slot',
+            progress: 0,
+            counts: { articles: 0, assets: 0, done: 0, failed: 0 },
+            error: null,
+            zipBytes: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            completedAt: null
+        };
+        this.jobs.set(job.id, job);
+        await this._save(job);
+        this._enqueue(job);
+        return this.get(job.id);
+    }
+
+    /**
+     * Continue an interrupted or failed job; content already fetched is not requested again
+     */
+    async resume(id) {
+        const job = await this._load(id);
+        if (!job) {
+            return null;
+        }
+        if (!RESUMABLE.includes(job.status) && !(job.status === 'complete' && !(await exists(this.zipPath(id))))) {
+            throw httpError(409, `Export ${id} is ${job.status} and cannot be resumed`);
+        }
+        Object.assign(job, { status: 'queued', message: 'Waiting for a free export slot', error: null, completedAt: null });
+        this.jobs.set(id, job);
+        await this._save(job);
+        this._enqueue(job);
+        return this.get(id);
+    }
+
+    /**
+     * Remove a job that is not running, with its files
+     */
+    async remove(id) {
+        const job = await this._load(id);
+        if (!job) {
+            return false;
+        }
+        if (job.status === 'queued' || job.status === 'running') {
+            throw httpError(409, `Export ${id} is ${job.status}; wait for it to finish`);
+        }
+        this.jobs.delete(id);
+        await fs.promises.rm(this._workDir(id), { recursive: true, force: true });
+        await this._doc(id).delete();
+        return true;
+    }
+
+    _enqueue(job) {
+        this.queue.push(job);
+        this._pump();
+    }
+
+    _pump() {
+        while (this.running < this.options.maxRunning && this.queue.length) {
+            const job = this.queue.shift();
+            this.running++;
+            this._run(job).finally(() => {
+                this.running--;
+                this._pump();
+            });
+        }
+    }
+
+    _step(job, step, message) {
+        Object.assign(job, { step, message, progress: STEP_PROGRESS[step] });
+        logger.info(`[export ${job.id}] ${message}`);
+        return this._save(job);
+    }
+
+    /**
+     * Progress inside a step that goes over `total` items
+     */
+    _advance(job, done, total) {
+        const steps = Object.keys(STEP_PROGRESS);
+        const next = STEP_PROGRESS[steps[steps.indexOf(job.step) + 1]] || 100;
+        const start = STEP_PROGRESS[job.step];
+        job.progress = Math.floor(start + (next - start) * (total ? done / total : 1));
+    }
+
+    /**
+     * Content of `file`, fetched from `apiPath` unless an earlier run already stored it.
+     * Null when Motor has no such content.
+     */
+    async _download(file, apiPath) {
+        if (await exists(file)) {
+            return fs.promises.readFile(file);
+        }
+        const response = await fetchMotor(apiPath);
+        if (!response) {
+            return null;
+        }
+        await fs.promises.writeFile(file, response.body);
+        return response.body;
+    }
+
+    /**
+     * Run `fn` for one item; a 404 or an upstream 5xx is recorded and the export goes on,
+     * anything else (network, authentication) fails the job so it can be resumed later
+     */
+    async _item(job, failures, id, fn) {
+        try {
+            const result = await fn();
+            if (result === null) {
+                failures.push({ id, error: 'Not found upstream' });
+            }
+            return result;
+        } catch (error) {
+            if (!(error.statusCode >= 500)) {
+                throw error;
+            }
+            failures.push({ id, error: error.message });
+            return null;
+        } finally {
+            job.counts.done++;
+        }
+    }
+
+    async _run(job) {
+        const dir = this._workDir(job.id);
+        const bundle = path.join(dir, 'bundle');
+        const vehiclePath = `/api/source/${encodeURIComponent(job.contentSource)}/vehicle/${encodeURIComponent(job.vehicleId)}`;
+        const query = job.motorVehicleId ? `?motorVehicleId=${encodeURIComponent(job.motorVehicleId)}` : '';
+        const concurrency = this.options.concurrency;
+        const failures = [];
+
+        Object.assign(job, { status: 'running', startedAt: job.startedAt || Date.now() });
+        job.counts = { articles: 0, assets: 0, done: 0, failed: 0 };
+
+        try {
+            for (const sub of ['raw/articles', 'bundle/articles', 'bundle/labor', 'bundle/maintenance', 'bundle/assets']) {
+                await fs.promises.mkdir(path.join(dir, sub), { recursive: true });
+            }
+
+            await this._step(job, 'listing', 'Listing the vehicle\'s articles');
+            const listing = await this._download(path.join(dir, 'raw', 'articles.json'), `${vehiclePath}/articles/v2${query}`);
+            if (!listing) {
+                throw httpError(404, `No articles found for ${job.contentSource} vehicle ${job.vehicleId}`);
+            }
+            const payload = JSON.parse(listing.toString('utf8'));
+            const listed = articleList(payload && payload.body !== undefined ? payload.body : payload)
+                .filter(article => article && (article.id || article.articleId));
+
+            await this._step(job, 'maintenance', 'Fetching maintenance schedules');
+            const maintenance = [];
+            for (const name of MAINTENANCE_SCHEDULES) {
+                const file = `maintenance/${name}.json`;
+                const body = await this._item(job, failures, file, () => this._download(path.join(bundle, file), `${vehiclePath}/maintenanceSchedules/${name}`));
+                if (body) {
+                    maintenance.push(file);
+                }
+            }
+
+            job.counts.articles = listed.length;
+            job.counts.done = 0;
+            await this._step(job, 'articles', `Fetching ${listed.length} articles`);
+            const assets = new Set();
+            const collectAsset = (url) => {
+                const apiPath = motorApiPath(url);
+                if (apiPath && ASSET_LINK.test(apiPath)) {
+                    assets.add(apiPath);
+                }
+                return url;
+            };
+            const articles = await mapWithConcurrency(listed, concurrency, async (article) => {
+                const id = String(article.id || article.articleId);
+                const entry = {
+                    id,
+                    title: article.title || article.name || id,
+                    bucket: article.bucketName || article.bucket || null,
+                    parentBucket: article.parentBucket || null,
+                    type: isLabor(article) ? 'labor' : 'article',
+                    file: null
+                };
+                await this._item(job, failures, id, async () => {
+                    if (entry.type === 'labor') {
+                        const file = `labor/${fileNameFor(id)}.json`;
+                        const body = await this._download(path.join(bundle, file), `${vehiclePath}/labor/${encodeURIComponent(id)}${query}`);
+                        entry.file = body ? file : null;
+                        return body;
+                    }
+                    const body = await this._download(path.join(dir, 'raw', 'articles', `${fileNameFor(id)}.json`), `${vehiclePath}/article/${encodeURIComponent(id)}${query}`);
+                    const content = body && readArticle(body);
+                    if (content) {
+                        sanitizeMarkup(content.markup, { rewrite: collectAsset });
+                        entry.file = `articles/${fileNameFor(id)}.html`;
+                    }
+                    return body;
+                });
+                this._advance(job, job.counts.done, listed.length);
+                return entry;
+            });
+
+            job.counts.assets = assets.size;
+            job.counts.done = 0;
+            await this._step(job, 'assets', `Fetching ${assets.size} graphics and assets`);
+            const assetDir = path.join(bundle, 'assets');
+            // An earlier run's files, by name without extension
+            const stored = new Map((await fs.promises.readdir(assetDir)).map(name => [name.replace(/\.[^.]+$/, ''), name]));
+            const assetFiles = new Map();
+            await mapWithConcurrency(Array.from(assets), concurrency, async (apiPath) => {
+                const base = fileNameFor(apiPath);
+                await this._item(job, failures, apiPath, async () => {
+                    if (stored.has(base)) {
+                        assetFiles.set(apiPath, stored.get(base));
+                        return true;
+                    }
+                    const response = await fetchMotor(apiPath);
+                    if (!response) {
+                        return null;
+                    }
+                    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
+                    const name = base + (ASSET_EXTENSIONS[contentType] || '');
+                    await fs.promises.writeFile(path.join(assetDir, name), response.body);
+                    assetFiles.set(apiPath, name);
+                    return true;
+                });
+                this._advance(job, job.counts.done, assets.size);
+            });
+
+            await this._step(job, 'writing', 'Writing article pages');
+            const pages = new Map(articles.filter(entry => entry.file && entry.type === 'article').map(entry => [entry.id, entry]));
+            // Links between bundled files are relative; anything else goes through the proxy
+            const localize = (url) => {
+                const apiPath = motorApiPath(url);
+                if (!apiPath) {
+                    return url;
+                }
+                if (assetFiles.has(apiPath)) {
+                    return `../assets/${assetFiles.get(apiPath)}`;
+                }
+                const linked = apiPath.match(/\/article\/([^/?#]+)$/);
+                const target = linked && pages.get(decodeURIComponent(linked[1]));
+                return target ? path.basename(target.file) : rewriteLink(url);
+            };
+            for (const entry of pages.values()) {
+                const { markup, title } = readArticle(await fs.promises.readFile(path.join(dir, 'raw', 'articles', `${fileNameFor(entry.id)}.json`)));
+                const html = sanitizeMarkup(markup, { rewrite: localize });
+                await fs.promises.writeFile(path.join(bundle, entry.file), articlePage(title || entry.title, html));
+            }
+
+            const manifest = {
+                format: 'motor-export/1',
+                id: job.id,
+                createdAt: new Date().toISOString(),
+                vehicle: {
+                    contentSource: job.contentSource,
+                    vehicleId: job.vehicleId,
+                    motorVehicleId: job.motorVehicleId,
+                    name: await catalog.vehicleName(job.contentSource, job.vehicleId).catch(() => null)
+                },
+                articles,
+                maintenance,
+                assets: Array.from(assetFiles.values()).map(name => `assets/${name}`),
+                failures
+            };
+            await fs.promises.writeFile(path.join(bundle, 'manifest.json'), JSON.stringify(manifest, null, 2));
+            await fs.promises.writeFile(path.join(bundle, 'index.html'), indexPage(manifest));
+
+            await this._step(job, 'packaging', 'Packing the ZIP bundle');
+            job.zipBytes = await this._zip(bundle, this.zipPath(job.id));
+            // Only the ZIP is needed from here on
+            await fs.promises.rm(path.join(dir, 'raw'), { recursive: true, force: true });
+            await fs.promises.rm(bundle, { recursive: true, force: true });
+
+            job.counts.failed = failures.length;
+            Object.assign(job, { status: 'complete', message: 'Bundle ready', progress: 100, completedAt: Date.now() });
+            logger.info(`✓ [export ${job.id}] Bundle ready: ${articles.length} articles, ${assetFiles.size} assets, ${failures.length} failed (${job.zipBytes} bytes)`);
+        } catch (error) {
+            logger.error(`[export ${job.id}] Failed during ${job.step}:`, error);
+            job.counts.failed = failures.length;
+            Object.assign(job, { status: 'error', message: `Failed during ${job.step}`, error: error.message, completedAt: Date.now() });
+        }
+        await this._save(job);
+    }
+
+    /**
+     * ZIP `sourceDir` into `zipPath`, resolving with the archive size
+     */
+    _zip(sourceDir, zipPath) {
+        const partial = `${zipPath}.partial`;
+        return new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(partial);
+            const archive = archiver('zip', { zlib: { level: 6 } });
+            output.on('close', () => resolve(archive.pointer()));
+            output.on('error', reject);
+            archive.on('error', reject);
+            archive.pipe(output);
+            archive.directory(sourceDir, false);
+            archive.finalize();
+        }).then(async (bytes) => {
+            await fs.promises.rename(partial, zipPath);
+            return bytes;
+        });
+    }
+}
+
+export const exportManager = new ExportManager(config.exports);
+
+/**
+ * Express router for /exports
+ */
+export function createExportRouter() {
+    const router = express.Router();
+
+    const handle = (fn) => async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Export ${req.originalUrl} failed:`, error);
+            }
+            res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message });
+        }
+    };
+
+    const withLinks = (job) => ({
+        ...job,
+        statusUrl: `/exports/${job.id}`,
+        downloadUrl: job.status === 'complete' ? `/exports/${job.id}/download` : null
+    });
+
+    const notFound = (res, id) => res.status(404).json({ error: 'Not Found', message: `Unknown export "${id}"` });
+
+    // Another consumer's export is answered like an unknown one
+    const ownJob = async (req) => {
+        const job = await exportManager.get(req.params.id);
+        return job && job.owner === ownerOf(req) ? job : null;
+    };
+
+    // Body: { contentSource, vehicleId, motorVehicleId? }; poll the returned statusUrl
+    router.post('/', express.json(), handle(async (req, res) => {
+        const { contentSource, vehicleId, motorVehicleId } = req.body || {};
+        if (typeof contentSource !== 'string' || !contentSource || !['string', 'number'].includes(typeof vehicleId) || vehicleId === '') {
+            return res.status(400).json({ error: 'Bad Request', message: 'Body must be { "contentSource": "...", "vehicleId": "..." }' });
+        }
+        const job = await exportManager.create({
+            contentSource,
+            vehicleId: String(vehicleId),
+            motorVehicleId: motorVehicleId ? String(motorVehicleId) : null
+        }, req.consumer, ownerOf(req));
+        res.status(202).location(`/exports/${job.id}`).json(withLinks(job));
+    }));
+
+    router.get('/:id', handle(async (req, res) => {
+        const job = await ownJob(req);
+        return job ? res.json(withLinks(job)) : notFound(res, req.params.id);
+    }));
+
+    router.post('/:id/resume', handle(async (req, res) => {
+        const job = (await ownJob(req)) && await exportManager.resume(req.params.id);
+        return job ? res.status(202).json(withLinks(job)) : notFound(res, req.params.id);
+    }));
+
+    router.get('/:id/download', handle(async (req, res) => {
+        const job = await ownJob(req);
+        if (!job) {
+            return notFound(res, req.params.id);
+        }
+        const zipPath = exportManager.zipPath(job.id);
+        if (job.status !== 'complete' || !(await exists(zipPath))) {
+            const message = job.status === 'complete'
+                ? 'The bundle is not on this instance any more; resume the export to rebuild it'
+                : `Export is ${job.status}`;
+            return res.status(409).json({ error: 'Conflict', message, resumable: job.status === 'complete' || job.resumable });
+        }
+        res.download(zipPath, `${fileNameFor(job.contentSource)}-${fileNameFor(job.vehicleId)}.zip`);
+    }));
+
+    router.delete('/:id', handle(async (req, res) => {
+        const removed = (await ownJob(req)) && await exportManager.remove(req.params.id);
+        return removed ? res.status(204).end() : notFound(res, req.params.id);
+    }));
+
+    return router;
+}
@@ -0,0 +1,417 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
+import { URL } from 'url';
+import { config } from './config.js';
+import logger from './logger.js';
+
+const MODES = ['off', 'replay', 'record'];
+const REDACTED = '[redacted]';
+
+// HAR bodies are stored decoded, so these headers only described the original transfer
+const TRANSFER_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+const TEXT_TYPES = /^text\/|json|xml|javascript|x-www-form-urlencoded/i;
+
+const DECODERS = {
+    gzip: zlib.gunzipSync,
+    deflate: zlib.inflateSync,
+    br: zlib.brotliDecompressSync
+};
+
+/**
+ * Node headers ({ name: value | [values] }) as HAR name/value pairs
+ */
+function headerList(headers) {
+    return Object.entries(headers || {}).flatMap(([name, value]) => [].concat(value).map(item => ({ name, value: String(item) })));
+}
+
+/**
+ * HAR name/value pairs as Node response headers, without HTTP/2 pseudo headers and transfer headers
+ */
+function headerObject(list) {
+    const headers = {};
+    (list || []).forEach(({ name, value }) => {
+        const key = name.toLowerCase();
+        if (key.startsWith(':') || TRANSFER_HEADERS.includes(key)) {
+            return;
+        }
+        if (key === 'set-cookie') {
+            headers[key] = [...(headers[key] || []), ...String(value).split('\n')];
+        } else {
+            headers[key] = headers[key] ? `${headers[key]}, ${value}` : String(value);
+        }
+    });
+    return headers;
+}
+
+function headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+/**
+ * Record/replay of upstream HTTP traffic as HAR files.
+ *
+ * In 'replay' mode every upstream request (httpsRequest for the login flows, motorRequest and
+ * the /api and /v1 proxy targets) is answered from the entries of config.har.files, matched on
+ * method, path and normalized query; nothing reaches the network. Entries recorded more than
+ * once for the same request are served in order, the last one repeating. An unmatched request
+ * gets a 404 with an `x-har-replay: miss` header.
+ *
+ * In 'record' mode requests go to the network and every exchange is appended to
+ * config.har.recordFile, with cookies, credential headers and credential parameters redacted.
+ */
+class HarArchive {
+    constructor(options) {
+        if (!MODES.includes(options.mode)) {
+            throw new Error(`Unknown HAR mode "${options.mode}" (use one of: ${MODES.join(', ')})`);
+        }
+        this.options = options;
+        this.index = null;
+        this.cursors = new Map();
+        this.recording = null;
+        this.writing = Promise.resolve();
+        this.target = null;
+    }
+
+    get enabled() {
+        return this.options.mode !== 'off';
+    }
+
+    get mode() {
+        return this.options.mode;
+    }
+
+    /**
+     * Matching key: method, path and the query sorted by parameter. Ignored parameters match any
+     * value and credential parameters are compared in their redacted form, like they are recorded.
+     */
+    key(method, url) {
+        const { pathname, searchParams } = new URL(url);
+        const query = [...searchParams]
+            .map(([name, value]) => {
+                const lower = name.toLowerCase();
+                if (this.options.ignoreParams.includes(lower)) {
+                    return [lower, ''];
+                }
+                return [lower, this.options.redactParams.includes(lower) ? REDACTED : value];
+            })
+            .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]))
+            .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+            .join('&');
+        return `${String(method || 'GET').toUpperCase()} ${pathname}${query ? `?${query}` : ''}`;
+    }
+
+    _load() {
+        if (this.index) {
+            return this.index;
+        }
+        this.index = new Map();
+        let total = 0;
+        this.options.files.forEach((file) => {
+            let har;
+            try {
+                har = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+            } catch (error) {
+                logger.warn(`HAR file ${file} skipped: ${error.message}`);
+                return;
+            }
+            ((har.log && har.log.entries) || []).forEach((entry) => {
+                // Requests the browser never completed have no response to replay
+                if (!entry.request || !entry.response || !entry.response.status) {
+                    return;
+                }
+                const key = this.key(entry.request.method, entry.request.url);
+                this.index.set(key, [...(this.index.get(key) || []), entry]);
+                total++;
+            });
+        });
+        logger.info(`✓ HAR replay: ${total} entries from ${this.options.files.join(', ')}`);
+        return this.index;
+    }
+
+    /**
+     * Recorded response for a request, or a 404 when nothing matches
+     */
+    replay(url, method) {
+        const key = this.key(method, url);
+        const { host } = new URL(url);
+        const candidates = this._load().get(key) || [];
+        const sameHost = candidates.filter(entry => new URL(entry.request.url).host === host);
+        const entries = sameHost.length ? sameHost : candidates;
+        if (!entries.length) {
+            logger.warn(`HAR replay: no entry for ${key} (${host})`);
+            const body = Buffer.from(JSON.stringify({ error: 'Not Found', message: `No HAR entry for ${key}` }));
+            return { statusCode: 404, headers: { 'content-type': 'application/json', 'content-length': String(body.length), 'x-har-replay': 'miss' }, body };
+        }
+
+        const cursor = this.cursors.get(`${host} ${key}`) || 0;
+        this.cursors.set(`${host} ${key}`, cursor + 1);
+        const { response } = entries[Math.min(cursor, entries.length - 1)];
+        const content = response.content || {};
+        const body = content.text ? Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8') : Buffer.alloc(0);
+        const headers = headerObject(response.headers);
+        if (!headers['content-type'] && content.mimeType) {
+            headers['content-type'] = content.mimeType;
+        }
+        headers['content-length'] = String(body.length);
+        logger.debug(`HAR replay: ${key} → ${response.status}`);
+        return { statusCode: response.status, headers, body };
+    }
+
+    /**
+     * Send a request through the archive: replayed, or sent and recorded.
+     * Resolves with { statusCode, headers, body: Buffer } like motorRequest.
+     */
+    async send(url, options = {}) {
+        const method = options.method || 'GET';
+        if (this.options.mode === 'replay') {
+            return this.replay(url, method);
+        }
+        // Host and transfer headers are the ones of this request; recordings hold plain bodies
+        const headers = Object.fromEntries(Object.entries(options.headers || {})
+            .filter(([name]) => !['host', 'accept-encoding', 'content-length', 'connection'].includes(name.toLowerCase())));
+        headers['Accept-Encoding'] = 'identity';
+        const body = options.body && options.body.length ? options.body : null;
+
+        const startedAt = Date.now();
+        const response = await this._request(url, method, headers, body);
+        if (this.options.mode === 'record') {
+            this.record(url, method, headers, body, response, startedAt);
+        }
+        return response;
+    }
+
+    _request(url, method, headers, body) {
+        const target = new URL(url);
+        const requestHeaders = body ? { ...headers, 'Content-Length': Buffer.byteLength(body) } : headers;
+        return new Promise((resolve, reject) => {
+            const req = (target.protocol === 'http:' ? http : https).request({
+                hostname: target.hostname,
+                port: target.port || undefined,
+                path: target.pathname + target.search,
+                method,
+                headers: requestHeaders
+            }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    let responseBody = Buffer.concat(chunks);
+                    const headersOut = { ...res.headers };
+                    const decode = DECODERS[headersOut['content-encoding']];
+                    if (decode) {
+                        try {
+                            responseBody = decode(responseBody);
+                            delete headersOut['content-encoding'];
+                        } catch (error) {
+                            logger.warn(`HAR record: could not decode ${headersOut['content-encoding']} body of ${url}: ${error.message}`);
+                        }
+                    }
+                    if (!headersOut['content-encoding']) {
+                        headersOut['content-length'] = String(responseBody.length);
+                        delete headersOut['transfer-encoding'];
+                    }
+                    resolve({ statusCode: res.statusCode, headers: headersOut, body: responseBody });
+                });
+                res.on('error', reject);
+            });
+            const timeoutMs = config.rateLimit.concurrency.requestTimeoutMs;
+            req.setTimeout(timeoutMs, () => req.destroy(new Error(`No answer from ${target.host} within ${timeoutMs}ms`)));
+            req.on('error', reject);
+            if (body) {
+                req.write(body);
+            }
+            req.end();
+        });
+    }
+
+    /**
+     * Credential values of the configured accounts, replaced wherever they show up in a recording
+     */
+    _secrets() {
+        return config.accounts
+            .flatMap(account => [account.libraryBarcode, account.ebscoUser, account.ebscoPassword])
+            .filter(value => typeof value === 'string' && value.length >= 4)
+            .flatMap(value => Array.from(new Set([value, encodeURIComponent(value), new URLSearchParams({ value }).toString().slice(6)])));
+    }
+
+    _redactText(text) {
+        return this._secrets().reduce((result, secret) => result.split(secret).join(REDACTED), text);
+    }
+
+    /**
+     * Credential parameters and values of an absolute or relative URL (resolved against `base`) redacted;
+     * a relative URL stays relative
+     */
+    _redactUrl(url, base) {
+        let target;
+        try {
+            target = new URL(url, base);
+        } catch (err) {
+            return this._redactContentText(url);
+        }
+        [...target.searchParams.keys()]
+            .filter(name => this.options.redactParams.includes(name.toLowerCase()))
+            .forEach(name => target.searchParams.set(name, REDACTED));
+        const absolute = /^[a-z][a-z0-9+.-]*:/i.test(url);
+        return this._redactText(absolute ? target.href : target.pathname + target.search + target.hash);
+    }
+
+    /**
+     * Text with credential values and credential query parameters of the URLs in it redacted
+     * (login pages link to the next hop with user=...&password=... in the query)
+     */
+    _redactContentText(text) {
+        const names = this.options.redactParams.map(name => name.replace(/[^a-z0-9_-]/gi, '')).join('|');
+        const params = new RegExp(`([?&;](?:amp;)?(?:${names})=)[^&"'\\s<>#]*`, 'gi');
+        return this._redactText(text.replace(params, `$1${REDACTED}`));
+    }
+
+    /**
+     * HAR content of a response body. Text is stored as text, binary bodies as base64 redacted the same way
+     * byte for byte (credentials are ASCII), so nothing skips redaction.
+     */
+    _redactContent(body, contentType) {
+        const text = body.toString('utf8');
+        const textual = TEXT_TYPES.test(contentType) || (!text.includes('\ufffd') && !text.includes('\u0000'));
+        if (textual) {
+            return { text: this._redactContentText(text) };
+        }
+        return { text: Buffer.from(this._redactContentText(body.toString('latin1')), 'latin1').toString('base64'), encoding: 'base64' };
+    }
+
+    _redactHeaders(headers, base) {
+        return headerList(headers).map(({ name, value }) => {
+            const key = name.toLowerCase();
+            if (key === 'location' || key === 'content-location') {
+                return { name, value: this._redactUrl(value, base) };
+            }
+            if (!this.options.redactHeaders.includes(key)) {
+                return { name, value: this._redactContentText(value) };
+            }
+            if (key === 'cookie') {
+                return { name, value: value.split(';').filter(pair => pair.trim()).map(pair => `${pair.split('=')[0].trim()}=${REDACTED}`).join('; ') };
+            }
+            if (key === 'set-cookie') {
+                // Name and attributes stay, so a replayed login still fills the cookie jar
+                const [pair, ...attributes] = value.split(';');
+                return { name, value: [`${pair.split('=')[0].trim()}=${REDACTED}`, ...attributes.map(attribute => attribute.trim())].join('; ') };
+            }
+            return { name, value: REDACTED };
+        });
+    }
+
+    _redactBody(body, contentType) {
+        const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+        if (/x-www-form-urlencoded/i.test(contentType || '')) {
+            const params = new URLSearchParams(text);
+            [...params.keys()]
+                .filter(name => this.options.redactParams.includes(name.toLowerCase()))
+                .forEach(name => params.set(name, REDACTED));
+            return this._redactText(params.toString());
+        }
+        return this._redactContentText(text);
+    }
+
+    /**
+     * Append an exchange to the recording (written to disk in the background)
+     */
+    record(url, method, requestHeaders, requestBody, response, startedAt) {
+        if (!this.recording) {
+            try {
+                this.recording = JSON.parse(fs.readFileSync(this.options.recordFile, 'utf8'));
+            } catch {
+                this.recording = { log: { version: '1.2', creator: { name: 'motorapi-auth-proxy', version: '1.0.0' }, pages: [], entries: [] } };
+            }
+        }
+
+        const requestType = headerValue(requestHeaders, 'content-type');
+        const responseType = response.headers['content-type'] || 'application/octet-stream';
+        const redactedUrl = this._redactUrl(url);
+        const elapsed = Date.now() - startedAt;
+        const entry = {
+            startedDateTime: new Date(startedAt).toISOString(),
+            time: elapsed,
+            request: {
+                method,
+                url: redactedUrl,
+                httpVersion: 'HTTP/1.1',
+                headers: this._redactHeaders(requestHeaders, url),
+                queryString: [...new URL(redactedUrl).searchParams].map(([name, value]) => ({ name, value })),
+                cookies: [],
+                headersSize: -1,
+                bodySize: requestBody ? Buffer.byteLength(requestBody) : 0
+            },
+            response: {
+                status: response.statusCode,
+                statusText: http.STATUS_CODES[response.statusCode] || '',
+                httpVersion: 'HTTP/1.1',
+                headers: this._redactHeaders(response.headers, url),
+                cookies: [],
+                content: {
+                    size: response.body.length,
+                    mimeType: responseType,
+                    ...this._redactContent(response.body, responseType)
+                },
+                redirectURL: response.headers.location ? this._redactUrl(response.headers.location, url) : '',
+                headersSize: -1,
+                bodySize: response.body.length
+            },
+            cache: {},
+            timings: { send: 0, wait: elapsed, receive: 0 }
+        };
+        if (requestBody) {
+            entry.request.postData = { mimeType: requestType || 'application/octet-stream', text: this._redactBody(requestBody, requestType) };
+        }
+        this.recording.log.entries.push(entry);
+
+        // One write at a time, each with every entry so far
+        const snapshot = JSON.stringify(this.recording, null, 2);
+        this.writing = this.writing
+            .then(() => fs.promises.mkdir(path.dirname(path.resolve(this.options.recordFile)), { recursive: true }))
+            .then(() => fs.promises.writeFile(this.options.recordFile, snapshot))
+            .catch(error => logger.error(`HAR record: could not write ${this.options.recordFile}:`, error));
+        logger.debug(`HAR record: ${method} ${redactedUrl} → ${response.statusCode}`);
+    }
+
+    /**
+     * Proxy target serving the archive: a loopback server whose requests go through send()
+     * to config.motorApiBase. Used as the http-proxy-middleware router while a mode is active,
+     * so the proxied routes keep their whole response pipeline.
+     */
+    async proxyTarget() {
+        if (!this.target) {
+            this.target = new Promise((resolve, reject) => {
+                const upstream = new URL(config.motorApiBase);
+                const server = http.createServer((req, res) => {
+                    const chunks = [];
+                    req.on('data', chunk => chunks.push(chunk));
+                    req.on('end', async () => {
+                        try {
+                            const body = chunks.length ? Buffer.concat(chunks) : null;
+                            const response = await this.send(upstream.origin + req.url, { method: req.method, headers: req.headers, body });
+                            res.writeHead(response.statusCode, response.headers);
+                            res.end(response.body);
+                        } catch (error) {
+                            logger.error(`HAR ${this.options.mode}: ${req.method} ${req.url} failed:`, error);
+                            res.writeHead(502, { 'content-type': 'application/json' });
+                            res.end(JSON.stringify({ error: 'Bad Gateway', message: error.message }));
+                        }
+                    });
+                });
+                server.on('error', reject);
+                server.listen(0, '127.0.0.1', () => {
+                    // The loopback target never keeps the process alive by itself
+                    server.unref();
+                    logger.info(`✓ HAR ${this.options.mode} mode: Motor API requests served through http://127.0.0.1:${server.address().port}`);
+                    resolve(`http://127.0.0.1:${server.address().port}${upstream.pathname}`);
+                });
+            });
+        }
+        return this.target;
+    }
+}
+
+export const harArchive = new HarArchive(config.har);
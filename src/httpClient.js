@@ -0,0 +1,64 @@
+import https from 'https';
+import { URL } from 'url';
+import { config } from './config.js';
+import { harArchive } from './har.js';
+
+// Helper to make HTTP request and handle redirects with cookie tracking
+export function httpsRequest(url, options = {}) {
+    const headers = {
+        'User-Agent': config.userAgent,
+        ...options.headers
+    };
+
+    // HAR record/replay (HAR_MODE): the login flows run against recorded traffic
+    if (harArchive.enabled) {
+        return harArchive.send(url, { method: options.method, headers, body: options.body }).then(response => ({
+            statusCode: response.statusCode,
+            headers: response.headers,
+            cookies: [].concat(response.headers['set-cookie'] || []),
+            data: response.body.toString('utf8'),
+            url: url
+        }));
+    }
+
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(url);
+        if (options.body) {
+            headers['Content-Length'] = Buffer.byteLength(options.body);
+        }
+
+        const requestOptions = {
+            hostname: urlObj.hostname,
+            path: urlObj.pathname + urlObj.search,
+            method: options.method || 'GET',
+            headers
+        };
+
+        const req = https.request(requestOptions, (res) => {
+            const cookies = [];
+            const setCookieHeaders = res.headers['set-cookie'] || [];
+
+            setCookieHeaders.forEach(header => {
+                cookies.push(header);
+            });
+
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    cookies,
+                    data,
+                    url: url
+                });
+            });
+        });
+
+        req.on('error', reject);
+        if (options.body) {
+            req.write(options.body);
+        }
+        req.end();
+    });
+}
@@ -1,23 +1,193 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import winston from 'winston';
 
+const SPLAT = Symbol.for('splat');
+const LEVEL = Symbol.for('level');
+const REDACTED = '[REDACTED]';
+
+// Per-request state ({ requestId, trace }) visible to every log call made while handling the request
+export const requestContext = new AsyncLocalStorage();
+
+// Cloud Logging reads `severity` from JSON written to stdout
+const SEVERITY = {
+    error: 'ERROR',
+    warn: 'WARNING',
+    info: 'INFO',
+    http: 'INFO',
+    verbose: 'DEBUG',
+    debug: 'DEBUG',
+    silly: 'DEBUG'
+};
+
+// Metadata keys whose values never reach the logs
+const SENSITIVE_KEYS = /^(cookie|cookies|set-cookie|authorization|x-api-key|password|ebscopassword|librarybarcode|key|credential)$/i;
+
+// Running on Cloud Functions / Cloud Run: stdout is collected, the filesystem is read-only
+const inCloud = Boolean(process.env.K_SERVICE || process.env.FUNCTION_TARGET);
+const logFormat = process.env.LOG_FORMAT || (inCloud ? 'json' : 'pretty');
+
+/**
+ * Blank the values of "name=value" pairs following a Cookie label,
+ * e.g. "Cookie header set: a=1; b=2" -> "Cookie header set: a=[REDACTED]; b=[REDACTED]",
+ * and API keys in query strings
+ */
+export function redactCookies(text) {
+    return text
+        .replace(/((?:set-)?cookie[^:\n]*:\s*)([^\n]*)/gi, (match, label, value) => (
+            label + value.replace(/=([^;,\s]*)/g, `=${REDACTED}`)
+        ))
+        // API keys passed in URLs (/docs?apiKey=...)
+        .replace(/([?&]apiKey=)[^&\s]*/g, `$1${REDACTED}`);
+}
+
+function redactValue(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactCookies(value);
+    }
+    if (!value || typeof value !== 'object' || depth > 4 || value instanceof Error) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SENSITIVE_KEYS.test(key) ? REDACTED : redactValue(item, depth + 1)
+    ]));
+}
+
+/**
+ * console.log-style extra arguments: logger.error('Failed:', error.message, error.stack).
+ * Winston only merges object/Error metadata, primitives would otherwise be dropped.
+ */
+const extraArgs = winston.format((info) => {
+    const extras = (info[SPLAT] || []).filter(arg => arg === null || typeof arg !== 'object');
+    if (extras.length) {
+        info.message = [info.message, ...extras.map(String)].join(' ');
+    }
+    return info;
+});
+
+const requestFields = winston.format((info) => {
+    const store = requestContext.getStore();
+    if (store) {
+        info.requestId = info.requestId || store.requestId;
+        if (store.trace) {
+            info['logging.googleapis.com/trace'] = store.trace;
+        }
+    }
+    return info;
+});
+
+const redact = winston.format((info) => {
+    info.message = typeof info.message === 'string' ? redactCookies(info.message) : info.message;
+    for (const key of Object.keys(info)) {
+        if (key === 'message' || key === 'level' || key === 'stack') continue;
+        info[key] = SENSITIVE_KEYS.test(key) ? REDACTED : redactValue(info[key]);
+    }
+    return info;
+});
+
+const cloudFields = winston.format((info) => {
+    info.severity = SEVERITY[info[LEVEL]] || 'DEFAULT';
+    // Error Reporting picks up stack traces from `stack_trace`
+    if (info.stack) {
+        info.stack_trace = info.stack;
+        delete info.stack;
+    }
+    return info;
+});
+
+// Transports share the info object, so the console colors the level without modifying it
+const colorizer = winston.format.colorize();
+
+const pretty = winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.printf((info) => {
+        const { timestamp, message, stack, requestId } = info;
+        const level = colorizer.colorize(info[LEVEL], info[LEVEL]);
+        const prefix = requestId ? ` [${requestId.slice(0, 8)}]` : '';
+        if (stack) {
+            return `${timestamp} [${level}]${prefix}: ${message}\n${stack}`;
+        }
+        return `${timestamp} [${level}]${prefix}: ${message}`;
+    })
+);
+
+const json = winston.format.combine(
+    winston.format.timestamp(),
+    cloudFields(),
+    winston.format.json()
+);
+
+const baseFormat = winston.format.combine(
+    winston.format.errors({ stack: true }),
+    extraArgs(),
+    requestFields(),
+    redact()
+);
+
+const transports = [
+    new winston.transports.Console({ format: logFormat === 'json' ? json : pretty })
+];
+if (!inCloud && process.env.LOG_FILES !== 'false') {
+    // Local runs keep the log files, one JSON object per line
+    transports.push(
+        new winston.transports.File({ filename: 'proxy-error.log', level: 'error', format: json }),
+        new winston.transports.File({ filename: 'proxy-combined.log', format: json })
+    );
+}
+
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
-    format: winston.format.combine(
-        winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-        winston.format.errors({ stack: true }),
-        winston.format.colorize(),
-        winston.format.printf(({ timestamp, level, message, stack }) => {
-            if (stack) {
-                return `${timestamp} [${level}]: ${message}\n${stack}`;
-            }
-            return `${timestamp} [${level}]: ${message}`;
-        })
-    ),
-    transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: 'proxy-error.log', level: 'error' }),
-        new winston.transports.File({ filename: 'proxy-combined.log' })
-    ]
+    format: baseFormat,
+    transports
 });
 
+/**
+ * Express middleware: assign a correlation ID (incoming X-Request-Id or a new one),
+ * return it as X-Request-Id and log one structured line per request when it finishes
+ */
+export function requestLogger(req, res, next) {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+    req.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    // Group our lines with the platform's request log in Cloud Logging
+    const traceHeader = req.headers['x-cloud-trace-context'];
+    const project = process.env.GCLOUD_PROJECT || process.env.GOOGLE_CLOUD_PROJECT;
+    const trace = traceHeader && project ? `projects/${project}/traces/${traceHeader.split('/')[0]}` : null;
+
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger.log(level, `${req.method} ${req.originalUrl} ${res.statusCode} (${Date.now() - startedAt}ms)`, {
+            requestId,
+            httpRequest: {
+                requestMethod: req.method,
+                requestUrl: req.originalUrl,
+                status: res.statusCode,
+                latency: `${(Date.now() - startedAt) / 1000}s`,
+                userAgent: req.headers['user-agent'],
+                remoteIp: req.ip
+            },
+            consumer: req.consumer ? req.consumer.name : undefined
+        });
+    });
+
+    requestContext.run({ requestId, trace }, next);
+}
+
+/**
+ * Correlation ID of the request being handled, if any
+ */
+export function currentRequestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : null;
+}
+
 export default logger;
@@ -0,0 +1,579 @@
+import http from 'http';
+import express from 'express';
+import { config } from './config.js';
+import { cachedMotorJson } from './cache.js';
+import { normalizeName, matchScore } from './catalog.js';
+import { mapWithConcurrency } from './rateLimit.js';
+import logger from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KM_TO_MILES = 0.621371;
+// Timeline entries per service at most (short intervals over a long horizon)
+const MAX_OCCURRENCES = 24;
+
+export const USAGE_PROFILES = { normal: 'Normal', severe: 'Severe' };
+export const PLAN_FORMATS = ['json', 'ics', 'csv'];
+
+// Motor field names for each normalized field; the first one present wins
+const FIELDS = {
+    name: ['itemDescription', 'itemName', 'item', 'literalName', 'name', 'description'],
+    action: ['actionDescription', 'actionName', 'action'],
+    severity: ['severity', 'severityDescription', 'severityCode'],
+    indicator: ['indicatorName', 'indicatorDescription', 'indicator', 'name', 'description']
+};
+
+// Keys Motor nests schedule groups and their items under
+const GROUP_KEYS = ['schedules', 'indicators', 'items'];
+const ITEM_KEYS = ['maintenanceSchedules', 'maintenanceItems', 'schedules', 'services', 'items'];
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function pick(record, field) {
+    const key = FIELDS[field].find(name => typeof record[name] === 'string' && record[name].trim());
+    return key ? record[key].trim() : null;
+}
+
+function listOf(body, keys) {
+    if (Array.isArray(body)) {
+        return body;
+    }
+    const key = body && typeof body === 'object' && keys.find(name => Array.isArray(body[name]));
+    return key ? body[key] : [];
+}
+
+/**
+ * { miles, months } of an interval record: structured intervals ([{ intervalType: 'Miles', interval: 5000 }],
+ * flat fields) or text such as "Every 7,500 miles or 6 months"
+ */
+function intervalsOf(record) {
+    const result = {};
+    const add = (type, value) => {
+        const amount = Number(String(value).replace(/,/g, ''));
+        const unit = String(type || '').toLowerCase();
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return;
+        }
+        if (/^mi/.test(unit)) {
+            result.miles = amount;
+        } else if (/^(km|kilomet)/.test(unit)) {
+            result.miles = Math.round(amount * KM_TO_MILES);
+        } else if (/^month/.test(unit)) {
+            result.months = amount;
+        } else if (/^year/.test(unit)) {
+            result.months = amount * 12;
+        }
+    };
+
+    const entries = Array.isArray(record.intervals) ? record.intervals : [record];
+    entries.forEach((entry) => {
+        if (entry && typeof entry === 'object') {
+            add(entry.intervalType || entry.type || entry.unit || entry.units, entry.interval !== undefined ? entry.interval : entry.value);
+        }
+    });
+    ['miles', 'months'].forEach((unit) => {
+        if (result[unit] === undefined && record[unit] !== undefined) {
+            add(unit, record[unit]);
+        }
+    });
+    if (result.miles === undefined && result.months === undefined) {
+        const text = [record.frequencyDescription, record.intervalDescription, record.description].filter(Boolean).join(' ');
+        for (const match of text.matchAll(/([\d,]+)\s*(miles?|mi\b|km|kilometers?|months?|years?)/gi)) {
+            add(match[2], match[1]);
+        }
+    }
+    return result;
+}
+
+// "Replace" + "Engine Oil & Filter" -> "replace-engine-oil-filter"
+function serviceId(action, name) {
+    return `${action || ''} ${name}`.normalize('NFKD').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'service';
+}
+
+/**
+ * Whether a schedule item applies to the usage profile (items without a severity apply to all)
+ */
+function appliesTo(item, usage) {
+    const severity = (pick(item, 'severity') || 'all').toLowerCase();
+    return severity === 'all' || severity === usage || severity.startsWith(usage[0]) && severity.length === 1;
+}
+
+/**
+ * One list of services from Motor's three schedule views:
+ *   frequency   recurring services ("every 5,000 miles or 6 months")
+ *   intervals   services listed at mileage/time points ("at 30,000 miles"); even spacing becomes a recurrence
+ *   indicators  services triggered by a dashboard indicator (oil life monitor, ...)
+ * Services are merged by action and item.
+ */
+export function mergeSchedules({ frequency, intervals, indicators }, usage = 'normal') {
+    const services = new Map();
+
+    const serviceFor = (item) => {
+        const name = pick(item, 'name');
+        if (!name || !appliesTo(item, usage)) {
+            return null;
+        }
+        const action = pick(item, 'action');
+        const id = serviceId(action, name);
+        if (!services.has(id)) {
+            services.set(id, { id, action, name, every: {}, points: { miles: [], months: [] }, indicators: [], sources: [] });
+        }
+        return services.get(id);
+    };
+    const addSource = (service, source) => {
+        if (!service.sources.includes(source)) {
+            service.sources.push(source);
+        }
+    };
+    // A group holds its items, or is an item itself
+    const itemsOf = (group) => {
+        const items = listOf(group, ITEM_KEYS);
+        return items.length ? items : [group];
+    };
+
+    listOf(frequency, GROUP_KEYS).forEach((group) => {
+        const groupInterval = intervalsOf(group);
+        itemsOf(group).forEach((item) => {
+            const service = serviceFor(item);
+            if (service) {
+                Object.assign(service.every, groupInterval, item === group ? {} : intervalsOf(item));
+                addSource(service, 'frequency');
+            }
+        });
+    });
+
+    listOf(intervals, GROUP_KEYS).forEach((group) => {
+        const point = intervalsOf(group);
+        itemsOf(group).forEach((item) => {
+            const service = serviceFor(item);
+            if (service) {
+                ['miles', 'months'].forEach((unit) => {
+                    if (point[unit] && !service.points[unit].includes(point[unit])) {
+                        service.points[unit].push(point[unit]);
+                    }
+                });
+                addSource(service, 'intervals');
+            }
+        });
+    });
+
+    listOf(indicators, GROUP_KEYS).forEach((group) => {
+        const indicator = pick(group, 'indicator');
+        itemsOf(group).forEach((item) => {
+            const service = item === group ? null : serviceFor(item);
+            if (service) {
+                if (indicator && !service.indicators.includes(indicator)) {
+                    service.indicators.push(indicator);
+                }
+                addSource(service, 'indicators');
+            }
+        });
+    });
+
+    services.forEach((service) => {
+        ['miles', 'months'].forEach((unit) => {
+            const points = service.points[unit].sort((a, b) => a - b);
+            // Evenly spaced points (30k, 60k, 90k) are a recurrence the frequency view did not list
+            if (!service.every[unit] && points.length > 1) {
+                const step = points[1] - points[0];
+                if (points.every((value, index) => index === 0 || value - points[index - 1] === step)) {
+                    service.every[unit] = step;
+                }
+            }
+        });
+    });
+    return Array.from(services.values());
+}
+
+/**
+ * UTC date from 'YYYY-MM-DD' (or any Date-parsable string); null when invalid
+ */
+function parseDate(value) {
+    if (value instanceof Date) {
+        return value;
+    }
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T00:00:00Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addMonths(date, months) {
+    const result = new Date(date.getTime());
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + Math.trunc(months));
+    // Jan 31 + 1 month is the last day of February
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return new Date(result.getTime() + (months % 1) * 30.44 * DAY_MS);
+}
+
+function monthsBetween(from, to) {
+    return (to.getTime() - from.getTime()) / (30.44 * DAY_MS);
+}
+
+/**
+ * One { service, mileage?, date? } entry of `completed`, checked like the vehicle's own mileage and date
+ */
+function parseCompletion(entry, field, vehicleId) {
+    const hasMileage = entry.mileage !== undefined && entry.mileage !== null;
+    const mileage = hasMileage ? Number(entry.mileage) : null;
+    if (hasMileage && (entry.mileage === '' || !Number.isFinite(mileage) || mileage < 0)) {
+        throw httpError(400, `${field}.mileage must be a non-negative number (vehicle ${vehicleId})`);
+    }
+    const hasDate = entry.date !== undefined && entry.date !== null && entry.date !== '';
+    const date = hasDate ? parseDate(entry.date) : null;
+    if (hasDate && !date) {
+        throw httpError(400, `${field}.date must be a date (YYYY-MM-DD) (vehicle ${vehicleId})`);
+    }
+    return { service: String(entry.service), mileage, date };
+}
+
+/**
+ * Validated planner input for one vehicle
+ */
+export function parsePlanInput(input, now = new Date()) {
+    const source = input || {};
+    const vehicleId = source.vehicleId !== undefined && source.vehicleId !== null ? String(source.vehicleId) : '';
+    if (!vehicleId) {
+        throw httpError(400, 'vehicleId is required');
+    }
+    const mileage = Number(source.mileage);
+    if (!Number.isFinite(mileage) || mileage < 0) {
+        throw httpError(400, `mileage must be a non-negative number (vehicle ${vehicleId})`);
+    }
+    const inServiceDate = parseDate(source.inServiceDate);
+    if (!inServiceDate) {
+        throw httpError(400, `inServiceDate must be a date (YYYY-MM-DD) (vehicle ${vehicleId})`);
+    }
+    const usage = String(source.usage || 'normal').toLowerCase();
+    if (!USAGE_PROFILES[usage]) {
+        throw httpError(400, `usage must be one of: ${Object.keys(USAGE_PROFILES).join(', ')}`);
+    }
+    const asOf = source.asOf ? parseDate(source.asOf) : now;
+    if (!asOf) {
+        throw httpError(400, 'asOf must be a date (YYYY-MM-DD)');
+    }
+    const completed = source.completed === undefined ? [] : source.completed;
+    if (!Array.isArray(completed) || completed.some(entry => !entry || typeof entry !== 'object' || !entry.service)) {
+        throw httpError(400, 'completed must be a list of { service, mileage?, date? }');
+    }
+
+    const monthsInService = monthsBetween(inServiceDate, asOf);
+    const milesPerMonth = Number(source.milesPerMonth) > 0
+        ? Number(source.milesPerMonth)
+        : (monthsInService >= 1 ? mileage / monthsInService : config.maintenance.defaultMilesPerMonth);
+
+    return {
+        contentSource: source.contentSource ? String(source.contentSource) : 'MOTOR',
+        vehicleId,
+        motorVehicleId: source.motorVehicleId ? String(source.motorVehicleId) : null,
+        mileage,
+        inServiceDate,
+        usage,
+        asOf,
+        milesPerMonth: Math.max(1, milesPerMonth),
+        completed: completed.map((entry, index) => parseCompletion(entry, `completed[${index}]`, vehicleId))
+    };
+}
+
+/**
+ * Latest completion recorded for a service: matched by id, or by a close enough name
+ */
+function lastCompletion(service, completed) {
+    const matches = completed.filter((entry) => {
+        return entry.service === service.id
+            || normalizeName(entry.service) === normalizeName(service.id)
+            || matchScore(entry.service, service.name) >= 0.75
+            || matchScore(entry.service, `${service.action || ''} ${service.name}`) >= 0.75;
+    });
+    matches.sort((a, b) => (b.mileage || 0) - (a.mileage || 0) || ((b.date && b.date.getTime()) || 0) - ((a.date && a.date.getTime()) || 0));
+    return matches[0] || null;
+}
+
+function statusOf(due, plan) {
+    const milesLeft = due.mileage !== null ? due.mileage - plan.mileage : null;
+    const daysLeft = Math.floor((due.date.getTime() - plan.asOf.getTime()) / DAY_MS);
+    if ((milesLeft !== null && milesLeft <= 0) || daysLeft <= 0) {
+        return 'overdue';
+    }
+    if ((milesLeft !== null && milesLeft <= config.maintenance.dueSoonMiles) || daysLeft <= config.maintenance.dueSoonDays) {
+        return 'due';
+    }
+    return 'upcoming';
+}
+
+/**
+ * Due point after `last` ({ mileage, date }): the earlier of the mileage and time limits
+ * (whichever comes first), with the mileage projected to a date from the vehicle's usage
+ */
+function dueAfter(service, last, plan) {
+    const nextPoint = (unit, after) => service.points[unit].find(value => value > after);
+
+    let dueMiles = null;
+    const pointMiles = nextPoint('miles', last.mileage);
+    if (pointMiles !== undefined) {
+        dueMiles = pointMiles;
+    } else if (service.every.miles) {
+        dueMiles = last.mileage + service.every.miles;
+    }
+
+    let dateByTime = null;
+    const monthsInService = monthsBetween(plan.inServiceDate, last.date);
+    const pointMonths = nextPoint('months', monthsInService + 0.5);
+    if (pointMonths !== undefined) {
+        dateByTime = addMonths(plan.inServiceDate, pointMonths);
+    } else if (service.every.months) {
+        dateByTime = addMonths(last.date, service.every.months);
+    }
+
+    const dateByMiles = dueMiles !== null ? addMonths(plan.asOf, (dueMiles - plan.mileage) / plan.milesPerMonth) : null;
+    if (!dateByTime && !dateByMiles) {
+        return null;
+    }
+    const date = !dateByMiles || (dateByTime && dateByTime < dateByMiles) ? dateByTime : dateByMiles;
+    const mileage = dueMiles !== null && date === dateByMiles
+        ? dueMiles
+        : Math.round(plan.mileage + monthsBetween(plan.asOf, date) * plan.milesPerMonth);
+    return { mileage: Math.max(0, mileage), date };
+}
+
+/**
+ * Plan for one vehicle from its merged services: the next due point and status of each
+ * service, and a timeline of every occurrence up to the planning horizon
+ */
+export function planMaintenance(services, plan) {
+    const horizon = addMonths(plan.asOf, config.maintenance.horizonMonths);
+    const baseline = { mileage: 0, date: plan.inServiceDate };
+    const timeline = [];
+
+    const planned = services.map((service) => {
+        const completion = lastCompletion(service, plan.completed);
+        const last = completion
+            ? { mileage: completion.mileage !== null ? completion.mileage : plan.mileage, date: completion.date || plan.asOf }
+            : baseline;
+        const entry = {
+            id: service.id,
+            action: service.action,
+            name: service.name,
+            every: service.every,
+            sources: service.sources,
+            indicators: service.indicators,
+            lastService: completion ? { mileage: last.mileage, date: formatDate(last.date) } : null,
+            next: null,
+            status: 'indicator',
+            milesRemaining: null,
+            daysRemaining: null
+        };
+
+        let due = dueAfter(service, last, plan);
+        if (!due) {
+            // Only an indicator tells when this one is due
+            return entry;
+        }
+        // Several missed occurrences are one overdue service, due since the latest of them
+        for (let following = dueAfter(service, due, plan), count = 0;
+            following && following.mileage <= plan.mileage && following.date <= plan.asOf && count < 1000;
+            following = dueAfter(service, following, plan), count++) {
+            due = following;
+        }
+        entry.next = { mileage: due.mileage, date: formatDate(due.date) };
+        entry.status = statusOf(due, plan);
+        entry.milesRemaining = due.mileage - plan.mileage;
+        entry.daysRemaining = Math.floor((due.date.getTime() - plan.asOf.getTime()) / DAY_MS);
+
+        for (let count = 0; due && due.date <= horizon && count < MAX_OCCURRENCES; count++) {
+            timeline.push({
+                date: formatDate(due.date),
+                mileage: due.mileage,
+                status: count === 0 ? entry.status : 'upcoming',
+                serviceId: service.id,
+                action: service.action,
+                name: service.name
+            });
+            due = dueAfter(service, due, plan);
+        }
+        return entry;
+    });
+
+    timeline.sort((a, b) => a.date.localeCompare(b.date) || a.mileage - b.mileage);
+    const summary = { overdue: 0, due: 0, upcoming: 0, indicator: 0 };
+    planned.forEach(entry => summary[entry.status]++);
+    const order = { overdue: 0, due: 1, upcoming: 2, indicator: 3 };
+    planned.sort((a, b) => order[a.status] - order[b.status] || (a.daysRemaining || 0) - (b.daysRemaining || 0));
+
+    return {
+        vehicle: {
+            contentSource: plan.contentSource,
+            vehicleId: plan.vehicleId,
+            mileage: plan.mileage,
+            inServiceDate: formatDate(plan.inServiceDate),
+            usage: plan.usage,
+            milesPerMonth: Math.round(plan.milesPerMonth)
+        },
+        asOf: formatDate(plan.asOf),
+        horizon: formatDate(horizon),
+        summary,
+        services: planned,
+        timeline
+    };
+}
+
+/**
+ * Motor's three schedule views for a vehicle, for the usage profile (a missing view counts as empty)
+ */
+async function fetchSchedules(plan) {
+    const vehiclePath = `/api/source/${encodeURIComponent(plan.contentSource)}/vehicle/${encodeURIComponent(plan.vehicleId)}`;
+    const query = `?severity=${USAGE_PROFILES[plan.usage]}`;
+    const views = ['frequency', 'intervals', 'indicators'];
+    const bodies = await Promise.all(views.map(async (view) => {
+        try {
+            const payload = await cachedMotorJson(`${vehiclePath}/maintenanceSchedules/${view}${query}`);
+            return payload && payload.body !== undefined ? payload.body : payload;
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            throw httpError(502, error.message);
+        }
+    }));
+    return Object.fromEntries(views.map((view, index) => [view, bodies[index]]));
+}
+
+/**
+ * Maintenance plan for one vehicle (planner input as accepted by parsePlanInput)
+ */
+export async function buildPlan(input) {
+    const plan = parsePlanInput(input);
+    const services = mergeSchedules(await fetchSchedules(plan), plan.usage);
+    return planMaintenance(services, plan);
+}
+
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545)
+function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 75) {
+            cut--;
+        }
+        parts.push(rest.slice(0, cut));
+        rest = ' ' + rest.slice(cut);
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
+
+/**
+ * iCalendar with one all-day event per timeline entry
+ */
+export function toICalendar(plans, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//motorapi-auth-proxy//maintenance plan//EN', 'CALSCALE:GREGORIAN'];
+    plans.forEach((plan) => {
+        plan.timeline.forEach((event) => {
+            const day = event.date.replace(/-/g, '');
+            const title = [event.action, event.name].filter(Boolean).join(' ');
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${icsText(`${plan.vehicle.contentSource}-${plan.vehicle.vehicleId}-${event.serviceId}-${day}`)}@motorapi-auth-proxy`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${day}`,
+                `SUMMARY:${icsText(`${title} (vehicle ${plan.vehicle.vehicleId})`)}`,
+                `DESCRIPTION:${icsText(`${event.status} - due at ${event.mileage.toLocaleString('en-US')} miles`)}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        });
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per timeline entry
+ */
+export function toCsv(plans) {
+    const rows = [['vehicleId', 'date', 'mileage', 'status', 'action', 'service', 'serviceId']];
+    plans.forEach((plan) => {
+        plan.timeline.forEach((event) => {
+            rows.push([plan.vehicle.vehicleId, event.date, event.mileage, event.status, event.action, event.name, event.serviceId]);
+        });
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Express router for /maintenance
+ */
+export function createMaintenanceRouter() {
+    const router = express.Router();
+
+    const send = (req, res, plans, single) => {
+        const format = req.query.format || 'json';
+        if (format === 'ics') {
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.attachment('maintenance-plan.ics');
+            return res.send(toICalendar(plans));
+        }
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.attachment('maintenance-plan.csv');
+            return res.send(toCsv(plans));
+        }
+        res.json(single ? plans[0] : { plans });
+    };
+
+    const handle = (fn) => async (req, res) => {
+        try {
+            if (req.query.format && !PLAN_FORMATS.includes(req.query.format)) {
+                throw httpError(400, `format must be one of: ${PLAN_FORMATS.join(', ')}`);
+            }
+            await fn(req, res);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Maintenance ${req.originalUrl} failed:`, error);
+            }
+            res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message });
+        }
+    };
+
+    // ?vehicleId=&mileage=&inServiceDate=&usage=&contentSource= (calendar subscriptions use this form)
+    router.get('/plan', handle(async (req, res) => {
+        send(req, res, [await buildPlan(req.query)], true);
+    }));
+
+    // Body: one vehicle { vehicleId, mileage, inServiceDate, usage?, completed?: [{ service, mileage?, date? }] }
+    // or a fleet { vehicles: [...] } (at most config.maintenance.batchMax)
+    router.post('/plan', express.json(), handle(async (req, res) => {
+        const body = req.body || {};
+        if (!Array.isArray(body.vehicles)) {
+            return send(req, res, [await buildPlan(body)], true);
+        }
+        if (!body.vehicles.length || body.vehicles.length > config.maintenance.batchMax) {
+            throw httpError(400, `vehicles must list 1 to ${config.maintenance.batchMax} vehicles`);
+        }
+        // Reject bad input before any upstream call
+        body.vehicles.forEach(vehicle => parsePlanInput(vehicle));
+        send(req, res, await mapWithConcurrency(body.vehicles, 2, buildPlan), false);
+    }));
+
+    return router;
+}
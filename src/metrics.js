@@ -0,0 +1,219 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Seconds; covers cache-speed answers up to a full login flow
+const LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const AUTH_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base for metrics with a fixed label set; series are keyed by their label values
+ */
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    _labels(labels) {
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] === undefined || labels[name] === null ? '' : labels[name]]));
+    }
+
+    _series(labels, create) {
+        const normalized = this._labels(labels);
+        const key = JSON.stringify(normalized);
+        if (!this.series.has(key)) {
+            this.series.set(key, create(normalized));
+        }
+        return this.series.get(key);
+    }
+
+    _header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+export class Counter extends Metric {
+    type = 'counter';
+
+    inc(labels = {}, value = 1) {
+        this._series(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+    }
+
+    render() {
+        return [
+            ...this._header(),
+            ...Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`)
+        ];
+    }
+}
+
+/**
+ * Gauge whose values are either set directly or computed at scrape time by `collect`
+ */
+export class Gauge extends Metric {
+    type = 'gauge';
+
+    constructor(name, help, labelNames = [], collect = null) {
+        super(name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this._series(labels, normalized => ({ labels: normalized, value: 0 })).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.series.clear();
+            this.collect(this);
+        }
+        return [
+            ...this._header(),
+            ...Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`)
+        ];
+    }
+}
+
+export class Histogram extends Metric {
+    type = 'histogram';
+
+    constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this._series(labels, normalized => ({
+            labels: normalized,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this._header();
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Prometheus text exposition format (version 0.0.4)
+     */
+    render() {
+        return this.metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+export const registry = new Registry();
+
+export const metrics = {
+    requests: registry.register(new Counter(
+        'motor_proxy_requests_total', 'Requests handled by the proxy, by route template and status', ['route', 'method', 'status'])),
+    requestDuration: registry.register(new Histogram(
+        'motor_proxy_request_duration_seconds', 'Time to answer a request, by route template', ['route'])),
+    upstreamLatency: registry.register(new Histogram(
+        'motor_upstream_latency_seconds', 'Latency of requests to Motor, by route template and status', ['route', 'status'])),
+    upstreamAuthRejections: registry.register(new Counter(
+        'motor_upstream_auth_rejections_total', 'Upstream 401/403 responses that triggered re-authentication', ['route', 'status'])),
+    reauthTriggers: registry.register(new Counter(
+        'motor_reauth_triggers_total', 'Session failures reported to the pool, by account and what the pool did', ['account', 'action'])),
+    cache: registry.register(new Counter(
+        'motor_cache_requests_total', 'Response cache lookups by result (HIT, STALE, MISS, EXPIRED)', ['result'])),
+    routeTable: registry.register(new Counter(
+        'motor_route_table_responses_total', 'Requests answered by the route registry instead of the Motor proxy', ['route', 'type'])),
+    rateLimited: registry.register(new Counter(
+        'motor_rate_limited_total', 'Requests rejected with 429, by reason', ['reason'])),
+    authAttempts: registry.register(new Counter(
+        'motor_auth_attempts_total', 'Authentication flows started', ['account', 'strategy'])),
+    authOutcomes: registry.register(new Counter(
+        'motor_auth_outcomes_total', 'Authentication flows finished, by outcome (success, adopted, failure)', ['account', 'strategy', 'outcome'])),
+    authDuration: registry.register(new Histogram(
+        'motor_auth_duration_seconds', 'Duration of authentication flows', ['account', 'outcome'], AUTH_BUCKETS)),
+    authStepDuration: registry.register(new Histogram(
+        'motor_auth_step_duration_seconds', 'Duration of each authentication step (authProgress.step)', ['account', 'step'], AUTH_BUCKETS))
+};
+
+// Swagger path templates (/api/source/{contentSource}/vehicle/{vehicleId}/...) keep the
+// route label bounded; most specific (most literal segments) first
+const swagger = JSON.parse(fs.readFileSync(path.join(__dirname, 'swagger.json'), 'utf8'));
+const ROUTE_TEMPLATES = Object.keys(swagger.paths)
+    .map(template => ({
+        template,
+        literals: template.split('/').filter(segment => segment && !segment.startsWith('{')).length,
+        regex: new RegExp(`^${template.replace(/[.+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}/?$`)
+    }))
+    .sort((a, b) => b.literals - a.literals);
+
+/**
+ * Route template for a request path, e.g. /api/year/2020/makes -> /api/year/{year}/makes.
+ * Unknown paths collapse to their first segment (/api/*) so label cardinality stays bounded.
+ */
+export function routeTemplate(requestPath) {
+    const pathname = requestPath.split('?')[0];
+    const match = ROUTE_TEMPLATES.find(({ regex }) => regex.test(pathname));
+    if (match) {
+        return match.template;
+    }
+    const first = pathname.split('/').filter(Boolean)[0];
+    return first ? `/${first}/*` : '/';
+}
+
+/**
+ * Express middleware counting every request by route template and status.
+ * The route registry sets req.metricsRoute to its own pattern; the app's own
+ * endpoints use their Express route path.
+ */
+export function metricsMiddleware(req, res, next) {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        const route = req.metricsRoute
+            || (req.route ? req.baseUrl + req.route.path : routeTemplate(req.upstreamPath || req.originalUrl));
+        metrics.requests.inc({ route, method: req.method, status: res.statusCode });
+        metrics.requestDuration.observe({ route }, (Date.now() - startedAt) / 1000);
+    });
+    next();
+}
@@ -0,0 +1,713 @@
+import http from 'http';
+import crypto from 'crypto';
+import express from 'express';
+import { config } from './config.js';
+import { db } from './auth.js';
+import { cachedMotorJson } from './cache.js';
+import { catalog, normalizeName } from './catalog.js';
+import { markupText } from './articleTransform.js';
+import { mapWithConcurrency } from './rateLimit.js';
+import logger from './logger.js';
+
+export const QUOTE_FORMATS = ['json', 'html', 'pdf'];
+
+// Motor field names for each normalized field; the first one present wins.
+// Labor responses keep most of these under `metadata`, so both levels are read.
+const FIELDS = {
+    title: ['title', 'name', 'operationName', 'operation', 'description'],
+    hours: ['laborTime', 'baseLaborTime', 'baseTime', 'standardTime', 'laborHours', 'hours', 'time'],
+    group: ['componentGroup', 'component', 'componentName', 'system', 'group', 'category'],
+    overlaps: ['overlaps', 'overlapOperations', 'overlap'],
+    parts: ['parts', 'partLineItems', 'relatedParts'],
+    partNumber: ['partNumber', 'oePartNumber', 'number', 'sku'],
+    partDescription: ['description', 'partDescription', 'partName', 'name'],
+    unitCost: ['unitCost', 'cost', 'price', 'listPrice', 'unitPrice', 'msrp'],
+    quantity: ['quantity', 'qty'],
+    operationId: ['articleId', 'operationId', 'id']
+};
+
+// Keys Motor nests the parts list under
+const PART_LIST_KEYS = ['items', 'parts', 'partLineItems'];
+
+// Leading verbs of a labor title; what follows is the component to look parts up for
+const LABOR_ACTION = /^\s*(remove\s*(&|and)\s*(replace|install)|r\s*&\s*[ri]|replace|remove|install|inspect|adjust|overhaul|repair|reseal|rebuild)\b\s*/i;
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function pick(record, field) {
+    const key = FIELDS[field].find(name => typeof record[name] === 'string' && record[name].trim());
+    return key ? record[key].trim() : null;
+}
+
+function pickNumber(record, field) {
+    const key = FIELDS[field].find(name => record[name] !== null && record[name] !== '' && Number.isFinite(Number(record[name])));
+    return key ? Number(record[key]) : null;
+}
+
+function pickList(record, field) {
+    const key = FIELDS[field].find(name => Array.isArray(record[name]));
+    return key ? record[key] : [];
+}
+
+function unwrap(payload) {
+    return payload && payload.body !== undefined ? payload.body : payload;
+}
+
+function money(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function hoursOf(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+function optionalNumber(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw httpError(400, `${label} must be a non-negative number`);
+    }
+    return number;
+}
+
+function laborRateName(value, label) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return optionalNumber(value, label);
+    }
+    if (config.quotes.laborRates[value] === undefined) {
+        throw httpError(400, `${label} must be a number or one of: ${Object.keys(config.quotes.laborRates).join(', ')}`);
+    }
+    return value;
+}
+
+function parsePart(part, label) {
+    if (!part || typeof part !== 'object' || (!part.partNumber && !part.description)) {
+        throw httpError(400, `${label} needs a partNumber or description`);
+    }
+    return {
+        partNumber: part.partNumber ? String(part.partNumber) : null,
+        description: part.description ? String(part.description) : null,
+        quantity: optionalNumber(part.quantity, `${label}.quantity`) || 1,
+        unitCost: optionalNumber(part.unitCost, `${label}.unitCost`),
+        unitPrice: optionalNumber(part.unitPrice, `${label}.unitPrice`)
+    };
+}
+
+/**
+ * Validated quote input. Values are null rather than undefined so the input can be stored in Firestore as it is.
+ */
+export function parseQuoteInput(body) {
+    const source = body || {};
+    if (typeof source.contentSource !== 'string' || !source.contentSource || !['string', 'number'].includes(typeof source.vehicleId) || source.vehicleId === '') {
+        throw httpError(400, 'Body must include "contentSource" and "vehicleId"');
+    }
+    if (!Array.isArray(source.operations) || !source.operations.length || source.operations.length > config.quotes.maxOperations) {
+        throw httpError(400, `operations must list 1 to ${config.quotes.maxOperations} labor operations`);
+    }
+    const operations = source.operations.map((operation, index) => {
+        const label = `operations[${index}]`;
+        if (!operation || typeof operation !== 'object' || !['string', 'number'].includes(typeof operation.articleId) || operation.articleId === '') {
+            throw httpError(400, `${label} needs the labor articleId`);
+        }
+        if (operation.parts !== undefined && operation.parts !== null && !Array.isArray(operation.parts)) {
+            throw httpError(400, `${label}.parts must be a list`);
+        }
+        return {
+            articleId: String(operation.articleId),
+            quantity: optionalNumber(operation.quantity, `${label}.quantity`) || 1,
+            hours: optionalNumber(operation.hours, `${label}.hours`),
+            laborRate: laborRateName(operation.laborRate, `${label}.laborRate`),
+            description: operation.description ? String(operation.description) : null,
+            includeParts: operation.includeParts !== false,
+            parts: Array.isArray(operation.parts) ? operation.parts.map((part, partIndex) => parsePart(part, `${label}.parts[${partIndex}]`)) : null
+        };
+    });
+    if (source.customer !== undefined && source.customer !== null && typeof source.customer !== 'object') {
+        throw httpError(400, 'customer must be an object');
+    }
+    return {
+        contentSource: source.contentSource,
+        vehicleId: String(source.vehicleId),
+        motorVehicleId: source.motorVehicleId ? String(source.motorVehicleId) : null,
+        laborRate: laborRateName(source.laborRate, 'laborRate') || Object.keys(config.quotes.laborRates)[0],
+        customer: source.customer ? JSON.parse(JSON.stringify(source.customer)) : null,
+        notes: source.notes ? String(source.notes) : '',
+        operations
+    };
+}
+
+/**
+ * Input fields of a stored quote, for re-pricing it with changes
+ */
+function inputOf(quote) {
+    return {
+        contentSource: quote.vehicle.contentSource,
+        vehicleId: quote.vehicle.vehicleId,
+        motorVehicleId: quote.vehicle.motorVehicleId,
+        laborRate: quote.input.laborRate,
+        customer: quote.customer,
+        notes: quote.notes,
+        operations: quote.input.operations
+    };
+}
+
+function motorPart(item) {
+    return {
+        partNumber: pick(item, 'partNumber'),
+        description: pick(item, 'partDescription'),
+        quantity: pickNumber(item, 'quantity') || 1,
+        unitCost: pickNumber(item, 'unitCost'),
+        unitPrice: null
+    };
+}
+
+function overlapEntry(entry) {
+    if (typeof entry === 'string' || typeof entry === 'number') {
+        return { articleId: String(entry), hours: null };
+    }
+    const articleId = entry && (pick(entry, 'operationId') || pickNumber(entry, 'operationId'));
+    return articleId === null || articleId === undefined ? null : { articleId: String(articleId), hours: pickNumber(entry, 'hours') };
+}
+
+/**
+ * Parts of a Motor parts search (at most maxPartsPerOperation); none when Motor has no match
+ */
+async function fetchParts(apiPath) {
+    try {
+        const body = unwrap(await cachedMotorJson(apiPath));
+        const items = Array.isArray(body) ? body : (PART_LIST_KEYS.map(key => body && body[key]).find(Array.isArray) || []);
+        return items.slice(0, config.quotes.maxPartsPerOperation);
+    } catch (error) {
+        if (error.statusCode !== 404) {
+            throw httpError(502, error.message);
+        }
+        return [];
+    }
+}
+
+/**
+ * Labor time, component group, overlaps and parts Motor lists for a labor article
+ */
+async function fetchLabor(input, operation) {
+    const vehiclePath = `/api/source/${encodeURIComponent(input.contentSource)}/vehicle/${encodeURIComponent(input.vehicleId)}`;
+    const query = input.motorVehicleId ? `?motorVehicleId=${encodeURIComponent(input.motorVehicleId)}` : '';
+    let record = null;
+    try {
+        record = unwrap(await cachedMotorJson(`${vehiclePath}/labor/${encodeURIComponent(operation.articleId)}${query}`));
+    } catch (error) {
+        if (error.statusCode !== 404) {
+            throw httpError(502, error.message);
+        }
+    }
+    const labor = { found: Boolean(record), title: null, hours: null, group: null, overlaps: [], parts: [] };
+    if (!record || typeof record !== 'object') {
+        return labor;
+    }
+    const metadata = record.metadata && typeof record.metadata === 'object' ? record.metadata : {};
+    const read = (reader, field) => {
+        const value = reader(record, field);
+        return value === null || (Array.isArray(value) && !value.length) ? reader(metadata, field) : value;
+    };
+    labor.title = read(pick, 'title');
+    labor.hours = read(pickNumber, 'hours');
+    labor.group = read(pick, 'group');
+    labor.overlaps = read(pickList, 'overlaps').map(overlapEntry).filter(Boolean);
+    labor.parts = read(pickList, 'parts').map(motorPart);
+    if (labor.hours === null && typeof record.content === 'string') {
+        // "Labor time: 1.4 hrs" in the article text
+        const match = markupText(record.content).match(/(\d+(?:\.\d+)?)\s*(?:hrs?|hours?)\b/i);
+        labor.hours = match ? Number(match[1]) : null;
+    }
+
+    if (!labor.parts.length && operation.includeParts && !operation.parts) {
+        // The component named in the title ("Front Brake Pads") is more specific than its group ("Front Brakes")
+        const terms = [(labor.title || '').replace(LABOR_ACTION, ''), labor.group].filter(Boolean);
+        for (const term of terms) {
+            labor.parts = (await fetchParts(`${vehiclePath}/parts${query}${query ? '&' : '?'}searchTerm=${encodeURIComponent(term)}`)).map(motorPart);
+            if (labor.parts.length) {
+                break;
+            }
+        }
+    }
+    return labor;
+}
+
+/**
+ * Overlapping operations and the hours deducted for them:
+ *   duplicate  the same labor operation twice; the later one is not charged
+ *   overlap    Motor lists the operations as overlapping; its overlap time comes off the shorter one
+ *   possible   same component group without a Motor overlap; flagged for the service writer, nothing deducted
+ */
+export function detectOverlaps(operations) {
+    const overlaps = [];
+    const charged = [];
+    operations.forEach((operation) => {
+        const original = charged.find(other => other.articleId === operation.articleId);
+        if (original) {
+            // Not charged at all, so it overlaps nothing else
+            overlaps.push({ type: 'duplicate', lines: [original.line, operation.line], articleIds: [original.articleId, operation.articleId], appliedTo: operation.line, hours: operation.bookedHours });
+            return;
+        }
+        charged.forEach((other) => {
+            const lines = [other.line, operation.line];
+            const listed = operation.overlaps.find(entry => entry.articleId === other.articleId)
+                || other.overlaps.find(entry => entry.articleId === operation.articleId);
+            if (listed) {
+                const shorter = operation.bookedHours < other.bookedHours ? operation : other;
+                overlaps.push({ type: 'overlap', lines, articleIds: [other.articleId, operation.articleId], appliedTo: shorter.line, hours: listed.hours || 0 });
+                return;
+            }
+            if (operation.group && other.group && normalizeName(operation.group) === normalizeName(other.group)) {
+                overlaps.push({ type: 'possible', lines, articleIds: [other.articleId, operation.articleId], appliedTo: null, hours: 0 });
+            }
+        });
+        charged.push(operation);
+    });
+    // Deductions never take an operation below zero
+    const remaining = new Map(operations.map(operation => [operation.line, operation.bookedHours]));
+    overlaps.forEach((overlap) => {
+        if (overlap.appliedTo !== null) {
+            overlap.hours = hoursOf(Math.min(overlap.hours, remaining.get(overlap.appliedTo)));
+            remaining.set(overlap.appliedTo, remaining.get(overlap.appliedTo) - overlap.hours);
+        }
+    });
+    return overlaps;
+}
+
+/**
+ * Markup percent for a part's unit cost from the markup matrix
+ */
+export function markupFor(unitCost, tiers = config.quotes.partsMarkup) {
+    const tier = tiers.filter(entry => unitCost >= entry.from).pop();
+    return tier ? tier.percent : 0;
+}
+
+function hourlyRate(name) {
+    return typeof name === 'number' ? name : config.quotes.laborRates[name];
+}
+
+/**
+ * Priced quote lines and totals from the input and the Motor labor data of each operation (same order)
+ */
+export function priceQuote(input, labor) {
+    const warnings = [];
+    const operations = input.operations.map((operation, index) => {
+        const data = labor[index];
+        const line = index + 1;
+        if (operation.hours === null && data.hours === null) {
+            warnings.push(`Line ${line} (${operation.articleId}): ${data.found ? 'Motor lists no labor time' : 'labor operation not found'}; set hours`);
+        }
+        return {
+            line,
+            articleId: operation.articleId,
+            description: operation.description || data.title || `Labor operation ${operation.articleId}`,
+            group: data.group,
+            overlaps: data.overlaps,
+            quantity: operation.quantity,
+            bookHours: operation.hours !== null ? operation.hours : data.hours,
+            hoursSource: operation.hours !== null ? 'manual' : (data.hours !== null ? 'motor' : null),
+            bookedHours: hoursOf((operation.hours !== null ? operation.hours : (data.hours || 0)) * operation.quantity),
+            rateName: operation.laborRate !== null ? operation.laborRate : input.laborRate,
+            parts: operation.parts ? operation.parts.map(part => ({ ...part, source: 'manual' })) : data.parts.map(part => ({ ...part, source: 'motor' }))
+        };
+    });
+
+    const overlaps = detectOverlaps(operations);
+    const duplicates = new Set(overlaps.filter(overlap => overlap.type === 'duplicate').map(overlap => overlap.appliedTo));
+    // Parts Motor suggests for several operations (pads and rotors share a search) are quoted once
+    const suggested = new Set();
+
+    const lines = operations.map((operation) => {
+        const deducted = hoursOf(overlaps
+            .filter(overlap => overlap.appliedTo === operation.line)
+            .reduce((sum, overlap) => sum + overlap.hours, 0));
+        const hours = hoursOf(Math.max(0, operation.bookedHours - deducted));
+        const rate = hourlyRate(operation.rateName);
+
+        // A duplicated operation needs its parts once
+        const parts = (duplicates.has(operation.line) ? [] : operation.parts).filter((part) => {
+            if (part.source !== 'motor' || !part.partNumber) {
+                return true;
+            }
+            const seen = suggested.has(part.partNumber);
+            suggested.add(part.partNumber);
+            return !seen;
+        }).map((part) => {
+            const quantity = part.quantity * operation.quantity;
+            const label = part.partNumber || part.description;
+            if (part.unitPrice === null && part.unitCost === null) {
+                warnings.push(`Line ${operation.line}: part ${label} has no cost; set unitCost or unitPrice`);
+            }
+            const markupPercent = part.unitPrice === null && part.unitCost !== null ? markupFor(part.unitCost) : null;
+            const unitPrice = part.unitPrice !== null
+                ? part.unitPrice
+                : (part.unitCost !== null ? money(part.unitCost * (1 + markupPercent / 100)) : 0);
+            return {
+                partNumber: part.partNumber,
+                description: part.description,
+                quantity,
+                unitCost: part.unitCost,
+                markupPercent,
+                unitPrice,
+                amount: money(unitPrice * quantity),
+                source: part.source
+            };
+        });
+
+        return {
+            line: operation.line,
+            articleId: operation.articleId,
+            description: operation.description,
+            quantity: operation.quantity,
+            bookHours: operation.bookHours,
+            hoursSource: operation.hoursSource,
+            overlapHours: deducted,
+            hours,
+            laborRate: { name: typeof operation.rateName === 'number' ? 'custom' : operation.rateName, hourly: rate },
+            laborAmount: money(hours * rate),
+            parts,
+            partsAmount: money(parts.reduce((sum, part) => sum + part.amount, 0))
+        };
+    });
+
+    const laborTotal = money(lines.reduce((sum, line) => sum + line.laborAmount, 0));
+    const partsTotal = money(lines.reduce((sum, line) => sum + line.partsAmount, 0));
+    const tax = money(partsTotal * config.quotes.taxRate);
+    return {
+        lines,
+        overlaps: overlaps.map(({ type, lines: overlapLines, articleIds, appliedTo, hours }) => ({ type, lines: overlapLines, articleIds, appliedTo, hours })),
+        warnings,
+        totals: {
+            laborHours: hoursOf(lines.reduce((sum, line) => sum + line.hours, 0)),
+            labor: laborTotal,
+            parts: partsTotal,
+            tax,
+            total: money(laborTotal + partsTotal + tax),
+            currency: config.quotes.currency
+        },
+        pricing: {
+            laborRates: config.quotes.laborRates,
+            partsMarkup: config.quotes.partsMarkup,
+            taxRate: config.quotes.taxRate
+        }
+    };
+}
+
+/**
+ * Priced quote (not stored) for validated input
+ */
+export async function estimate(input) {
+    const [labor, name] = await Promise.all([
+        mapWithConcurrency(input.operations, 3, operation => fetchLabor(input, operation)),
+        catalog.vehicleName(input.contentSource, input.vehicleId).catch(() => null)
+    ]);
+    return {
+        vehicle: { contentSource: input.contentSource, vehicleId: input.vehicleId, motorVehicleId: input.motorVehicleId, name },
+        customer: input.customer,
+        notes: input.notes,
+        input: { laborRate: input.laborRate, operations: input.operations },
+        ...priceQuote(input, labor)
+    };
+}
+
+/**
+ * Stored quotes with their version history. The quote document holds the latest version;
+ * every version (the first included) is also kept in its `versions` subcollection, so an
+ * older quote prints exactly as it was given to the customer.
+ */
+class QuoteStore {
+    constructor(options) {
+        this.options = options;
+    }
+
+    _doc(id) {
+        return db.collection(this.options.collection).doc(id);
+    }
+
+    async create(input, consumer) {
+        const priced = await estimate(input);
+        const id = crypto.randomUUID();
+        const now = Date.now();
+        const author = consumer ? consumer.name : null;
+        const quote = {
+            id,
+            number: `Q-${id.slice(0, 8).toUpperCase()}`,
+            version: 1,
+            ...priced,
+            createdAt: now,
+            createdBy: author,
+            updatedAt: now,
+            updatedBy: author
+        };
+        const batch = db.batch();
+        batch.set(this._doc(id), quote);
+        batch.set(this._doc(id).collection('versions').doc('1'), quote);
+        await batch.commit();
+        logger.info(`✓ Quote ${quote.number} created (${quote.lines.length} operations, ${quote.totals.total} ${quote.totals.currency})`);
+        return quote;
+    }
+
+    /**
+     * The latest quote, or one of its versions; null when unknown
+     */
+    async get(id, version) {
+        const ref = version ? this._doc(id).collection('versions').doc(String(version)) : this._doc(id);
+        const doc = await ref.get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    async versions(id) {
+        const snapshot = await this._doc(id).collection('versions').orderBy('version').get();
+        return snapshot.docs.map((doc) => {
+            const quote = doc.data();
+            return { version: quote.version, updatedAt: quote.updatedAt, updatedBy: quote.updatedBy, totals: quote.totals };
+        });
+    }
+
+    /**
+     * New version with `changes` applied to the quote's input (operations, laborRate, customer, notes,
+     * motorVehicleId), re-priced with the current Motor data and shop pricing. With `expectedVersion`,
+     * fails with 409 when someone else saved a version in between.
+     */
+    async update(id, changes, consumer, expectedVersion) {
+        const current = await this.get(id);
+        if (!current) {
+            return null;
+        }
+        const editable = ['operations', 'laborRate', 'customer', 'notes', 'motorVehicleId'];
+        const input = parseQuoteInput({
+            ...inputOf(current),
+            ...Object.fromEntries(editable.filter(field => changes[field] !== undefined).map(field => [field, changes[field]]))
+        });
+        const priced = await estimate(input);
+
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(this._doc(id));
+            if (!doc.exists) {
+                return null;
+            }
+            const latest = doc.data();
+            if (expectedVersion && latest.version !== expectedVersion) {
+                throw httpError(409, `Quote ${latest.number} is at version ${latest.version}, not ${expectedVersion}`);
+            }
+            const quote = {
+                ...latest,
+                ...priced,
+                version: latest.version + 1,
+                updatedAt: Date.now(),
+                updatedBy: consumer ? consumer.name : null
+            };
+            transaction.set(this._doc(id), quote);
+            transaction.set(this._doc(id).collection('versions').doc(String(quote.version)), quote);
+            return quote;
+        });
+    }
+}
+
+export const quoteStore = new QuoteStore(config.quotes);
+
+function formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * Printable quote (also the source of the PDF)
+ */
+export function quoteHtml(quote) {
+    const currency = quote.totals.currency;
+    const price = amount => escapeHtml(formatMoney(amount, currency));
+    const vehicle = quote.vehicle.name || `${quote.vehicle.contentSource} vehicle ${quote.vehicle.vehicleId}`;
+    const customer = quote.customer
+        ? Object.entries(quote.customer).filter(([, value]) => value !== null && typeof value !== 'object').map(([key, value]) => `<div><span class="label">${escapeHtml(key)}</span> ${escapeHtml(value)}</div>`).join('\n')
+        : '';
+    const title = quote.number ? `Quote ${quote.number}` : 'Estimate';
+
+    const rows = quote.lines.map((line) => {
+        const overlap = line.overlapHours ? ` <small>(${line.bookHours !== null ? line.bookHours * line.quantity : 0} h less ${line.overlapHours} h overlap)</small>` : '';
+        const parts = line.parts.map(part => `<tr class="part">
+<td>${escapeHtml([part.partNumber, part.description].filter(Boolean).join(' - '))}</td>
+<td class="num">${part.quantity}</td>
+<td class="num">${price(part.unitPrice)}</td>
+<td class="num">${price(part.amount)}</td>
+</tr>`);
+        return `<tr class="operation">
+<td>${line.line}. ${escapeHtml(line.description)}${line.quantity !== 1 ? ` &times; ${line.quantity}` : ''}</td>
+<td class="num">${line.hours} h${overlap}</td>
+<td class="num">${price(line.laborRate.hourly)}/h</td>
+<td class="num">${price(line.laborAmount)}</td>
+</tr>
+${parts.join('\n')}`;
+    });
+    const overlaps = quote.overlaps.filter(overlap => overlap.hours > 0)
+        .map(overlap => `<li>Lines ${overlap.lines.join(' and ')} ${overlap.type === 'duplicate' ? 'are the same operation' : 'overlap'}: ${overlap.hours} h deducted from line ${overlap.appliedTo}</li>`);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+.meta { display: flex; justify-content: space-between; margin-bottom: 16px; }
+.label { color: #666; }
+table { width: 100%; border-collapse: collapse; }
+th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+.num { text-align: right; white-space: nowrap; }
+tr.operation td { font-weight: bold; }
+tr.part td:first-child { padding-left: 24px; }
+.totals { margin-top: 12px; margin-left: auto; width: 280px; }
+.totals td { border: none; }
+.totals tr.total td { font-weight: bold; border-top: 2px solid #222; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<div class="meta">
+<div>
+${config.quotes.shopName ? `<div><strong>${escapeHtml(config.quotes.shopName)}</strong></div>\n` : ''}<h1>${escapeHtml(title)}</h1>
+<div><span class="label">Vehicle</span> ${escapeHtml(vehicle)}</div>
+</div>
+<div>
+${quote.version ? `<div><span class="label">Version</span> ${quote.version}</div>\n` : ''}<div><span class="label">Date</span> ${escapeHtml(new Date(quote.updatedAt || Date.now()).toISOString().slice(0, 10))}</div>
+${customer}
+</div>
+</div>
+<table>
+<thead>
+<tr><th>Description</th><th class="num">Qty / Hours</th><th class="num">Rate / Price</th><th class="num">Amount</th></tr>
+</thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+${overlaps.length ? `<ul>\n${overlaps.join('\n')}\n</ul>\n` : ''}<table class="totals">
+<tr><td>Labor (${quote.totals.laborHours} h)</td><td class="num">${price(quote.totals.labor)}</td></tr>
+<tr><td>Parts</td><td class="num">${price(quote.totals.parts)}</td></tr>
+<tr><td>Tax</td><td class="num">${price(quote.totals.tax)}</td></tr>
+<tr class="total"><td>Total</td><td class="num">${price(quote.totals.total)}</td></tr>
+</table>
+${quote.notes ? `<p>${escapeHtml(quote.notes)}</p>\n` : ''}</body>
+</html>
+`;
+}
+
+// One headless browser at a time
+let pdfQueue = Promise.resolve();
+
+/**
+ * PDF of a printable page, rendered in headless Chrome (loaded on first use)
+ */
+export function renderPdf(html) {
+    const render = async () => {
+        const [{ default: chromium }, { default: puppeteer }] = await Promise.all([import('@sparticuz/chromium'), import('puppeteer-core')]);
+        const browser = await puppeteer.launch({
+            args: chromium.args,
+            executablePath: config.quotes.chromePath || await chromium.executablePath(),
+            headless: true
+        });
+        try {
+            const page = await browser.newPage();
+            await page.setJavaScriptEnabled(false);
+            await page.setContent(html, { waitUntil: 'load' });
+            return Buffer.from(await page.pdf({ format: 'Letter', printBackground: true, margin: { top: '0.5in', bottom: '0.5in', left: '0.5in', right: '0.5in' } }));
+        } finally {
+            await browser.close();
+        }
+    };
+    const result = pdfQueue.then(render);
+    pdfQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Express router for /quotes
+ */
+export function createQuoteRouter() {
+    const router = express.Router();
+
+    const handle = (fn) => async (req, res) => {
+        try {
+            if (req.query.format && !QUOTE_FORMATS.includes(req.query.format)) {
+                throw httpError(400, `format must be one of: ${QUOTE_FORMATS.join(', ')}`);
+            }
+            await fn(req, res);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Quote ${req.originalUrl} failed:`, error);
+            }
+            res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message });
+        }
+    };
+
+    const send = async (req, res, quote) => {
+        const fileName = quote.number ? `${quote.number}-v${quote.version}` : 'estimate';
+        if (req.query.format === 'html') {
+            return res.type('html').send(quoteHtml(quote));
+        }
+        if (req.query.format === 'pdf') {
+            const pdf = await renderPdf(quoteHtml(quote));
+            res.set('Content-Type', 'application/pdf');
+            res.attachment(`${fileName}.pdf`);
+            return res.send(pdf);
+        }
+        res.json(quote);
+    };
+
+    const notFound = (res, id) => res.status(404).json({ error: 'Not Found', message: `Unknown quote "${id}"` });
+
+    // Same body as POST /quotes; priced but not stored
+    router.post('/estimate', express.json(), handle(async (req, res) => {
+        await send(req, res, await estimate(parseQuoteInput(req.body)));
+    }));
+
+    // Body: { contentSource, vehicleId, motorVehicleId?, laborRate?, customer?, notes?,
+    //         operations: [{ articleId, quantity?, hours?, laborRate?, parts?: [{ partNumber, quantity?, unitCost?, unitPrice? }] }] }
+    router.post('/', express.json(), handle(async (req, res) => {
+        const quote = await quoteStore.create(parseQuoteInput(req.body), req.consumer);
+        res.status(201).location(`/quotes/${quote.id}`);
+        await send(req, res, quote);
+    }));
+
+    // ?version=N for an earlier version
+    router.get('/:id', handle(async (req, res) => {
+        const version = req.query.version === undefined ? null : Number(req.query.version);
+        if (version !== null && (!Number.isInteger(version) || version < 1)) {
+            throw httpError(400, 'version must be a positive integer');
+        }
+        const quote = await quoteStore.get(req.params.id, version);
+        return quote ? send(req, res, quote) : notFound(res, req.params.id);
+    }));
+
+    router.get('/:id/versions', handle(async (req, res) => {
+        const versions = await quoteStore.versions(req.params.id);
+        return versions.length ? res.json({ id: req.params.id, versions }) : notFound(res, req.params.id);
+    }));
+
+    // Body: any of operations, laborRate, customer, notes, motorVehicleId; plus version (the version being edited)
+    router.put('/:id', express.json(), handle(async (req, res) => {
+        const body = req.body || {};
+        const expectedVersion = body.version === undefined ? null : Number(body.version);
+        if (expectedVersion !== null && (!Number.isInteger(expectedVersion) || expectedVersion < 1)) {
+            throw httpError(400, 'version must be a positive integer');
+        }
+        const quote = await quoteStore.update(req.params.id, body, req.consumer, expectedVersion);
+        return quote ? send(req, res, quote) : notFound(res, req.params.id);
+    }));
+
+    return router;
+}
@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+import { db } from './auth.js';
+import { metrics, registry, Gauge } from './metrics.js';
+import logger from './logger.js';
+
+function tooManyRequests(message, retryAfterSeconds) {
+    const error = new Error(message);
+    error.statusCode = 429;
+    error.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+    return error;
+}
+
+/**
+ * Token bucket step shared by the stores: refill for the elapsed time, then take `cost`.
+ * Returns the new bucket state and the outcome.
+ */
+function takeFromBucket(bucket, { capacity, refillPerSecond }, cost, now) {
+    const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+    const tokens = bucket ? Math.min(capacity, bucket.tokens + elapsed * refillPerSecond) : capacity;
+
+    if (tokens >= cost) {
+        return {
+            state: { tokens: tokens - cost, updatedAt: now },
+            allowed: true,
+            remaining: Math.floor(tokens - cost),
+            retryAfterMs: 0
+        };
+    }
+    return {
+        state: { tokens, updatedAt: now },
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: ((cost - tokens) / refillPerSecond) * 1000
+    };
+}
+
+/**
+ * Buckets in process memory: exact, but every instance limits on its own
+ */
+export class MemoryBucketStore {
+    static id = 'memory';
+
+    constructor() {
+        this.buckets = new Map();
+    }
+
+    async take(key, limit, cost = 1) {
+        const now = Date.now();
+        const result = takeFromBucket(this.buckets.get(key), limit, cost, now);
+        this.buckets.set(key, result.state);
+
+        // Full buckets carry no information; drop them so the map doesn't grow forever
+        if (this.buckets.size > 10000) {
+            for (const [bucketKey, bucket] of this.buckets) {
+                if (takeFromBucket(bucket, limit, 0, now).state.tokens >= limit.capacity) {
+                    this.buckets.delete(bucketKey);
+                }
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * Buckets in Firestore, shared by every instance (one transaction per request)
+ */
+export class FirestoreBucketStore {
+    static id = 'firestore';
+
+    constructor(options) {
+        this.collection = options.collection;
+    }
+
+    async take(key, limit, cost = 1) {
+        const id = crypto.createHash('sha1').update(key).digest('hex');
+        const ref = db.collection(this.collection).doc(id);
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const result = takeFromBucket(doc.exists ? doc.data() : null, limit, cost, Date.now());
+            transaction.set(ref, { ...result.state, key });
+            return result;
+        });
+    }
+}
+
+const STORES = [MemoryBucketStore, FirestoreBucketStore];
+
+export function createBucketStore(id, options) {
+    const Store = STORES.find(store => store.id === id);
+    if (!Store) {
+        throw new Error(`Unknown rate limit store "${id}" (use one of: ${STORES.map(store => store.id).join(', ')})`);
+    }
+    return new Store(options);
+}
+
+/**
+ * Token-bucket limits per consumer (API key / ID token) or, for anonymous requests, per IP
+ */
+class RateLimiter {
+    constructor(options) {
+        this.options = options;
+        this.store = createBucketStore(options.store, options);
+        // Used when the shared store is unreachable: limits still apply per instance
+        this.fallback = new MemoryBucketStore();
+    }
+
+    _identify(req) {
+        if (req.consumer) {
+            return { key: `consumer:${req.consumer.type}:${req.consumer.id}`, limit: this.options.consumer };
+        }
+        return { key: `ip:${req.ip}`, limit: this.options.ip };
+    }
+
+    async check(req) {
+        const { key, limit } = this._identify(req);
+        let result;
+        try {
+            result = await this.store.take(key, limit);
+        } catch (error) {
+            logger.warn(`Rate limit store unavailable, limiting per instance: ${error.message}`);
+            result = await this.fallback.take(key, limit);
+        }
+        return { ...result, key, limit };
+    }
+
+    middleware() {
+        return async (req, res, next) => {
+            if (!this.options.enabled || req.method === 'OPTIONS') {
+                return next();
+            }
+
+            const result = await this.check(req);
+            res.setHeader('X-RateLimit-Limit', result.limit.capacity);
+            res.setHeader('X-RateLimit-Remaining', result.remaining);
+            if (result.allowed) {
+                return next();
+            }
+
+            logger.warn(`Rate limit exceeded for ${result.key} on ${req.method} ${req.originalUrl}`);
+            sendTooManyRequests(res, tooManyRequests(
+                `Rate limit of ${result.limit.capacity} requests (refilling ${result.limit.refillPerSecond}/s) exceeded`,
+                result.retryAfterMs / 1000
+            ), 'rate_limit');
+        };
+    }
+}
+
+/**
+ * Global cap on concurrent requests to Motor, with a bounded FIFO queue.
+ * Protects the shared library session from bursts regardless of who sends them.
+ */
+class ConcurrencyLimiter {
+    constructor(options) {
+        this.options = options;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Wait for a slot; resolves with a release function (safe to call more than once).
+     * Rejects with a 429 error when the queue is full or the wait exceeds queueTimeoutMs.
+     */
+    acquire() {
+        if (!this.options.enabled) {
+            return Promise.resolve(() => {});
+        }
+
+        if (this.active < this.options.maxConcurrent) {
+            this.active++;
+            return Promise.resolve(this._releaser());
+        }
+
+        if (this.queue.length >= this.options.maxQueue) {
+            return Promise.reject(tooManyRequests(
+                `Upstream is busy (${this.active} requests in flight, ${this.queue.length} queued)`,
+                this.options.retryAfterSeconds
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.queue.splice(this.queue.indexOf(waiter), 1);
+                reject(tooManyRequests(
+                    `Timed out after ${this.options.queueTimeoutMs}ms waiting for an upstream slot`,
+                    this.options.retryAfterSeconds
+                ));
+            }, this.options.queueTimeoutMs);
+            this.queue.push(waiter);
+        });
+    }
+
+    _releaser() {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const next = this.queue.shift();
+            if (next) {
+                // Hand the slot straight to the next waiter
+                clearTimeout(next.timer);
+                next.resolve(this._releaser());
+            } else {
+                this.active--;
+            }
+        };
+    }
+
+    /**
+     * Run `fn` while holding a slot
+     */
+    async run(fn) {
+        const release = await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Express middleware holding a slot until the response is finished
+     */
+    middleware() {
+        return async (req, res, next) => {
+            if (req.method === 'OPTIONS') {
+                return next();
+            }
+
+            let release;
+            try {
+                release = await this.acquire();
+            } catch (error) {
+                logger.warn(`${error.message} - rejecting ${req.method} ${req.originalUrl}`);
+                return sendTooManyRequests(res, error, 'upstream_busy');
+            }
+            res.on('finish', release);
+            res.on('close', release);
+            next();
+        };
+    }
+
+    getStatus() {
+        return { active: this.active, queued: this.queue.length, maxConcurrent: this.options.maxConcurrent };
+    }
+}
+
+/**
+ * Run `fn` over `items` with at most `concurrency` calls in flight, keeping the order
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+}
+
+function sendTooManyRequests(res, error, reason) {
+    metrics.rateLimited.inc({ reason });
+    res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(429).json({ error: 'Too Many Requests', message: error.message, retryAfter: error.retryAfter });
+}
+
+export const rateLimiter = new RateLimiter(config.rateLimit);
+export const upstreamLimiter = new ConcurrencyLimiter(config.rateLimit.concurrency);
+
+registry.register(new Gauge('motor_upstream_in_flight', 'Requests to Motor currently holding an upstream slot', [], (gauge) => {
+    gauge.set({}, upstreamLimiter.active);
+}));
+registry.register(new Gauge('motor_upstream_queued', 'Requests waiting for an upstream slot', [], (gauge) => {
+    gauge.set({}, upstreamLimiter.queue.length);
+}));
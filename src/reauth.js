@@ -0,0 +1,155 @@
+import express from 'express';
+import { URL } from 'url';
+import { config } from './config.js';
+import { sessionPool } from './sessionPool.js';
+import { motorRequest } from './upstream.js';
+import { metrics, routeTemplate } from './metrics.js';
+import logger from './logger.js';
+
+const MOTOR_BASE_PATH = new URL(config.motorApiBase).pathname.replace(/\/$/, '');
+
+// Request headers worth carrying over when a request is replayed
+const REPLAY_HEADERS = ['content-type', 'accept', 'accept-language'];
+
+/**
+ * Buffer request bodies so a request can be replayed after re-authentication.
+ * Firebase Functions already consumed the stream and exposes req.rawBody;
+ * the standalone server reads it here.
+ */
+export const bufferRequestBody = express.raw({ type: () => true, limit: '10mb' });
+
+/**
+ * The buffered request body, if any
+ */
+export function getRequestBody(req) {
+    if (req.rawBody && req.rawBody.length) {
+        return req.rawBody;
+    }
+    if (Buffer.isBuffer(req.body) && req.body.length) {
+        return req.body;
+    }
+    return null;
+}
+
+/**
+ * Re-send a buffered body on the proxied request (the original stream was consumed by bufferRequestBody)
+ */
+export function writeBufferedBody(proxyReq, req) {
+    const body = getRequestBody(req);
+    if (!body) {
+        return;
+    }
+    proxyReq.setHeader('Content-Length', body.length);
+    proxyReq.write(body);
+}
+
+/**
+ * Remember which upstream path a proxied request went to, relative to config.motorApiBase,
+ * so it can be replayed later (pathRewrite may have changed it)
+ */
+export function rememberUpstreamPath(proxyReq, req) {
+    req.upstreamPath = proxyReq.path.startsWith(MOTOR_BASE_PATH)
+        ? proxyReq.path.slice(MOTOR_BASE_PATH.length)
+        : proxyReq.path;
+}
+
+/**
+ * Take the account that served the request out of rotation and start re-authenticating it
+ * in the background. If a re-authentication is already running, this joins it.
+ */
+export function startReauthentication(manager, reason) {
+    const reauth = sessionPool.reportAuthFailure(manager, reason);
+    reauth.catch(err => {
+        logger.error(`[${manager.id}] Background authentication failed:`, err);
+    });
+    return reauth;
+}
+
+/**
+ * Wait up to `budgetMs` for re-authentication. Resolves true on success,
+ * false if it failed or did not finish in time.
+ */
+function waitForReauthentication(reauth, budgetMs) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), budgetMs);
+    });
+
+    return Promise.race([
+        reauth.then(() => true, () => false),
+        timeout
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Handle a 401/403 from Motor: re-authenticate the account that served the request and,
+ * when enabled, hold the request and replay it with fresh cookies - on another account
+ * of the pool that already has a valid session, or on the same account once it is back.
+ *
+ * Resolves with the replayed upstream response ({ statusCode, headers, body }),
+ * or null when the caller should fall back to the /auth/status polling contract.
+ */
+export async function retryAfterReauthentication(req, statusCode) {
+    const failed = req.authManager;
+    metrics.upstreamAuthRejections.inc({ route: routeTemplate(req.upstreamPath || req.originalUrl), status: statusCode });
+    const reauth = startReauthentication(failed, `upstream ${statusCode} on ${req.originalUrl}`);
+
+    if (!config.authRetry.enabled || req.authRetried || !req.upstreamPath) {
+        return null;
+    }
+    req.authRetried = true;
+
+    let target = sessionPool.acquire({ exclude: failed, requireValidSession: true });
+    if (!target) {
+        logger.info(`Holding ${req.method} ${req.originalUrl} for up to ${config.authRetry.waitBudgetMs}ms while re-authenticating...`);
+        const authenticated = await waitForReauthentication(reauth, config.authRetry.waitBudgetMs);
+        if (!authenticated || !failed.isSessionValid()) {
+            logger.warn(`Re-authentication did not complete in time for ${req.originalUrl}, falling back to polling`);
+            return null;
+        }
+        target = failed;
+    }
+
+    const headers = {};
+    REPLAY_HEADERS.forEach(name => {
+        if (req.headers[name]) {
+            headers[name] = req.headers[name];
+        }
+    });
+
+    try {
+        const response = await motorRequest(req.upstreamPath, {
+            method: req.method,
+            headers,
+            body: getRequestBody(req),
+            authManager: target
+        });
+
+        if (response.statusCode === 401 || response.statusCode === 403) {
+            logger.warn(`Replay of ${req.originalUrl} still returned ${response.statusCode}`);
+            return null;
+        }
+
+        logger.info(`✓ Replayed ${req.method} ${req.originalUrl} on account ${target.id}`);
+        return response;
+    } catch (error) {
+        logger.error(`Replay of ${req.originalUrl} failed:`, error);
+        return null;
+    }
+}
+
+/**
+ * Copy a replayed upstream response's status and headers onto the client response
+ * (the body is returned from the responseInterceptor by the caller)
+ */
+export function applyReplayedResponse(replayed, res) {
+    res.statusCode = replayed.statusCode;
+    res.removeHeader('www-authenticate');
+    ['content-type', 'content-disposition', 'last-modified'].forEach(name => {
+        if (replayed.headers[name]) {
+            res.setHeader(name, replayed.headers[name]);
+        } else {
+            res.removeHeader(name);
+        }
+    });
+}
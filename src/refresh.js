@@ -0,0 +1,139 @@
+import { config } from './config.js';
+import { sessionPool } from './sessionPool.js';
+import { motorRequest } from './upstream.js';
+import logger from './logger.js';
+
+/**
+ * Renews sessions ahead of expiry so no user request has to wait for a login.
+ *
+ * Each run probes every account with a cheap keep-alive request and re-authenticates
+ * accounts whose session expires within the lead time (plus a per-account random jitter,
+ * so accounts and instances do not all log in at once). A failed refresh leaves the
+ * current session in service until it actually expires.
+ *
+ * Runs as a timer in the standalone server (start/stop) and as a scheduled
+ * Firebase function (runOnce).
+ */
+class SessionRefresher {
+    constructor(pool, options) {
+        this.pool = pool;
+        this.options = options;
+        this.timer = null;
+        this.running = null;
+        // accountId -> jitter in ms, re-drawn after every successful refresh
+        this.jitter = new Map();
+    }
+
+    _jitterFor(manager) {
+        if (!this.jitter.has(manager.id)) {
+            this.jitter.set(manager.id, Math.floor(Math.random() * this.options.jitterMs));
+        }
+        return this.jitter.get(manager.id);
+    }
+
+    /**
+     * When this account should be refreshed (null if it has no session yet)
+     */
+    refreshDueAt(manager) {
+        const expiry = manager.getSessionExpiry();
+        if (!expiry) {
+            return null;
+        }
+        return expiry - this.options.leadTimeMs - this._jitterFor(manager);
+    }
+
+    /**
+     * Cheap authenticated request to confirm the cookies still work.
+     * Resolves true/false; network errors count as "unknown" and resolve true.
+     */
+    async probe(manager) {
+        try {
+            const response = await motorRequest(this.options.keepAlivePath, {
+                cookieHeader: await manager.getCookieHeader()
+            });
+            if (response.statusCode === 401 || response.statusCode === 403) {
+                logger.warn(`[${manager.id}] Keep-alive probe rejected (${response.statusCode})`);
+                return false;
+            }
+            logger.debug(`[${manager.id}] Keep-alive probe OK (${response.statusCode})`);
+            return true;
+        } catch (error) {
+            logger.warn(`[${manager.id}] Keep-alive probe failed: ${error.message}`);
+            return true;
+        }
+    }
+
+    /**
+     * Probe one account and renew its session if it is close to expiry or no longer accepted
+     */
+    async refreshAccount(manager) {
+        if (manager.authPromise) {
+            return;
+        }
+
+        if (!manager.isSessionValid()) {
+            // Pick up a session another instance stored before deciding anything
+            await manager.loadSession();
+            if (!manager.isSessionValid()) {
+                logger.info(`[${manager.id}] No valid session, leaving login to the next request`);
+                return;
+            }
+        }
+
+        const alive = await this.probe(manager);
+        if (!alive) {
+            // The session is already dead; recovering it now spares the next user request
+            await this.pool.reportAuthFailure(manager, 'keep-alive probe rejected').catch(() => {});
+            return;
+        }
+
+        const dueAt = this.refreshDueAt(manager);
+        if (dueAt === null || Date.now() < dueAt) {
+            return;
+        }
+
+        logger.info(`[${manager.id}] Session expires at ${new Date(manager.getSessionExpiry()).toISOString()}, refreshing ahead of time...`);
+        try {
+            // authenticate() only swaps the cookie jar on success, so the current
+            // session keeps serving requests while the new login runs or if it fails
+            await manager.authenticate();
+            this.jitter.delete(manager.id);
+            logger.info(`[${manager.id}] ✓ Session refreshed`);
+        } catch (error) {
+            logger.warn(`[${manager.id}] Proactive refresh failed, keeping current session until ${new Date(manager.getSessionExpiry()).toISOString()}: ${error.message}`);
+        }
+    }
+
+    /**
+     * One pass over every account of the pool
+     */
+    async runOnce() {
+        if (this.running) {
+            return this.running;
+        }
+        this.running = Promise.allSettled(this.pool.managers.map(manager => this.refreshAccount(manager)))
+            .finally(() => {
+                this.running = null;
+            });
+        return this.running;
+    }
+
+    start() {
+        if (this.timer || !this.options.enabled) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.runOnce().catch(err => logger.error('Session refresh run failed:', err));
+        }, this.options.checkIntervalMs);
+        // Never keep the process alive just for the refresher
+        this.timer.unref();
+        logger.info(`Session refresh scheduler started (every ${Math.round(this.options.checkIntervalMs / 1000)}s, lead time ${Math.round(this.options.leadTimeMs / 60000)}min)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+export const sessionRefresher = new SessionRefresher(sessionPool, config.sessionRefresh);
@@ -0,0 +1,272 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yamljs';
+import { config } from './config.js';
+import { motorRequest } from './upstream.js';
+import { cachedMotorJson } from './cache.js';
+import { articleBucketHandler } from './articleBuckets.js';
+import { bufferRequestBody, getRequestBody } from './reauth.js';
+import { upstreamLimiter } from './rateLimit.js';
+import { metrics } from './metrics.js';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_ROUTES_FILE = path.join(__dirname, 'routes.yaml');
+
+const ROUTE_TYPES = ['mock', 'proxy', 'composite'];
+
+// Named transforms a composite route can apply to the results of its upstream calls:
+// handler(results, { req, params, route }) => body
+const compositeHandlers = new Map();
+
+/**
+ * Make a JS transform available to composite routes as `handler: <name>`
+ */
+export function registerCompositeHandler(name, handler) {
+    compositeHandlers.set(name, handler);
+}
+
+/**
+ * Compile a path pattern into a matcher.
+ *   :name  one segment, captured as params.name
+ *   *      any one segment
+ *   **     any number of segments (including none)
+ */
+export function compilePattern(pattern) {
+    const names = [];
+    const source = pattern
+        .split('/')
+        .filter(Boolean)
+        .map(segment => {
+            if (segment === '**') {
+                return '(?:/[^/]+)*';
+            }
+            if (segment === '*') {
+                return '/[^/]+';
+            }
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '/([^/]+)';
+            }
+            return '/' + segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    const regex = new RegExp(`^${source || '/'}/?$`);
+
+    return (requestPath) => {
+        const match = requestPath.match(regex);
+        if (!match) {
+            return null;
+        }
+        const params = {};
+        names.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+        });
+        return params;
+    };
+}
+
+/**
+ * Fill :name placeholders of an upstream path template from the matched params
+ */
+export function expandTemplate(template, params) {
+    return template.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (placeholder, name) => {
+        if (params[name] === undefined) {
+            throw new Error(`Upstream template ${template} uses :${name}, which the route pattern does not capture`);
+        }
+        return encodeURIComponent(params[name]);
+    });
+}
+
+/**
+ * Query string for a composite route's calls: the request parameters listed in `query`
+ */
+function forwardedQuery(route, req) {
+    const search = new URLSearchParams();
+    [].concat(route.query || []).forEach(name => {
+        if (req.query[name] !== undefined && req.query[name] !== '') {
+            search.set(name, String(req.query[name]));
+        }
+    });
+    const query = search.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Motor's response envelope around a body
+ */
+export function envelope(body, statusCode = 200) {
+    return {
+        header: { status: statusCode < 400 ? 'OK' : 'Error', statusCode, date: new Date().toUTCString() },
+        body
+    };
+}
+
+/**
+ * Declarative route registry (src/routes.yaml, or ROUTES_FILE) for endpoints Motor does
+ * not serve directly. Each entry matches a method and path pattern and is one of:
+ *   mock       answer with a fixture file (wrapped in the { header, body } envelope)
+ *   proxy      forward to an upstream Motor path template
+ *   composite  call several Motor endpoints and combine them (optionally through a handler)
+ */
+export class RouteTable {
+    constructor(routes = [], baseDir = __dirname) {
+        this.baseDir = baseDir;
+        this.routes = routes.map((route, index) => this._compile(route, index));
+    }
+
+    /**
+     * Load the registry from a YAML or JSON file
+     */
+    static load(file = config.routesFile || DEFAULT_ROUTES_FILE) {
+        const source = fs.readFileSync(file, 'utf8');
+        const document = file.endsWith('.json') ? JSON.parse(source) : YAML.parse(source);
+        const table = new RouteTable((document && document.routes) || [], path.dirname(file));
+        logger.info(`✓ Loaded ${table.routes.length} routes from ${file}`);
+        return table;
+    }
+
+    _compile(route, index) {
+        const label = route.name || `routes[${index}]`;
+        if (!ROUTE_TYPES.includes(route.type)) {
+            throw new Error(`Route ${label} has unknown type "${route.type}" (use one of: ${ROUTE_TYPES.join(', ')})`);
+        }
+        if (!route.path) {
+            throw new Error(`Route ${label} has no path`);
+        }
+
+        const methods = [].concat(route.method || '*').map(method => String(method).toUpperCase());
+        const patterns = [].concat(route.path).map(pattern => ({ pattern, match: compilePattern(pattern) }));
+        const compiled = { ...route, name: label, methods, patterns };
+
+        if (route.type === 'mock') {
+            if (!route.fixture) {
+                throw new Error(`Mock route ${label} has no fixture`);
+            }
+            compiled.fixturePath = path.resolve(this.baseDir, route.fixture);
+            // Read once up front so a broken fixture fails at startup, not on first request
+            compiled.fixtureBody = JSON.parse(fs.readFileSync(compiled.fixturePath, 'utf8'));
+        } else if (route.type === 'proxy' && !route.upstream) {
+            throw new Error(`Proxy route ${label} has no upstream path template`);
+        } else if (route.type === 'composite') {
+            if (!route.calls || !Object.keys(route.calls).length) {
+                throw new Error(`Composite route ${label} has no calls`);
+            }
+            if (route.handler && !compositeHandlers.has(route.handler)) {
+                // Handlers may register after the table loads; checked again per request
+                logger.warn(`Composite route ${label} uses handler "${route.handler}", which is not registered yet`);
+            }
+        }
+        return compiled;
+    }
+
+    /**
+     * First route matching the method and path, with the captured params and the pattern that matched
+     */
+    match(method, requestPath) {
+        for (const route of this.routes) {
+            if (!route.methods.includes('*') && !route.methods.includes(method)) {
+                continue;
+            }
+            for (const { pattern, match } of route.patterns) {
+                const params = match(requestPath);
+                if (params) {
+                    return { route, params, pattern };
+                }
+            }
+        }
+        return null;
+    }
+
+    async _mock(route, req, res) {
+        res.status(route.status || 200).json(route.envelope === false
+            ? route.fixtureBody
+            : envelope(route.fixtureBody, route.status || 200));
+    }
+
+    async _proxy(route, req, res, params) {
+        const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+        const upstream = await motorRequest(expandTemplate(route.upstream, params) + query, {
+            method: req.method,
+            body: getRequestBody(req),
+            headers: req.headers['content-type'] ? { 'Content-Type': req.headers['content-type'] } : {}
+        });
+        if (upstream.headers['content-type']) {
+            res.set('Content-Type', upstream.headers['content-type']);
+        }
+        res.status(upstream.statusCode).send(upstream.body);
+    }
+
+    async _composite(route, req, res, params) {
+        const names = Object.keys(route.calls);
+        const query = forwardedQuery(route, req);
+        const responses = await Promise.all(names.map(name => cachedMotorJson(expandTemplate(route.calls[name], params) + query)));
+
+        // Each call contributes the body of its Motor envelope
+        const results = {};
+        names.forEach((name, index) => {
+            results[name] = responses[index] && responses[index].body !== undefined ? responses[index].body : responses[index];
+        });
+
+        let body = results;
+        if (route.handler) {
+            const handler = compositeHandlers.get(route.handler);
+            if (!handler) {
+                throw new Error(`Composite handler "${route.handler}" is not registered`);
+            }
+            body = await handler(results, { req, params, route });
+        }
+        res.json(envelope(body));
+    }
+
+    /**
+     * Express middleware answering every request that matches a registry entry
+     */
+    middleware() {
+        const holdUpstreamSlot = upstreamLimiter.middleware();
+
+        return (req, res, next) => {
+            const found = this.match(req.method, req.path);
+            if (!found) {
+                return next();
+            }
+            const { route, params, pattern } = found;
+            req.metricsRoute = pattern;
+            metrics.routeTable.inc({ route: route.name, type: route.type });
+            logger.debug(`Route table: ${req.method} ${req.path} → ${route.type} ${route.name}`);
+
+            const handle = () => {
+                const handler = route.type === 'mock' ? this._mock
+                    : route.type === 'proxy' ? this._proxy
+                        : this._composite;
+                handler.call(this, route, req, res, params).catch((error) => {
+                    const statusCode = error.statusCode && error.statusCode >= 400 ? error.statusCode : 502;
+                    if (statusCode >= 500) {
+                        logger.error(`Route ${route.name} failed:`, error);
+                    }
+                    if (!res.headersSent) {
+                        res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message });
+                    }
+                });
+            };
+
+            // Proxied requests share the global cap on concurrent upstream requests;
+            // composite calls take a slot each (when they are not answered from the cache)
+            const run = route.type === 'proxy' ? () => holdUpstreamSlot(req, res, handle) : handle;
+
+            // Proxied requests may carry a body that has to be re-sent upstream
+            if (route.type === 'proxy') {
+                return bufferRequestBody(req, res, (err) => (err ? next(err) : run()));
+            }
+            run();
+        };
+    }
+}
+
+// Built-in handlers, available to every registry file
+registerCompositeHandler('articleBucket', articleBucketHandler);
+
+export const routeTable = RouteTable.load();
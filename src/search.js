@@ -0,0 +1,536 @@
+import fs from 'fs';
+import http from 'http';
+import crypto from 'crypto';
+import express from 'express';
+import { config } from './config.js';
+import { db } from './auth.js';
+import { responseCache } from './cache.js';
+import { articleList } from './articleBuckets.js';
+import { articleMarkup, markupText } from './articleTransform.js';
+import { mapWithConcurrency } from './rateLimit.js';
+import logger from './logger.js';
+
+// Article and article-title responses that feed the index
+const ARTICLE_PATH = /^\/api\/source\/([^/]+)\/vehicle\/([^/]+)\/article\/([^/]+)(\/title)?$/;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// A title term weighs as much as this many occurrences in the body
+const TITLE_WEIGHT = 3;
+
+const SNIPPET_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_BACKFILL_JOBS = 100;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'is', 'it', 'of', 'on', 'or',
+    'the', 'this', 'to', 'with'
+]);
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Index terms of a text: lowercase, accents removed, split on anything but letters and digits
+ */
+export function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(term => term && !STOPWORDS.has(term));
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+/**
+ * HTML-escaped text with the matches of `pattern` wrapped in <mark>
+ */
+function highlight(text, pattern) {
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * About SNIPPET_LENGTH characters of `text` around the first match of `pattern`
+ */
+function snippetOf(text, pattern) {
+    const first = text.search(pattern);
+    let start = Math.max(0, (first < 0 ? 0 : first) - Math.floor(SNIPPET_LENGTH / 3));
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space >= 0 && space < start + 20 ? space + 1 : start;
+    }
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > start ? space : end;
+    }
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+}
+
+/**
+ * { title, text } of an article response (Motor's JSON envelope or markup), or a title response
+ */
+function parseArticle(buffer, contentType = '', titleOnly = false) {
+    const source = buffer.toString('utf8');
+    if (!/json/i.test(contentType)) {
+        return titleOnly ? { title: source.trim() } : { text: markupText(source) };
+    }
+    const payload = JSON.parse(source);
+    const body = payload && payload.body !== undefined ? payload.body : payload;
+    if (titleOnly) {
+        const title = body && typeof body === 'object' ? body.title || body.name : body;
+        return title ? { title: String(title) } : null;
+    }
+    const article = articleMarkup(payload);
+    if (!article) {
+        return null;
+    }
+    return article.title ? { title: article.title, text: markupText(article.markup) } : { text: markupText(article.markup) };
+}
+
+/**
+ * Index in a JSON file: survives restarts, but each instance keeps its own. For the standalone
+ * server; a function instance loses its temp directory.
+ */
+export class FileIndexStore {
+    static id = 'file';
+
+    constructor(options) {
+        this.file = options.file;
+        this.documents = new Map();
+        this.flushTimer = null;
+    }
+
+    async load() {
+        try {
+            this.documents = new Map(Object.entries(JSON.parse(await fs.promises.readFile(this.file, 'utf8'))));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        return Array.from(this.documents.values());
+    }
+
+    async put(doc) {
+        this.documents.set(doc.key, doc);
+        // Writes are batched: the whole file is rewritten at most every two seconds
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(error => logger.error(`Could not write the search index to ${this.file}:`, error));
+            }, 2000);
+            this.flushTimer.unref();
+        }
+    }
+
+    async flush() {
+        const partial = `${this.file}.partial`;
+        await fs.promises.writeFile(partial, JSON.stringify(Object.fromEntries(this.documents)));
+        await fs.promises.rename(partial, this.file);
+    }
+}
+
+/**
+ * Index in Firestore (one document per article), shared by every instance. Each instance
+ * reads it when it starts; articles indexed elsewhere afterwards show up after a restart.
+ */
+export class FirestoreIndexStore {
+    static id = 'firestore';
+
+    constructor(options) {
+        this.collection = options.collection;
+    }
+
+    async load() {
+        const snapshot = await db.collection(this.collection).get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    async put(doc) {
+        const id = crypto.createHash('sha1').update(doc.key).digest('hex');
+        await db.collection(this.collection).doc(id).set(doc);
+    }
+
+    async flush() {}
+}
+
+const STORES = [FileIndexStore, FirestoreIndexStore];
+
+export function createIndexStore(id, options) {
+    const Store = STORES.find(store => store.id === id);
+    if (!Store) {
+        throw new Error(`Unknown search index store "${id}" (use one of: ${STORES.map(store => store.id).join(', ')})`);
+    }
+    return new Store(options);
+}
+
+/**
+ * Inverted index over the article content the proxy has fetched, ranked with BM25.
+ * Articles are added as proxied article responses pass through (/api interceptor)
+ * and by backfill jobs that walk a vehicle's article list.
+ */
+class SearchIndex {
+    constructor(options) {
+        this.options = options;
+        this.store = createIndexStore(options.store, options);
+        // key -> { doc, terms: Map(term -> weight), titleTerms: Set, length }
+        this.documents = new Map();
+        // term -> Set of document keys
+        this.postings = new Map();
+        this.totalLength = 0;
+        this.loading = null;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Resolves once the persisted index is loaded (first call starts loading)
+     */
+    ready() {
+        if (!this.loading) {
+            this.loading = this.store.load()
+                .then((docs) => {
+                    docs.forEach(doc => this._add(doc));
+                    logger.info(`✓ Search index loaded (${docs.length} articles, ${this.options.store} store)`);
+                })
+                .catch((error) => {
+                    logger.error('Could not load the search index, starting empty:', error);
+                });
+        }
+        return this.loading;
+    }
+
+    _add(doc) {
+        this._remove(doc.key);
+        const terms = new Map();
+        tokenize(doc.text).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+        const titleTerms = new Set(tokenize(doc.title));
+        titleTerms.forEach(term => terms.set(term, (terms.get(term) || 0) + TITLE_WEIGHT));
+
+        let length = 0;
+        terms.forEach((weight, term) => {
+            length += weight;
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Set());
+            }
+            this.postings.get(term).add(doc.key);
+        });
+        this.documents.set(doc.key, { doc, terms, titleTerms, length });
+        this.totalLength += length;
+    }
+
+    _remove(key) {
+        const entry = this.documents.get(key);
+        if (!entry) {
+            return;
+        }
+        entry.terms.forEach((_, term) => {
+            const keys = this.postings.get(term);
+            keys.delete(key);
+            if (!keys.size) {
+                this.postings.delete(term);
+            }
+        });
+        this.documents.delete(key);
+        this.totalLength -= entry.length;
+    }
+
+    /**
+     * Add or replace an article; a `title` or `text` left out keeps its indexed value
+     */
+    async index({ contentSource, vehicleId, articleId, title, text, bucket }) {
+        await this.ready();
+        const key = `${contentSource}/${vehicleId}/${articleId}`;
+        const existing = this.documents.get(key);
+        const previous = existing ? existing.doc : {};
+        const doc = {
+            key,
+            contentSource,
+            vehicleId,
+            articleId,
+            title: title !== undefined ? title : previous.title || null,
+            bucket: bucket !== undefined ? bucket : previous.bucket || null,
+            text: text !== undefined ? String(text).slice(0, this.options.maxTextLength) : previous.text || '',
+            indexedAt: Date.now()
+        };
+        this._add(doc);
+        await this.store.put(doc);
+    }
+
+    /**
+     * Index a proxied article or article-title response (fire and forget)
+     */
+    indexResponse(requestPath, buffer, contentType) {
+        const match = requestPath.match(ARTICLE_PATH);
+        if (!match) {
+            return;
+        }
+        const [contentSource, vehicleId, articleId] = match.slice(1, 4).map(decodeURIComponent);
+        Promise.resolve()
+            .then(() => {
+                const parsed = parseArticle(buffer, contentType, Boolean(match[4]));
+                return parsed && this.index({ contentSource, vehicleId, articleId, ...parsed });
+            })
+            .catch(error => logger.warn(`Could not index ${requestPath}: ${error.message}`));
+    }
+
+    /**
+     * Ranked articles for `q`. Terms written as title:<term> must appear in the title.
+     * Without vehicleId/contentSource the search spans every indexed vehicle;
+     * groupBy 'vehicle' returns one result per vehicle with its best articles.
+     */
+    async search({ q, vehicleId, contentSource, bucket, groupBy }) {
+        await this.ready();
+        const words = String(q || '').trim().split(/\s+/).filter(Boolean);
+        const titleTerms = words.filter(word => /^title:/i.test(word)).flatMap(word => tokenize(word.slice(6)));
+        const queryTerms = Array.from(new Set([...titleTerms, ...words.filter(word => !/^title:/i.test(word)).flatMap(tokenize)]));
+        if (!queryTerms.length) {
+            throw httpError(400, 'q must contain at least one search term');
+        }
+
+        const candidates = new Set();
+        queryTerms.forEach(term => (this.postings.get(term) || []).forEach(key => candidates.add(key)));
+
+        const count = this.documents.size;
+        const averageLength = count ? this.totalLength / count : 0;
+        const idf = new Map(queryTerms.map(term => {
+            const frequency = this.postings.has(term) ? this.postings.get(term).size : 0;
+            return [term, Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5))];
+        }));
+        const bucketFilter = bucket ? String(bucket).toLowerCase() : null;
+
+        const scored = [];
+        candidates.forEach((key) => {
+            const { doc, terms, titleTerms: inTitle, length } = this.documents.get(key);
+            if ((vehicleId && doc.vehicleId !== vehicleId) || (contentSource && doc.contentSource !== contentSource)) {
+                return;
+            }
+            if (bucketFilter && !String(doc.bucket || '').toLowerCase().includes(bucketFilter)) {
+                return;
+            }
+            if (!titleTerms.every(term => inTitle.has(term))) {
+                return;
+            }
+            let score = 0;
+            let matched = 0;
+            queryTerms.forEach((term) => {
+                const weight = terms.get(term);
+                if (weight) {
+                    matched++;
+                    score += idf.get(term) * (weight * (K1 + 1)) / (weight + K1 * (1 - B + B * length / averageLength));
+                }
+            });
+            // Articles containing every term rank above those with only some
+            scored.push({ doc, score: score * matched / queryTerms.length });
+        });
+        scored.sort((a, b) => b.score - a.score);
+
+        const pattern = new RegExp(`(?<![a-z0-9])(${queryTerms.join('|')})(?![a-z0-9])`, 'gi');
+        const results = scored.map(({ doc, score }) => {
+            const snippet = snippetOf(doc.text, pattern);
+            return {
+                contentSource: doc.contentSource,
+                vehicleId: doc.vehicleId,
+                articleId: doc.articleId,
+                title: doc.title,
+                bucket: doc.bucket,
+                score: Math.round(score * 1000) / 1000,
+                snippet,
+                highlights: { title: doc.title ? highlight(doc.title, pattern) : null, snippet: highlight(snippet, pattern) },
+                href: `/api/source/${encodeURIComponent(doc.contentSource)}/vehicle/${encodeURIComponent(doc.vehicleId)}/article/${encodeURIComponent(doc.articleId)}`
+            };
+        });
+
+        if (groupBy !== 'vehicle') {
+            return results;
+        }
+        const vehicles = new Map();
+        results.forEach((result) => {
+            const key = `${result.contentSource}/${result.vehicleId}`;
+            if (!vehicles.has(key)) {
+                vehicles.set(key, { contentSource: result.contentSource, vehicleId: result.vehicleId, score: result.score, matches: 0, articles: [] });
+            }
+            const vehicle = vehicles.get(key);
+            vehicle.matches++;
+            if (vehicle.articles.length < 3) {
+                vehicle.articles.push(result);
+            }
+        });
+        return Array.from(vehicles.values());
+    }
+
+    async stats() {
+        await this.ready();
+        const vehicles = new Set(Array.from(this.documents.values(), ({ doc }) => `${doc.contentSource}/${doc.vehicleId}`));
+        return { store: this.options.store, articles: this.documents.size, terms: this.postings.size, vehicles: vehicles.size };
+    }
+
+    /**
+     * Index every article of a vehicle in the background: its articles/v2 list, then each article
+     * (and its title when the list has none). Progress is polled with getBackfill(id).
+     */
+    backfill({ contentSource, vehicleId, motorVehicleId }) {
+        const job = {
+            id: crypto.randomUUID(),
+            contentSource,
+            vehicleId,
+            status: 'running',
+            total: 0,
+            indexed: 0,
+            failed: 0,
+            error: null,
+            startedAt: Date.now(),
+            completedAt: null
+        };
+        this.jobs.set(job.id, job);
+        // Only recent jobs are kept
+        if (this.jobs.size > MAX_BACKFILL_JOBS) {
+            this.jobs.delete(this.jobs.keys().next().value);
+        }
+
+        this._backfill(job, motorVehicleId)
+            .then(() => {
+                Object.assign(job, { status: 'complete', completedAt: Date.now() });
+                logger.info(`✓ Search backfill ${job.id}: indexed ${job.indexed} of ${job.total} articles for ${contentSource} vehicle ${vehicleId}`);
+            })
+            .catch((error) => {
+                logger.error(`Search backfill ${job.id} failed:`, error);
+                Object.assign(job, { status: 'error', error: error.message, completedAt: Date.now() });
+            });
+        return { ...job };
+    }
+
+    getBackfill(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    async _backfill(job, motorVehicleId) {
+        const vehiclePath = `/api/source/${encodeURIComponent(job.contentSource)}/vehicle/${encodeURIComponent(job.vehicleId)}`;
+        const query = motorVehicleId ? `?motorVehicleId=${encodeURIComponent(motorVehicleId)}` : '';
+        const fetchOk = async (apiPath) => {
+            const response = await responseCache.fetch(apiPath);
+            if (response.statusCode !== 200) {
+                throw httpError(502, `Motor API ${apiPath} returned ${response.statusCode}`);
+            }
+            return response;
+        };
+
+        const listing = await fetchOk(`${vehiclePath}/articles/v2${query}`);
+        const payload = JSON.parse(listing.body.toString('utf8'));
+        const articles = articleList(payload && payload.body !== undefined ? payload.body : payload)
+            .filter(article => article && (article.id || article.articleId));
+        job.total = articles.length;
+
+        await mapWithConcurrency(articles, this.options.backfillConcurrency, async (article) => {
+            const articleId = String(article.id || article.articleId);
+            const articlePath = `${vehiclePath}/article/${encodeURIComponent(articleId)}`;
+            try {
+                const response = await fetchOk(articlePath + query);
+                const parsed = parseArticle(response.body, response.headers['content-type']) || { text: '' };
+                let title = article.title || article.name || parsed.title;
+                if (!title) {
+                    const titleResponse = await fetchOk(`${articlePath}/title`);
+                    title = (parseArticle(titleResponse.body, titleResponse.headers['content-type'], true) || {}).title;
+                }
+                await this.index({
+                    contentSource: job.contentSource,
+                    vehicleId: job.vehicleId,
+                    articleId,
+                    title: title || null,
+                    text: parsed.text,
+                    bucket: article.bucketName || article.bucket || null
+                });
+                job.indexed++;
+            } catch (error) {
+                job.failed++;
+                logger.warn(`Search backfill ${job.id}: article ${articleId} skipped: ${error.message}`);
+            }
+        });
+        await this.store.flush();
+    }
+}
+
+export const searchIndex = new SearchIndex(config.search);
+
+function pageOptions(query) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw httpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw httpError(400, 'offset must be a non-negative integer');
+    }
+    return { limit, offset };
+}
+
+/**
+ * Express router for /search
+ */
+export function createSearchRouter() {
+    const router = express.Router();
+
+    const handle = (fn) => async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Search ${req.originalUrl} failed:`, error);
+            }
+            res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message });
+        }
+    };
+
+    // ?q= (title:<term> restricts a term to titles) &vehicleId= &contentSource= &bucket= &groupBy=vehicle &limit= &offset=
+    router.get('/', handle(async (req, res) => {
+        const { q, vehicleId, contentSource, bucket, groupBy } = req.query;
+        const { limit, offset } = pageOptions(req.query);
+        const results = await searchIndex.search({ q, vehicleId, contentSource, bucket, groupBy });
+        res.json({ query: q, total: results.length, limit, offset, results: results.slice(offset, offset + limit) });
+    }));
+
+    router.get('/stats', handle(async (req, res) => {
+        res.json(await searchIndex.stats());
+    }));
+
+    // Body: { contentSource, vehicleId, motorVehicleId? }
+    router.post('/backfill', express.json(), handle(async (req, res) => {
+        const { contentSource, vehicleId, motorVehicleId } = req.body || {};
+        if (typeof contentSource !== 'string' || !contentSource || !['string', 'number'].includes(typeof vehicleId) || vehicleId === '') {
+            throw httpError(400, 'Body must be { "contentSource": "...", "vehicleId": "..." }');
+        }
+        const job = searchIndex.backfill({
+            contentSource,
+            vehicleId: String(vehicleId),
+            motorVehicleId: motorVehicleId ? String(motorVehicleId) : null
+        });
+        res.status(202).location(`/search/backfill/${job.id}`).json({ ...job, statusUrl: `/search/backfill/${job.id}` });
+    }));
+
+    router.get('/backfill/:id', handle(async (req, res) => {
+        const job = searchIndex.getBackfill(req.params.id);
+        if (!job) {
+            throw httpError(404, `Unknown backfill job "${req.params.id}"`);
+        }
+        res.json(job);
+    }));
+
+    return router;
+}
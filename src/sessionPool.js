@@ -0,0 +1,292 @@
+import { config } from './config.js';
+import { AuthManager } from './auth.js';
+import { metrics, registry, Gauge } from './metrics.js';
+import logger from './logger.js';
+
+/**
+ * Pool of Motor sessions, one AuthManager per configured account.
+ *
+ * Requests are spread round-robin across healthy accounts. An account that gets
+ * a 401/403 is taken out of rotation and re-authenticated in the background;
+ * failed recoveries (and upstream errors) back off exponentially before the
+ * account is tried again. Recovery is driven lazily from acquire() so it also
+ * works on Cloud Functions, where timers do not run between requests.
+ */
+class SessionPool {
+    constructor(accounts, options) {
+        this.options = options;
+        this.managers = accounts.map(account => new AuthManager(account));
+        this.health = new Map(this.managers.map(manager => [manager.id, {
+            healthy: true,
+            failures: 0,
+            lastError: null,
+            lastFailureAt: null,
+            retryAt: null,
+            recovering: null
+        }]));
+        this.cursor = 0;
+    }
+
+    /**
+     * The first configured account; used where a single account is implied
+     */
+    get primary() {
+        return this.managers[0];
+    }
+
+    get(id) {
+        return this.managers.find(manager => manager.id === id) || null;
+    }
+
+    _isAvailable(manager) {
+        const health = this.health.get(manager.id);
+        if (health.healthy) {
+            return !health.retryAt || health.retryAt <= Date.now();
+        }
+        return false;
+    }
+
+    /**
+     * Pick the next account in rotation.
+     * Options: exclude (an AuthManager to skip), requireValidSession (only accounts ready to use now).
+     * When nothing is healthy, falls back to the account whose backoff ends first
+     * (or null if requireValidSession is set).
+     */
+    acquire({ exclude = null, requireValidSession = false } = {}) {
+        this._kickRecoveries();
+
+        const count = this.managers.length;
+        for (let i = 0; i < count; i++) {
+            const manager = this.managers[(this.cursor + i) % count];
+            if (manager === exclude || !this._isAvailable(manager)) {
+                continue;
+            }
+            if (requireValidSession && !manager.isSessionValid()) {
+                continue;
+            }
+            this.cursor = (this.cursor + i + 1) % count;
+            return manager;
+        }
+
+        if (requireValidSession) {
+            return null;
+        }
+
+        // Everything is unhealthy: degrade to the account closest to coming back
+        const candidates = this.managers.filter(manager => manager !== exclude);
+        if (!candidates.length) {
+            return exclude;
+        }
+        return candidates.reduce((best, manager) => {
+            const retryAt = this.health.get(manager.id).retryAt || 0;
+            return retryAt < (this.health.get(best.id).retryAt || 0) ? manager : best;
+        });
+    }
+
+    _backoff(failures) {
+        return Math.min(this.options.baseBackoffMs * 2 ** Math.max(0, failures - 1), this.options.maxBackoffMs);
+    }
+
+    /**
+     * Start recovery for unhealthy accounts whose backoff has elapsed
+     */
+    _kickRecoveries() {
+        const now = Date.now();
+        this.managers.forEach(manager => {
+            const health = this.health.get(manager.id);
+            if (!health.healthy && !health.recovering && (!health.retryAt || health.retryAt <= now)) {
+                this._recover(manager);
+            }
+        });
+    }
+
+    /**
+     * Re-authenticate an unhealthy account; on failure schedule the next attempt with backoff
+     */
+    _recover(manager) {
+        const health = this.health.get(manager.id);
+        if (health.recovering) {
+            return health.recovering;
+        }
+
+        const failedAuthTime = manager.lastAuthTime || 0;
+        if (!manager.authPromise) {
+            manager.clearSession();
+            manager.resetProgress();
+        }
+
+        logger.info(`[${manager.id}] Re-authenticating unhealthy account...`);
+        health.recovering = this._adoptStoredSession(manager, failedAuthTime)
+            .then(adopted => adopted || manager.authenticate())
+            .then(() => {
+                health.healthy = true;
+                health.retryAt = null;
+                logger.info(`[${manager.id}] ✓ Account back in rotation`);
+            })
+            .catch(error => {
+                health.failures++;
+                health.lastError = error.message;
+                health.lastFailureAt = Date.now();
+                health.retryAt = Date.now() + this._backoff(health.failures);
+                logger.warn(`[${manager.id}] Recovery failed, next attempt in ${Math.round(this._backoff(health.failures) / 1000)}s`);
+                throw error;
+            })
+            .finally(() => {
+                health.recovering = null;
+            });
+
+        // Callers that do not await still must not produce unhandled rejections
+        health.recovering.catch(() => {});
+        return health.recovering;
+    }
+
+    /**
+     * Another instance (or the refresh scheduler) may already have stored a newer session
+     * for this account; adopting it is cheaper than logging in again
+     */
+    async _adoptStoredSession(manager, failedAuthTime) {
+        if (manager.authPromise) {
+            return false;
+        }
+        const loaded = await manager.loadSession();
+        if (loaded && manager.lastAuthTime > failedAuthTime) {
+            logger.info(`[${manager.id}] ✓ Adopted newer session from Firestore`);
+            return true;
+        }
+        manager.clearSession();
+        return false;
+    }
+
+    /**
+     * Upstream rejected the account's session (401/403): take it out of rotation
+     * and re-authenticate it. Resolves/rejects with the re-authentication.
+     */
+    reportAuthFailure(manager, reason) {
+        const health = this.health.get(manager.id);
+        if (!health.healthy && !health.recovering && health.retryAt > Date.now()) {
+            // Still backing off from a failed recovery
+            metrics.reauthTriggers.inc({ account: manager.id, action: 'backoff' });
+            const pending = Promise.reject(new Error(`Account ${manager.id} is backing off until ${new Date(health.retryAt).toISOString()}`));
+            pending.catch(() => {});
+            return pending;
+        }
+        if (health.healthy) {
+            health.healthy = false;
+            health.failures++;
+            health.lastError = reason;
+            health.lastFailureAt = Date.now();
+            health.retryAt = null;
+            logger.warn(`[${manager.id}] Marked unhealthy: ${reason}`);
+        }
+        metrics.reauthTriggers.inc({ account: manager.id, action: health.recovering ? 'joined' : 'recover' });
+        return this._recover(manager);
+    }
+
+    /**
+     * Upstream or network error that is not a session problem: cool the account down without re-authenticating
+     */
+    reportError(manager, reason) {
+        const health = this.health.get(manager.id);
+        health.failures++;
+        health.lastError = reason;
+        health.lastFailureAt = Date.now();
+        health.retryAt = Date.now() + this._backoff(health.failures);
+        logger.warn(`[${manager.id}] Upstream error (${reason}), out of rotation for ${Math.round(this._backoff(health.failures) / 1000)}s`);
+    }
+
+    /**
+     * A request succeeded on this account: reset its failure count
+     */
+    reportSuccess(manager) {
+        const health = this.health.get(manager.id);
+        if (health.healthy && health.failures) {
+            health.failures = 0;
+            health.retryAt = null;
+        }
+    }
+
+    /**
+     * Load stored sessions for every account and authenticate the ones without a valid session.
+     * Succeeds when at least one account is usable.
+     */
+    async initialize() {
+        const results = await Promise.allSettled(this.managers.map(async manager => {
+            const loaded = await manager.loadSession();
+            if (!loaded || !manager.isSessionValid()) {
+                await manager.authenticate();
+            }
+        }));
+
+        // Accounts that just failed to log in start out of rotation, with backoff
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                const health = this.health.get(this.managers[index].id);
+                health.healthy = false;
+                health.failures++;
+                health.lastError = result.reason.message;
+                health.lastFailureAt = Date.now();
+                health.retryAt = Date.now() + this._backoff(health.failures);
+            }
+        });
+
+        if (!results.some(result => result.status === 'fulfilled')) {
+            throw results[0].reason;
+        }
+    }
+
+    /**
+     * True when at least one account has a usable session
+     */
+    isSessionValid() {
+        return this.managers.some(manager => manager.isSessionValid());
+    }
+
+    /**
+     * Most recent successful authentication across the pool
+     */
+    get lastAuthTime() {
+        return this.managers.reduce((latest, manager) => Math.max(latest, manager.lastAuthTime || 0), 0) || null;
+    }
+
+    /**
+     * Per-account state for /health and /auth/status
+     */
+    getStatus() {
+        return this.managers.map(manager => {
+            const health = this.health.get(manager.id);
+            return {
+                id: manager.id,
+                strategy: manager.strategy.constructor.id,
+                healthy: health.healthy,
+                inRotation: this._isAvailable(manager),
+                sessionValid: manager.isSessionValid(),
+                lastAuth: manager.lastAuthTime,
+                failures: health.failures,
+                lastError: health.lastError,
+                lastFailureAt: health.lastFailureAt,
+                retryAt: health.retryAt,
+                progress: manager.getProgress()
+            };
+        });
+    }
+}
+
+export const sessionPool = new SessionPool(config.accounts, config.accountPool);
+
+// Session state is read at scrape time rather than tracked on every change
+registry.register(new Gauge('motor_session_age_seconds', 'Seconds since the account last authenticated', ['account'], (gauge) => {
+    sessionPool.managers.filter(manager => manager.lastAuthTime).forEach(manager => {
+        gauge.set({ account: manager.id }, (Date.now() - manager.lastAuthTime) / 1000);
+    });
+}));
+registry.register(new Gauge('motor_session_expires_in_seconds', 'Seconds until the account session expires', ['account'], (gauge) => {
+    sessionPool.managers.filter(manager => manager.lastAuthTime).forEach(manager => {
+        gauge.set({ account: manager.id }, Math.max(0, (manager.getSessionExpiry() - Date.now()) / 1000));
+    });
+}));
+registry.register(new Gauge('motor_session_valid', 'Whether the account has a usable session (1) or not (0)', ['account'], (gauge) => {
+    sessionPool.managers.forEach(manager => gauge.set({ account: manager.id }, manager.isSessionValid() ? 1 : 0));
+}));
+registry.register(new Gauge('motor_account_healthy', 'Whether the account is in rotation (1) or not (0)', ['account'], (gauge) => {
+    sessionPool.managers.forEach(manager => gauge.set({ account: manager.id }, sessionPool._isAvailable(manager) ? 1 : 0));
+}));
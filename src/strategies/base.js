@@ -0,0 +1,137 @@
+import { URL } from 'url';
+import { config } from '../config.js';
+import { httpsRequest } from '../httpClient.js';
+import { CookieJar } from '../cookieJar.js';
+import logger from '../logger.js';
+
+const MAX_REDIRECTS = 10;
+
+/**
+ * URL the proxied Motor API requests go to, for picking the session cookies out of a jar.
+ * Motor may scope them to /m1/ or /m1/api, which the bare config.motorApiBase path does not match.
+ */
+export function motorApiCookieUrl() {
+    return `${config.motorApiBase}/api/`;
+}
+
+/**
+ * Base class for authentication strategies.
+ *
+ * A strategy runs one login flow and resolves with a CookieJar holding the
+ * session cookies for Motor. Progress is reported through the `report`
+ * callback passed to authenticate(), which AuthManager maps onto
+ * _updateProgress('authenticating', step, message, progress).
+ */
+export class AuthStrategy {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Run the login flow
+     * @param {(step: string, message: string, progress?: number) => void} report
+     * @returns {Promise<CookieJar>}
+     */
+    async authenticate(report) {
+        throw new Error(`${this.constructor.name} does not implement authenticate()`);
+    }
+
+    /**
+     * Follow a redirect chain manually so cookies from every hop end up in the jar.
+     * Stops at the first non-redirect response and returns it.
+     */
+    async followRedirects(startUrl, cookieJar, report, progressStart = 10) {
+        let currentUrl = startUrl;
+        let redirectCount = 0;
+        let response = null;
+
+        while (redirectCount < MAX_REDIRECTS) {
+            const cookieHeader = cookieJar.getCookieHeader(currentUrl);
+
+            response = await httpsRequest(currentUrl, {
+                headers: cookieHeader ? { 'Cookie': cookieHeader } : {}
+            });
+
+            // Store cookies from this response
+            response.cookies.forEach(cookie => {
+                cookieJar.setCookie(cookie, currentUrl);
+            });
+
+            logger.info(`Response status: ${response.statusCode}, URL: ${currentUrl}`);
+            logger.info(`Cookies received: ${response.cookies.length}`);
+
+            // Update progress based on redirect count
+            const progressPercent = Math.min(progressStart + (redirectCount * 15), 70);
+            report('redirecting', `Following redirect ${redirectCount + 1}...`, progressPercent);
+
+            const location = response.headers.location;
+            if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+                currentUrl = new URL(location, currentUrl).href;
+                redirectCount++;
+                logger.info(`Redirect ${redirectCount} to: ${currentUrl}`);
+                continue;
+            }
+            break;
+        }
+
+        return { response, finalUrl: currentUrl };
+    }
+
+    /**
+     * Make the final request to motor.com/m1 once the redirect chain reached Motor,
+     * so the jar holds the application cookies
+     */
+    async connectMotor(cookieJar, report) {
+        report('motor_connect', 'Connecting to Motor.com...', 75);
+
+        const motorUrl = `${config.urls.motorBase}/m1`;
+        const cookieHeaderForMotor = cookieJar.getCookieHeader(motorUrl);
+
+        logger.info('Making final request to motor.com/m1...');
+        report('motor_auth', 'Authenticating with Motor.com...', 85);
+        const finalResponse = await httpsRequest(motorUrl, {
+            headers: cookieHeaderForMotor ? { 'Cookie': cookieHeaderForMotor } : {}
+        });
+
+        // Store any additional cookies from motor.com
+        finalResponse.cookies.forEach(cookie => {
+            cookieJar.setCookie(cookie, motorUrl);
+        });
+
+        logger.info(`Final response status: ${finalResponse.statusCode}`);
+        return finalResponse;
+    }
+
+    /**
+     * Follow a login URL through to Motor and return the collected session cookies
+     */
+    async loginThrough(startUrl, cookieJar, report, progressStart = 10) {
+        const { finalUrl } = await this.followRedirects(startUrl, cookieJar, report, progressStart);
+
+        if (!finalUrl.includes('motor.com')) {
+            throw new Error(`Login flow ended at ${new URL(finalUrl).hostname} instead of motor.com`);
+        }
+
+        logger.info(`✓ Reached motor.com at: ${finalUrl}`);
+        await this.connectMotor(cookieJar, report);
+        return this.collectMotorCookies(cookieJar);
+    }
+
+    /**
+     * Keep only the cookies the Motor API would receive (falls back to everything collected)
+     */
+    collectMotorCookies(cookieJar) {
+        const motorCookies = new CookieJar(cookieJar.getCookies(motorApiCookieUrl()));
+
+        // If we didn't get motor.com cookies, use all cookies we collected
+        if (motorCookies.size === 0) {
+            logger.warn(`No motor.com cookies found, using all cookies: ${cookieJar.size}`);
+            return cookieJar;
+        }
+        return motorCookies;
+    }
+
+    createCookieJar() {
+        return new CookieJar();
+    }
+}
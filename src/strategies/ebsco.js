@@ -0,0 +1,36 @@
+import { URL } from 'url';
+import { config } from '../config.js';
+import { AuthStrategy } from './base.js';
+import logger from '../logger.js';
+
+/**
+ * EBSCO uid/password login: a single GET to login.aspx that redirects through
+ * EBSCO's OAuth dispatcher to the Motor connector
+ */
+export class EbscoStrategy extends AuthStrategy {
+    static id = 'ebsco';
+
+    buildLoginUrl() {
+        const { ebscoUser, ebscoPassword, ebscoProfile, ebscoGroupId } = this.options;
+        if (!ebscoUser || !ebscoPassword) {
+            throw new Error('EBSCO strategy requires EBSCO_USER and EBSCO_PASSWORD');
+        }
+
+        const url = new URL(config.urls.ebscoLogin);
+        url.searchParams.set('authtype', 'uid');
+        url.searchParams.set('user', ebscoUser);
+        url.searchParams.set('password', ebscoPassword);
+        url.searchParams.set('profile', ebscoProfile);
+        url.searchParams.set('groupid', ebscoGroupId);
+        return url.href;
+    }
+
+    async authenticate(report) {
+        const cookieJar = this.createCookieJar();
+
+        logger.info('Step 1: Making GET request to EBSCO login URL...');
+        report('ebsco_login', 'Connecting to EBSCO...', 10);
+
+        return this.loginThrough(this.buildLoginUrl(), cookieJar, report);
+    }
+}
@@ -0,0 +1,21 @@
+import { EbscoStrategy } from './ebsco.js';
+import { PowerLibraryStrategy } from './powerlibrary.js';
+import { ManualCookieStrategy } from './manual.js';
+
+export { AuthStrategy, motorApiCookieUrl } from './base.js';
+export { ManualCookieStrategy } from './manual.js';
+
+const strategies = new Map(
+    [EbscoStrategy, PowerLibraryStrategy, ManualCookieStrategy].map(Strategy => [Strategy.id, Strategy])
+);
+
+/**
+ * Instantiate the authentication strategy selected by configuration (AUTH_STRATEGY)
+ */
+export function createStrategy(id, options) {
+    const Strategy = strategies.get(id);
+    if (!Strategy) {
+        throw new Error(`Unknown authentication strategy "${id}". Available: ${Array.from(strategies.keys()).join(', ')}`);
+    }
+    return new Strategy(options);
+}
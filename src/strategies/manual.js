@@ -0,0 +1,61 @@
+import { config } from '../config.js';
+import { httpsRequest } from '../httpClient.js';
+import { CookieJar } from '../cookieJar.js';
+import { AuthStrategy } from './base.js';
+import logger from '../logger.js';
+
+/**
+ * Parse a pasted Cookie header ("name=value; other=value") into [{ name, value, domain }]
+ */
+export function parseCookieString(cookieString) {
+    return cookieString
+        .split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const index = part.indexOf('=');
+            return index > 0
+                ? { name: part.slice(0, index).trim(), value: part.slice(index + 1).trim(), domain: 'sites.motor.com' }
+                : null;
+        })
+        .filter(cookie => cookie && cookie.name && cookie.value);
+}
+
+/**
+ * "Paste cookies" strategy: uses a Cookie header copied from a browser session
+ * (MANUAL_COOKIES or POST /auth/cookies) and checks it against Motor
+ */
+export class ManualCookieStrategy extends AuthStrategy {
+    static id = 'manual';
+
+    setCookies(cookieString) {
+        this.options = { ...this.options, manualCookies: cookieString };
+    }
+
+    async authenticate(report) {
+        report('manual_cookies', 'Reading pasted cookies...', 20);
+        const cookies = parseCookieString(this.options.manualCookies || '');
+        if (!cookies.length) {
+            throw new Error('Manual strategy has no cookies; set MANUAL_COOKIES or POST them to /auth/cookies');
+        }
+
+        // A Cookie header carries no attributes: treat them as session cookies for the Motor host
+        const cookieJar = CookieJar.fromJSON(cookies);
+
+        report('motor_auth', 'Verifying cookies with Motor.com...', 60);
+        const probeUrl = `${config.motorApiBase}/api/years`;
+        const probe = await httpsRequest(probeUrl, {
+            headers: {
+                'Cookie': cookieJar.getCookieHeader(probeUrl),
+                'X-Requested-With': 'XMLHttpRequest'
+            }
+        });
+
+        if (probe.statusCode !== 200) {
+            throw new Error(`Pasted cookies were rejected by Motor (status ${probe.statusCode})`);
+        }
+
+        logger.info(`✓ Pasted cookies accepted by Motor (${cookies.length} cookies)`);
+        return cookieJar;
+    }
+}
@@ -0,0 +1,104 @@
+import { URL } from 'url';
+import { httpsRequest } from '../httpClient.js';
+import { AuthStrategy } from './base.js';
+import logger from '../logger.js';
+
+/**
+ * Find the next hop in an HTML page that redirects client-side
+ * (meta refresh, location assignment or an auto-submitted form)
+ */
+function extractClientRedirect(html, baseUrl) {
+    const patterns = [
+        /<meta[^>]+http-equiv=["']?refresh["']?[^>]+content=["'][^"']*url=([^"'>]+)["']/i,
+        /(?:window\.|document\.)?location(?:\.href)?\s*=\s*["']([^"']+)["']/i,
+        /location\.replace\(\s*["']([^"']+)["']\s*\)/i,
+        /<form[^>]+action=["']([^"']+)["']/i,
+        /<a[^>]+href=["'](https?:\/\/[^"']*(?:ebsco|motor)[^"']*)["']/i
+    ];
+
+    for (const pattern of patterns) {
+        const match = html.match(pattern);
+        if (match) {
+            return new URL(match[1].trim().replace(/&amp;/g, '&'), baseUrl).href;
+        }
+    }
+    return null;
+}
+
+/**
+ * PowerLibrary barcode portal flow (as recorded in power.har):
+ * BarcodeEntry/index.php → POST validateglobal.php → loginmodule/goto → EBSCO → Motor
+ */
+export class PowerLibraryStrategy extends AuthStrategy {
+    static id = 'powerlibrary';
+
+    /**
+     * The barcode form posts to /ext/validateglobal.php with the portal's lid/dataid
+     */
+    buildValidateUrl(portalUrl, html) {
+        const formAction = html.match(/<form[^>]+action=["']([^"']*validateglobal[^"']*)["']/i);
+        if (formAction) {
+            return new URL(formAction[1].replace(/&amp;/g, '&'), portalUrl).href;
+        }
+
+        const portal = new URL(portalUrl);
+        const url = new URL('/ext/validateglobal.php', portal.origin);
+        url.searchParams.set('cid', 'econtent');
+        url.searchParams.set('lid', portal.searchParams.get('lid') || '');
+        url.searchParams.set('dataid', portal.searchParams.get('dataid') || '');
+        return url.href;
+    }
+
+    async authenticate(report) {
+        const { libraryBarcode, libraryPortalUrl } = this.options;
+        if (!libraryBarcode) {
+            throw new Error('PowerLibrary strategy requires LIBRARY_BARCODE');
+        }
+
+        const cookieJar = this.createCookieJar();
+
+        logger.info('Step 1: Opening PowerLibrary barcode portal...');
+        report('library_portal', 'Opening library portal...', 5);
+        const portal = await httpsRequest(libraryPortalUrl);
+        portal.cookies.forEach(cookie => cookieJar.setCookie(cookie, libraryPortalUrl));
+
+        logger.info('Step 2: Submitting library barcode...');
+        report('library_barcode', 'Submitting library barcode...', 15);
+        const validateUrl = this.buildValidateUrl(libraryPortalUrl, portal.data);
+        const cookieHeader = cookieJar.getCookieHeader(validateUrl);
+        const validation = await httpsRequest(validateUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Referer': libraryPortalUrl,
+                ...(cookieHeader ? { 'Cookie': cookieHeader } : {})
+            },
+            body: new URLSearchParams({ barcode: libraryBarcode }).toString()
+        });
+        validation.cookies.forEach(cookie => cookieJar.setCookie(cookie, validateUrl));
+
+        const location = validation.headers.location;
+        if (validation.statusCode < 300 || validation.statusCode >= 400 || !location) {
+            throw new Error(`Library barcode was rejected (status ${validation.statusCode})`);
+        }
+
+        // loginmodule/goto answers with a page that forwards the browser to EBSCO
+        logger.info('Step 3: Following library login module...');
+        report('library_redirect', 'Following library login module...', 25);
+        const { response, finalUrl } = await this.followRedirects(new URL(location, validateUrl).href, cookieJar, report, 25);
+
+        if (finalUrl.includes('motor.com')) {
+            logger.info(`✓ Reached motor.com at: ${finalUrl}`);
+            await this.connectMotor(cookieJar, report);
+            return this.collectMotorCookies(cookieJar);
+        }
+
+        const nextUrl = extractClientRedirect(response.data, finalUrl);
+        if (!nextUrl) {
+            throw new Error(`Could not find the EBSCO hand-off in the library login page (${finalUrl})`);
+        }
+
+        report('ebsco_login', 'Connecting to EBSCO...', 40);
+        return this.loginThrough(nextUrl, cookieJar, report, 40);
+    }
+}
@@ -0,0 +1,126 @@
+import https from 'https';
+import { URL } from 'url';
+import { config } from './config.js';
+import { sessionPool } from './sessionPool.js';
+import { harArchive } from './har.js';
+import { metrics, routeTemplate } from './metrics.js';
+import logger, { currentRequestId } from './logger.js';
+
+/**
+ * Headers Motor expects on every API call (same as the proxy routes send)
+ */
+function motorHeaders(cookieHeader) {
+    return {
+        'Cookie': cookieHeader,
+        'Origin': 'https://sites.motor.com',
+        'Referer': 'https://sites.motor.com/m1/',
+        'User-Agent': config.userAgent,
+        'X-Requested-With': 'XMLHttpRequest',
+        'Accept': 'application/json, text/plain, */*'
+    };
+}
+
+/**
+ * One HTTPS request; resolves with the status, headers and the body as a Buffer.
+ * Fails when the connection stays idle for UPSTREAM_TIMEOUT_MS.
+ */
+function httpsSend(url, method, headers, body) {
+    return new Promise((resolve, reject) => {
+        const req = https.request({
+            hostname: url.hostname,
+            path: url.pathname + url.search,
+            method,
+            headers
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks)
+                });
+            });
+            res.on('error', reject);
+        });
+
+        const timeoutMs = config.rateLimit.concurrency.requestTimeoutMs;
+        req.setTimeout(timeoutMs, () => req.destroy(new Error(`No answer from Motor within ${timeoutMs}ms`)));
+        req.on('error', reject);
+        if (body) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+/**
+ * Make an authenticated request to the Motor API outside of the proxy pipeline
+ * (cache revalidation, composite endpoints, ...).
+ *
+ * `apiPath` is relative to config.motorApiBase, e.g. '/api/years'.
+ * Uses options.authManager, or the next account from the session pool; a 401/403
+ * is reported to the pool so the account gets re-authenticated.
+ * Resolves with the raw response; the body is a Buffer so binary assets survive.
+ */
+export async function motorRequest(apiPath, options = {}) {
+    const manager = options.cookieHeader ? null : (options.authManager || sessionPool.acquire());
+    const cookieHeader = options.cookieHeader || await manager.getCookieHeader();
+    const url = new URL(config.motorApiBase + apiPath);
+    const body = options.body && options.body.length ? options.body : null;
+
+    const headers = {
+        ...motorHeaders(cookieHeader),
+        ...options.headers
+    };
+    const requestId = currentRequestId();
+    if (requestId) {
+        headers['X-Request-Id'] = requestId;
+    }
+    if (body) {
+        headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    const startedAt = Date.now();
+    const method = options.method || 'GET';
+    // HAR record/replay (HAR_MODE) stands in for the network
+    const response = harArchive.enabled
+        ? await harArchive.send(url.href, { method, headers, body })
+        : await httpsSend(url, method, headers, body);
+
+    const latencyMs = Date.now() - startedAt;
+    logger.info(`⇄ ${options.method || 'GET'} ${apiPath} → ${response.statusCode} (${latencyMs}ms)`, {
+        upstream: {
+            method: options.method || 'GET',
+            path: apiPath,
+            status: response.statusCode,
+            latencyMs,
+            account: manager ? manager.id : null
+        }
+    });
+    metrics.upstreamLatency.observe({ route: routeTemplate(apiPath), status: response.statusCode }, latencyMs / 1000);
+
+    if (manager) {
+        if (response.statusCode === 401 || response.statusCode === 403) {
+            metrics.upstreamAuthRejections.inc({ route: routeTemplate(apiPath), status: response.statusCode });
+            sessionPool.reportAuthFailure(manager, `upstream ${response.statusCode} on ${apiPath}`);
+        } else if (response.statusCode < 400) {
+            sessionPool.reportSuccess(manager);
+        }
+    }
+    return response;
+}
+
+/**
+ * GET a Motor API path and parse the JSON envelope ({ header, body }).
+ * Throws on non-2xx responses; the error carries the upstream statusCode.
+ */
+export async function motorJson(apiPath, options = {}) {
+    const response = await motorRequest(apiPath, options);
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        const error = new Error(`Motor API ${apiPath} returned ${response.statusCode}`);
+        error.statusCode = response.statusCode;
+        throw error;
+    }
+    return JSON.parse(response.body.toString('utf8'));
+}
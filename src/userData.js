@@ -0,0 +1,517 @@
+import http from 'http';
+import crypto from 'crypto';
+import express from 'express';
+import { config } from './config.js';
+import { db } from './auth.js';
+import { cachedMotorJson } from './cache.js';
+import { catalog } from './catalog.js';
+import { envelope } from './routeTable.js';
+import { tokenize } from './search.js';
+import logger from './logger.js';
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_TITLE_LENGTH = 500;
+const MAX_NOTE_LENGTH = 10000;
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Bookmark fields a client may change
+const BOOKMARK_FIELDS = ['title', 'folderId', 'tags', 'note'];
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Whose data a request reads and writes: the authenticated consumer (API key or Firebase user).
+ * With access control disabled every caller is the same "anonymous" user.
+ */
+export function ownerOf(req) {
+    return req.consumer ? `${req.consumer.type}:${req.consumer.id}` : 'anonymous';
+}
+
+/**
+ * Firestore document id of an owner's data (owner keys may contain characters ids cannot)
+ */
+export function ownerId(owner) {
+    return crypto.createHash('sha1').update(owner).digest('hex');
+}
+
+function text(value, field, maxLength) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        throw httpError(400, `${field} must be a string`);
+    }
+    if (value.length > maxLength) {
+        throw httpError(400, `${field} must be at most ${maxLength} characters`);
+    }
+    return value.trim();
+}
+
+/**
+ * Lowercase, trimmed, de-duplicated tags
+ */
+function parseTags(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > MAX_TAG_LENGTH)) {
+        throw httpError(400, `tags must be a list of non-empty strings of at most ${MAX_TAG_LENGTH} characters`);
+    }
+    const tags = Array.from(new Set(value.map(tag => tag.trim().toLowerCase())));
+    if (tags.length > MAX_TAGS) {
+        throw httpError(400, `A bookmark can have at most ${MAX_TAGS} tags`);
+    }
+    return tags;
+}
+
+function pageOptions(query) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw httpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw httpError(400, 'offset must be a non-negative integer');
+    }
+    return { limit, offset };
+}
+
+function articlePath(bookmark) {
+    return `/api/source/${encodeURIComponent(bookmark.contentSource)}/vehicle/${encodeURIComponent(bookmark.vehicleId)}/article/${encodeURIComponent(bookmark.articleId)}`;
+}
+
+/**
+ * Title Motor gives an article (best effort, for bookmarks saved without one)
+ */
+async function articleTitle(bookmark) {
+    try {
+        const payload = await cachedMotorJson(`${articlePath(bookmark)}/title`);
+        const body = payload && payload.body !== undefined ? payload.body : payload;
+        const title = body && typeof body === 'object' ? body.title || body.name : body;
+        return title ? String(title).slice(0, MAX_TITLE_LENGTH) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Bookmarks, folders and UI settings of each user, in Firestore:
+ *   <collection>/<owner hash>               { owner, settings, updatedAt }
+ *   <collection>/<owner hash>/bookmarks/<id>
+ *   <collection>/<owner hash>/folders/<id>
+ * Bookmark ids are integers, like the ids Motor's bookmark routes hand out.
+ */
+class UserDataStore {
+    constructor(options) {
+        this.options = options;
+    }
+
+    _user(owner) {
+        return db.collection(this.options.collection).doc(ownerId(owner));
+    }
+
+    async _all(owner, collection) {
+        const snapshot = await this._user(owner).collection(collection).get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    async _folder(owner, folderId) {
+        if (folderId === null) {
+            return null;
+        }
+        const doc = await this._user(owner).collection('folders').doc(String(folderId)).get();
+        if (!doc.exists) {
+            throw httpError(400, `Unknown folder "${folderId}"`);
+        }
+        return doc.data();
+    }
+
+    /**
+     * The user's bookmarks, newest first, filtered by:
+     *   q            every term must start a word of the title, note, tags or vehicle name
+     *   tag          has this tag
+     *   folderId     in this folder ('none' for bookmarks outside any folder)
+     *   contentSource, vehicleId, articleId
+     */
+    async searchBookmarks(owner, filters = {}) {
+        const terms = tokenize(filters.q);
+        const tag = filters.tag ? String(filters.tag).trim().toLowerCase() : null;
+        const bookmarks = (await this._all(owner, 'bookmarks')).filter((bookmark) => {
+            if (tag && !bookmark.tags.includes(tag)) {
+                return false;
+            }
+            if (filters.folderId !== undefined && (filters.folderId === 'none' ? bookmark.folderId !== null : bookmark.folderId !== filters.folderId)) {
+                return false;
+            }
+            if (['contentSource', 'vehicleId', 'articleId'].some(field => filters[field] !== undefined && bookmark[field] !== String(filters[field]))) {
+                return false;
+            }
+            if (!terms.length) {
+                return true;
+            }
+            const words = tokenize([bookmark.title, bookmark.note, bookmark.vehicleName, bookmark.articleId, ...bookmark.tags].filter(Boolean).join(' '));
+            return terms.every(term => words.some(word => word.startsWith(term)));
+        });
+        return bookmarks.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async getBookmark(owner, id) {
+        const doc = await this._user(owner).collection('bookmarks').doc(String(id)).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    /**
+     * Bookmark an article. An article the user already bookmarked is returned as it is ({ created: false }).
+     */
+    async createBookmark(owner, fields) {
+        const { contentSource, vehicleId, articleId } = fields;
+        if (typeof contentSource !== 'string' || !contentSource
+            || !['string', 'number'].includes(typeof vehicleId) || vehicleId === ''
+            || !['string', 'number'].includes(typeof articleId) || articleId === '') {
+            throw httpError(400, 'A bookmark needs "contentSource", "vehicleId" and "articleId"');
+        }
+        const bookmarks = await this._all(owner, 'bookmarks');
+        const existing = bookmarks.find(bookmark => bookmark.contentSource === contentSource
+            && bookmark.vehicleId === String(vehicleId) && bookmark.articleId === String(articleId));
+        if (existing) {
+            return { bookmark: existing, created: false };
+        }
+        if (bookmarks.length >= this.options.maxBookmarks) {
+            throw httpError(409, `Bookmark limit reached (${this.options.maxBookmarks})`);
+        }
+
+        const folderId = fields.folderId === undefined || fields.folderId === null ? null : String(fields.folderId);
+        await this._folder(owner, folderId);
+        const now = Date.now();
+        const bookmark = {
+            // Integer ids keep Motor's /api/bookmark/{bookmarkId} links working
+            id: now * 1000 + crypto.randomInt(1000),
+            contentSource,
+            vehicleId: String(vehicleId),
+            articleId: String(articleId),
+            title: text(fields.title, 'title', MAX_TITLE_LENGTH),
+            vehicleName: null,
+            folderId,
+            tags: parseTags(fields.tags),
+            note: text(fields.note, 'note', MAX_NOTE_LENGTH) || '',
+            createdAt: now,
+            updatedAt: now
+        };
+        const [title, vehicleName] = await Promise.all([
+            bookmark.title ? bookmark.title : articleTitle(bookmark),
+            catalog.vehicleName(contentSource, bookmark.vehicleId).catch(() => null)
+        ]);
+        Object.assign(bookmark, { title, vehicleName });
+        await this._user(owner).set({ owner, updatedAt: now }, { merge: true });
+        await this._user(owner).collection('bookmarks').doc(String(bookmark.id)).set(bookmark);
+        return { bookmark, created: true };
+    }
+
+    /**
+     * Change a bookmark's title, folder, tags or note; null when the user has no such bookmark
+     */
+    async updateBookmark(owner, id, changes) {
+        const bookmark = await this.getBookmark(owner, id);
+        if (!bookmark) {
+            return null;
+        }
+        const unknown = Object.keys(changes).filter(field => !BOOKMARK_FIELDS.includes(field));
+        if (unknown.length) {
+            throw httpError(400, `Only ${BOOKMARK_FIELDS.join(', ')} can be changed (got ${unknown.join(', ')})`);
+        }
+        if (changes.title !== undefined) {
+            bookmark.title = text(changes.title, 'title', MAX_TITLE_LENGTH);
+        }
+        if (changes.folderId !== undefined) {
+            bookmark.folderId = changes.folderId === null ? null : String(changes.folderId);
+            await this._folder(owner, bookmark.folderId);
+        }
+        if (changes.tags !== undefined) {
+            bookmark.tags = parseTags(changes.tags);
+        }
+        if (changes.note !== undefined) {
+            bookmark.note = text(changes.note, 'note', MAX_NOTE_LENGTH) || '';
+        }
+        bookmark.updatedAt = Date.now();
+        await this._user(owner).collection('bookmarks').doc(String(id)).set(bookmark);
+        return bookmark;
+    }
+
+    async deleteBookmark(owner, id) {
+        const ref = this._user(owner).collection('bookmarks').doc(String(id));
+        const doc = await ref.get();
+        if (!doc.exists) {
+            return false;
+        }
+        await ref.delete();
+        return true;
+    }
+
+    /**
+     * Every user's bookmarked vehicles: [{ ownerId, contentSource, vehicleId, vehicleName }], one entry per user and vehicle
+     */
+    async bookmarkedVehicles() {
+        const snapshot = await db.collectionGroup('bookmarks').get();
+        const vehicles = new Map();
+        snapshot.docs.forEach((doc) => {
+            const bookmark = doc.data();
+            const owner = doc.ref.parent.parent.id;
+            const key = `${owner}|${bookmark.contentSource}|${bookmark.vehicleId}`;
+            if (!vehicles.has(key)) {
+                vehicles.set(key, { ownerId: owner, contentSource: bookmark.contentSource, vehicleId: bookmark.vehicleId, vehicleName: bookmark.vehicleName || null });
+            }
+        });
+        return Array.from(vehicles.values());
+    }
+
+    /**
+     * Tags in use with their bookmark counts, most used first
+     */
+    async tags(owner) {
+        const counts = new Map();
+        (await this._all(owner, 'bookmarks')).forEach((bookmark) => {
+            bookmark.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Folders with the number of bookmarks in each, by name
+     */
+    async folders(owner) {
+        const [folders, bookmarks] = await Promise.all([this._all(owner, 'folders'), this._all(owner, 'bookmarks')]);
+        return folders
+            .map(folder => ({ ...folder, bookmarks: bookmarks.filter(bookmark => bookmark.folderId === folder.id).length }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async saveFolder(owner, id, name) {
+        const folderName = text(name, 'name', MAX_FOLDER_NAME_LENGTH);
+        if (!folderName) {
+            throw httpError(400, 'A folder needs a "name"');
+        }
+        const folders = await this._all(owner, 'folders');
+        if (folders.some(folder => folder.id !== id && folder.name.toLowerCase() === folderName.toLowerCase())) {
+            throw httpError(409, `A folder named "${folderName}" already exists`);
+        }
+        const now = Date.now();
+        let folder;
+        if (id) {
+            folder = folders.find(entry => entry.id === id);
+            if (!folder) {
+                return null;
+            }
+            Object.assign(folder, { name: folderName, updatedAt: now });
+        } else {
+            if (folders.length >= this.options.maxFolders) {
+                throw httpError(409, `Folder limit reached (${this.options.maxFolders})`);
+            }
+            folder = { id: crypto.randomUUID(), name: folderName, createdAt: now, updatedAt: now };
+            await this._user(owner).set({ owner, updatedAt: now }, { merge: true });
+        }
+        await this._user(owner).collection('folders').doc(folder.id).set(folder);
+        return folder;
+    }
+
+    /**
+     * Remove a folder; its bookmarks are kept outside any folder
+     */
+    async deleteFolder(owner, id) {
+        const ref = this._user(owner).collection('folders').doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) {
+            return false;
+        }
+        const batch = db.batch();
+        (await this._all(owner, 'bookmarks'))
+            .filter(bookmark => bookmark.folderId === id)
+            .forEach((bookmark) => {
+                batch.set(this._user(owner).collection('bookmarks').doc(String(bookmark.id)), { ...bookmark, folderId: null, updatedAt: Date.now() });
+            });
+        batch.delete(ref);
+        await batch.commit();
+        return true;
+    }
+
+    async getSettings(owner) {
+        const doc = await this._user(owner).get();
+        const settings = doc.exists ? doc.data().settings : null;
+        return settings || {};
+    }
+
+    /**
+     * Replace the user's settings, or merge them into the stored ones (top-level keys; null removes a key)
+     */
+    async saveSettings(owner, settings, merge = false) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw httpError(400, 'Settings must be a JSON object');
+        }
+        const current = merge ? await this.getSettings(owner) : {};
+        const next = Object.fromEntries(Object.entries({ ...current, ...settings }).filter(([, value]) => value !== null && value !== undefined));
+        if (Buffer.byteLength(JSON.stringify(next)) > this.options.maxSettingsBytes) {
+            throw httpError(413, `Settings are limited to ${this.options.maxSettingsBytes} bytes`);
+        }
+        await this._user(owner).set({ owner, settings: next, updatedAt: Date.now() }, { merge: true });
+        return next;
+    }
+}
+
+export const userDataStore = new UserDataStore(config.userData);
+
+function handler(fn, label) {
+    return async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`${label} ${req.originalUrl} failed:`, error);
+            }
+            res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message });
+        }
+    };
+}
+
+/**
+ * Express router for /me: the caller's bookmarks, folders, tags and settings
+ */
+export function createUserDataRouter() {
+    const router = express.Router();
+    const handle = fn => handler(fn, 'User data');
+    const notFound = (res, what, id) => res.status(404).json({ error: 'Not Found', message: `Unknown ${what} "${id}"` });
+
+    // ?q=&tag=&folderId=&contentSource=&vehicleId=&articleId=&limit=&offset=
+    router.get('/bookmarks', handle(async (req, res) => {
+        const { limit, offset } = pageOptions(req.query);
+        const bookmarks = await userDataStore.searchBookmarks(ownerOf(req), req.query);
+        res.json({ total: bookmarks.length, bookmarks: bookmarks.slice(offset, offset + limit), limit, offset });
+    }));
+
+    // Body: { contentSource, vehicleId, articleId, title?, folderId?, tags?, note? }
+    router.post('/bookmarks', express.json(), handle(async (req, res) => {
+        const { bookmark, created } = await userDataStore.createBookmark(ownerOf(req), req.body || {});
+        res.status(created ? 201 : 200).location(`/me/bookmarks/${bookmark.id}`).json(bookmark);
+    }));
+
+    router.get('/bookmarks/:id', handle(async (req, res) => {
+        const bookmark = await userDataStore.getBookmark(ownerOf(req), req.params.id);
+        return bookmark ? res.json(bookmark) : notFound(res, 'bookmark', req.params.id);
+    }));
+
+    // Body: any of { title, folderId, tags, note }
+    router.patch('/bookmarks/:id', express.json(), handle(async (req, res) => {
+        const bookmark = await userDataStore.updateBookmark(ownerOf(req), req.params.id, req.body || {});
+        return bookmark ? res.json(bookmark) : notFound(res, 'bookmark', req.params.id);
+    }));
+
+    router.delete('/bookmarks/:id', handle(async (req, res) => {
+        const removed = await userDataStore.deleteBookmark(ownerOf(req), req.params.id);
+        return removed ? res.status(204).end() : notFound(res, 'bookmark', req.params.id);
+    }));
+
+    router.get('/tags', handle(async (req, res) => {
+        res.json({ tags: await userDataStore.tags(ownerOf(req)) });
+    }));
+
+    router.get('/folders', handle(async (req, res) => {
+        res.json({ folders: await userDataStore.folders(ownerOf(req)) });
+    }));
+
+    router.post('/folders', express.json(), handle(async (req, res) => {
+        const folder = await userDataStore.saveFolder(ownerOf(req), null, (req.body || {}).name);
+        res.status(201).json(folder);
+    }));
+
+    router.patch('/folders/:id', express.json(), handle(async (req, res) => {
+        const folder = await userDataStore.saveFolder(ownerOf(req), req.params.id, (req.body || {}).name);
+        return folder ? res.json(folder) : notFound(res, 'folder', req.params.id);
+    }));
+
+    router.delete('/folders/:id', handle(async (req, res) => {
+        const removed = await userDataStore.deleteFolder(ownerOf(req), req.params.id);
+        return removed ? res.status(204).end() : notFound(res, 'folder', req.params.id);
+    }));
+
+    router.get('/settings', handle(async (req, res) => {
+        res.json({ settings: await userDataStore.getSettings(ownerOf(req)) });
+    }));
+
+    router.put('/settings', express.json(), handle(async (req, res) => {
+        res.json({ settings: await userDataStore.saveSettings(ownerOf(req), req.body) });
+    }));
+
+    router.patch('/settings', express.json(), handle(async (req, res) => {
+        res.json({ settings: await userDataStore.saveSettings(ownerOf(req), req.body, true) });
+    }));
+
+    return router;
+}
+
+function settingsOf(body) {
+    return body && body.settings && typeof body.settings === 'object' ? body.settings : body;
+}
+
+/**
+ * Express router for Motor's profile routes under /api. They would write to the one shared
+ * library account, so they are answered from the caller's own data and never forwarded.
+ */
+export function createProfileRouter() {
+    const router = express.Router();
+    const handle = fn => handler(fn, 'Profile');
+    const notFound = (res, message) => res.status(404).json({ error: 'Not Found', message });
+
+    // Body (optional): { title?, folderId?, tags?, note? }
+    router.post('/source/:contentSource/vehicle/:vehicleId/article/:articleId/bookmark', express.json(), handle(async (req, res) => {
+        const { contentSource, vehicleId, articleId } = req.params;
+        const { bookmark } = await userDataStore.createBookmark(ownerOf(req), { ...(req.body || {}), contentSource, vehicleId, articleId });
+        res.json(envelope({ bookmarkId: bookmark.id, articleId: bookmark.articleId, vehicleId: bookmark.vehicleId }));
+    }));
+
+    // Opening a bookmark opens its article (through the proxy as usual)
+    router.get('/bookmark/:bookmarkId', handle(async (req, res) => {
+        const bookmark = await userDataStore.getBookmark(ownerOf(req), req.params.bookmarkId);
+        if (!bookmark) {
+            return notFound(res, `Unknown bookmark "${req.params.bookmarkId}"`);
+        }
+        const query = req.originalUrl.indexOf('?');
+        res.redirect(302, articlePath(bookmark) + (query === -1 ? '' : req.originalUrl.slice(query)));
+    }));
+
+    router.delete('/bookmark/:bookmarkId', handle(async (req, res) => {
+        const removed = await userDataStore.deleteBookmark(ownerOf(req), req.params.bookmarkId);
+        return removed ? res.json(envelope({ bookmarkId: Number(req.params.bookmarkId) })) : notFound(res, `Unknown bookmark "${req.params.bookmarkId}"`);
+    }));
+
+    // Whatever else Motor offers for bookmarks lives in its shared profile
+    router.all(['/bookmark', '/bookmark/*', '/bookmarks', '/bookmarks/*'], (req, res) => {
+        notFound(res, 'Bookmarks are kept per user by this proxy; see /me/bookmarks');
+    });
+
+    router.get('/ui/usersettings', handle(async (req, res) => {
+        res.json(envelope({ settings: await userDataStore.getSettings(ownerOf(req)) }));
+    }));
+
+    // Body: { settings: {...} } as returned by GET, or the settings object itself. POST merges, PUT replaces.
+    router.post('/ui/usersettings', express.json(), handle(async (req, res) => {
+        res.json(envelope({ settings: await userDataStore.saveSettings(ownerOf(req), settingsOf(req.body), true) }));
+    }));
+
+    router.put('/ui/usersettings', express.json(), handle(async (req, res) => {
+        res.json(envelope({ settings: await userDataStore.saveSettings(ownerOf(req), settingsOf(req.body)) }));
+    }));
+
+    router.all('/ui/usersettings', (req, res) => {
+        res.status(405).set('Allow', 'GET, POST, PUT').json({ error: http.STATUS_CODES[405], message: `${req.method} is not supported for user settings` });
+    });
+
+    return router;
+}
@@ -0,0 +1,309 @@
+import http from 'http';
+import express from 'express';
+import { config } from './config.js';
+import { catalog } from './catalog.js';
+import { mapWithConcurrency } from './rateLimit.js';
+import logger from './logger.js';
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// ISO 3779 / 49 CFR 565 check digit: letter values and position weights
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 model year codes, repeating every 30 years from 1980
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+const REGIONS = [
+    { pattern: /^[A-H]/, region: 'Africa' },
+    { pattern: /^[J-R]/, region: 'Asia' },
+    { pattern: /^[S-Z]/, region: 'Europe' },
+    { pattern: /^[1-5]/, region: 'North America' },
+    { pattern: /^[6-7]/, region: 'Oceania' },
+    { pattern: /^[8-9]/, region: 'South America' }
+];
+
+// Country by the first two characters (ranges from the SAE WMI assignments, most common only)
+const COUNTRIES = [
+    { pattern: /^[145]/, country: 'United States' },
+    { pattern: /^2/, country: 'Canada' },
+    { pattern: /^3[A-W]/, country: 'Mexico' },
+    { pattern: /^J/, country: 'Japan' },
+    { pattern: /^K[L-R]/, country: 'South Korea' },
+    { pattern: /^L/, country: 'China' },
+    { pattern: /^MA/, country: 'India' },
+    { pattern: /^S[A-M]/, country: 'United Kingdom' },
+    { pattern: /^V[F-R]/, country: 'France' },
+    { pattern: /^V[S-W]/, country: 'Spain' },
+    { pattern: /^W/, country: 'Germany' },
+    { pattern: /^Y[S-W]/, country: 'Sweden' },
+    { pattern: /^Z[A-R]/, country: 'Italy' },
+    { pattern: /^6[A-W]/, country: 'Australia' },
+    { pattern: /^9[A-E3-9]/, country: 'Brazil' }
+];
+
+// World manufacturer identifiers (positions 1-3) of common makes; Motor has the full answer
+const MANUFACTURERS = {
+    '1C3': 'Chrysler', '1C4': 'Chrysler (Jeep/Dodge)', '1C6': 'Ram', '1FA': 'Ford', '1FD': 'Ford', '1FM': 'Ford',
+    '1FT': 'Ford', '1G1': 'Chevrolet', '1G6': 'Cadillac', '1GC': 'Chevrolet', '1GN': 'Chevrolet', '1GT': 'GMC',
+    '1GY': 'Cadillac', '1HG': 'Honda', '1J4': 'Jeep', '1N4': 'Nissan', '1N6': 'Nissan', '19X': 'Honda',
+    '2C3': 'Chrysler', '2FM': 'Ford', '2G1': 'Chevrolet', '2HG': 'Honda', '2HK': 'Honda', '2T1': 'Toyota',
+    '2T3': 'Toyota', '3C6': 'Ram', '3FA': 'Ford', '3GC': 'Chevrolet', '3N1': 'Nissan', '3VW': 'Volkswagen',
+    '4S3': 'Subaru', '4S4': 'Subaru', '4T1': 'Toyota', '4T3': 'Toyota', '5FN': 'Honda', '5J6': 'Honda',
+    '5N1': 'Nissan', '5NP': 'Hyundai', '5TD': 'Toyota', '5TF': 'Toyota', '5UX': 'BMW', '5YJ': 'Tesla',
+    'JF1': 'Subaru', 'JF2': 'Subaru', 'JHM': 'Honda', 'JM1': 'Mazda', 'JN1': 'Nissan', 'JN8': 'Nissan',
+    'JTD': 'Toyota', 'JTE': 'Toyota', 'JTH': 'Lexus', 'JTN': 'Toyota', 'KM8': 'Hyundai', 'KMH': 'Hyundai',
+    'KNA': 'Kia', 'KND': 'Kia', 'SAJ': 'Jaguar', 'SAL': 'Land Rover', 'WA1': 'Audi', 'WAU': 'Audi',
+    'WBA': 'BMW', 'WBS': 'BMW M', 'WDB': 'Mercedes-Benz', 'WDD': 'Mercedes-Benz', 'WMW': 'MINI',
+    'WP0': 'Porsche', 'WP1': 'Porsche', 'WVG': 'Volkswagen', 'WVW': 'Volkswagen', 'YV1': 'Volvo',
+    'YV4': 'Volvo', 'ZFA': 'Fiat'
+};
+
+function httpError(statusCode, message, details = {}) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Expected check digit (position 9) of a syntactically valid VIN: '0'-'9' or 'X'
+ */
+export function computeCheckDigit(vin) {
+    const sum = vin.split('').reduce((total, char, index) => (
+        total + (/\d/.test(char) ? Number(char) : TRANSLITERATION[char]) * WEIGHTS[index]
+    ), 0);
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Syntax and check digit. The check digit is mandatory for North American VINs;
+ * elsewhere a mismatch is only a warning.
+ */
+export function validateVin(input) {
+    const vin = String(input || '').trim().toUpperCase();
+    const errors = [];
+    const warnings = [];
+
+    if (vin.length !== 17) {
+        errors.push(`VIN must be 17 characters, got ${vin.length}`);
+    }
+    if (/[IOQ]/.test(vin)) {
+        errors.push('VIN cannot contain I, O or Q');
+    }
+    if (/[^A-Z0-9]/.test(vin)) {
+        errors.push('VIN may only contain letters and digits');
+    }
+    if (errors.length || !VIN_PATTERN.test(vin)) {
+        return { vin, valid: false, errors, warnings, checkDigit: null };
+    }
+
+    const expected = computeCheckDigit(vin);
+    const checkDigit = { expected, actual: vin[8], valid: vin[8] === expected };
+    if (!checkDigit.valid) {
+        const message = `Check digit is ${vin[8]}, expected ${expected}`;
+        if (/^[1-5]/.test(vin)) {
+            errors.push(message);
+        } else {
+            warnings.push(`${message} (not mandatory outside North America)`);
+        }
+    }
+    return { vin, valid: !errors.length, errors, warnings, checkDigit };
+}
+
+/**
+ * Model year from position 10. The code repeats every 30 years; for North American
+ * VINs position 7 tells the cycles apart (digit: 1980-2009, letter: 2010-2039),
+ * otherwise the latest year not after next year wins.
+ */
+export function decodeModelYear(vin, now = new Date()) {
+    const index = YEAR_CODES.indexOf(vin[9]);
+    if (index === -1) {
+        return { modelYear: null, candidates: [] };
+    }
+    const candidates = [1980 + index, 2010 + index, 2040 + index];
+    if (/^[1-5]/.test(vin)) {
+        return { modelYear: /\d/.test(vin[6]) ? candidates[0] : candidates[1], candidates: candidates.slice(0, 2) };
+    }
+    const latest = now.getFullYear() + 1;
+    const plausible = candidates.filter(year => year <= latest);
+    return { modelYear: plausible[plausible.length - 1] || null, candidates: plausible };
+}
+
+/**
+ * Offline decoding of the standard VIN sections
+ */
+export function decodeVin(vin, now = new Date()) {
+    const wmi = vin.slice(0, 3);
+    const region = REGIONS.find(({ pattern }) => pattern.test(vin));
+    const country = COUNTRIES.find(({ pattern }) => pattern.test(vin));
+    const { modelYear, candidates } = decodeModelYear(vin, now);
+    return {
+        wmi,
+        vds: vin.slice(3, 9),
+        vis: vin.slice(9),
+        region: region ? region.region : null,
+        country: country ? country.country : null,
+        manufacturer: MANUFACTURERS[wmi] || null,
+        modelYear,
+        modelYearCandidates: candidates,
+        plantCode: vin[10],
+        serialNumber: vin.slice(11)
+    };
+}
+
+/**
+ * validateVin() that throws: 400 for bad syntax, 422 for a wrong check digit
+ */
+function assertValidVin(input) {
+    const validation = validateVin(input);
+    if (!validation.valid) {
+        const statusCode = validation.checkDigit ? 422 : 400;
+        throw httpError(statusCode, validation.errors.join('; '), { vin: validation.vin, errors: validation.errors });
+    }
+    return validation;
+}
+
+/**
+ * Validate, decode and resolve a VIN through Motor into a ready-to-use vehicle context:
+ * the vehicle, its display name and the matching MOTOR vehicles.
+ */
+export async function resolveVin(input) {
+    const { vin, warnings, checkDigit } = assertValidVin(input);
+    const decoded = decodeVin(vin);
+
+    let vehicle;
+    try {
+        vehicle = await catalog.vehicleByVin(vin);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            throw httpError(404, `Motor has no vehicle for VIN ${vin}`, { vin, decoded });
+        }
+        throw error;
+    }
+
+    // The name and MOTOR vehicles are extras: a failure there still returns the vehicle
+    let name = null;
+    let motorVehicles = [];
+    if (vehicle.contentSource && vehicle.vehicleId) {
+        const [nameResult, motorResult] = await Promise.allSettled([
+            catalog.vehicleName(vehicle.contentSource, vehicle.vehicleId),
+            catalog.motorVehicles(vehicle.contentSource, vehicle.vehicleId)
+        ]);
+        if (nameResult.status === 'fulfilled') {
+            name = nameResult.value;
+        } else {
+            warnings.push(`Vehicle name unavailable: ${nameResult.reason.message}`);
+        }
+        if (motorResult.status === 'fulfilled') {
+            motorVehicles = motorResult.value;
+        } else {
+            warnings.push(`MOTOR vehicles unavailable: ${motorResult.reason.message}`);
+        }
+    }
+
+    if (decoded.modelYear && vehicle.year && decoded.modelYear !== vehicle.year) {
+        warnings.push(`Decoded model year ${decoded.modelYear} differs from Motor's ${vehicle.year}`);
+    }
+
+    return { vin, checkDigit, decoded, vehicle, name, motorVehicles, warnings };
+}
+
+const BATCH_STATUS = { 400: 'invalid', 422: 'invalid', 404: 'not_found' };
+
+/**
+ * Resolve many VINs (fleet imports). Each entry reports its own outcome;
+ * the batch itself only fails on a malformed request.
+ */
+export async function resolveVinBatch(vins) {
+    const unique = Array.from(new Set(vins.map(vin => String(vin).trim().toUpperCase())));
+    const results = await mapWithConcurrency(unique, config.vin.batchConcurrency, async (vin) => {
+        try {
+            return { status: 'resolved', ...(await resolveVin(vin)) };
+        } catch (error) {
+            const status = BATCH_STATUS[error.statusCode] || 'error';
+            if (status === 'error') {
+                logger.warn(`VIN ${vin} could not be resolved: ${error.message}`);
+            }
+            return { vin, status, error: error.message, ...error.details };
+        }
+    });
+
+    const summary = { total: results.length, resolved: 0, invalid: 0, notFound: 0, failed: 0 };
+    results.forEach(({ status }) => {
+        const key = { resolved: 'resolved', invalid: 'invalid', not_found: 'notFound' }[status] || 'failed';
+        summary[key]++;
+    });
+    return { results, summary };
+}
+
+/**
+ * Express middleware for the raw /api/vin/:vin/vehicle passthrough: malformed VINs
+ * get a 400 here instead of an upstream call. The check digit is left to Motor.
+ */
+export function rejectMalformedVin(req, res, next) {
+    const { vin, valid, checkDigit, errors } = validateVin(req.params.vin);
+    if (!valid && !checkDigit) {
+        return res.status(400).json({ error: 'Bad Request', message: errors.join('; '), vin });
+    }
+    next();
+}
+
+/**
+ * Express router for /vin
+ */
+export function createVinRouter() {
+    const router = express.Router();
+
+    const sendError = (req, res, error) => {
+        const statusCode = error.statusCode || 500;
+        if (statusCode >= 500) {
+            logger.error(`VIN ${req.originalUrl} failed:`, error);
+        }
+        res.status(statusCode).json({ error: http.STATUS_CODES[statusCode], message: error.message, ...error.details });
+    };
+
+    // Body: { vins: [...] } (at most config.vin.batchMax)
+    router.post('/batch', express.json(), async (req, res) => {
+        const vins = req.body && req.body.vins;
+        if (!Array.isArray(vins) || !vins.length) {
+            return res.status(400).json({ error: 'Bad Request', message: 'Body must be { "vins": ["...", ...] }' });
+        }
+        if (vins.length > config.vin.batchMax) {
+            return res.status(413).json({
+                error: 'Payload Too Large',
+                message: `At most ${config.vin.batchMax} VINs per batch, got ${vins.length}`
+            });
+        }
+        try {
+            res.json(await resolveVinBatch(vins));
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    // ?decodeOnly=true skips Motor: validation and offline decoding only
+    router.get('/:vin', async (req, res) => {
+        try {
+            if (req.query.decodeOnly === 'true') {
+                const validation = assertValidVin(req.params.vin);
+                return res.json({
+                    vin: validation.vin,
+                    checkDigit: validation.checkDigit,
+                    decoded: decodeVin(validation.vin),
+                    warnings: validation.warnings
+                });
+            }
+            res.json(await resolveVin(req.params.vin));
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    return router;
+}